@@ -0,0 +1,19 @@
+import Redis from 'redis';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Redis is only used for the token revocation list shared with the microservices
+const redisClient = Redis.createClient({
+  url: process.env.REDIS_URL || 'redis://localhost:6379'
+});
+
+redisClient.on('error', (error) => {
+  console.error('❌ Redis error:', error.message);
+});
+
+redisClient.connect().catch((error) => {
+  console.error('❌ Redis connection failed:', error.message);
+});
+
+export default redisClient;
@@ -1,5 +1,10 @@
 import jwt from 'jsonwebtoken';
 import { User } from '../models/index.js';
+import redisClient from '../config/redis.js';
+import { createRevocationCheck, RevocationUnavailableError } from '../../shared/token-revocation.js';
+
+// Same revocation list the microservices check
+const isTokenRevoked = createRevocationCheck(redisClient);
 
 export const auth = async (req, res, next) => {
   try {
@@ -33,6 +38,13 @@ export const auth = async (req, res, next) => {
       });
     }
     
+    if (await isTokenRevoked(token, decoded)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Token has been revoked'
+      });
+    }
+    
     // Get user from database using Sequelize
     const user = await User.findByPk(decoded.id, {
       attributes: ['id', 'name', 'email', 'username', 'createdAt', 'updatedAt']
@@ -51,6 +63,14 @@ export const auth = async (req, res, next) => {
     
   } catch (error) {
     console.error('Auth middleware error:', error);
+
+    // Revocation can't be checked without Redis, so fail closed
+    if (error instanceof RevocationUnavailableError) {
+      return res.status(503).json({
+        success: false,
+        message: 'Token revocation service unavailable. Please try again later.'
+      });
+    }
     
     // Handle database connection errors
     if (error.name === 'SequelizeConnectionError') {
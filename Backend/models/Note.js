@@ -60,10 +60,19 @@ const Note = sequelize.define('Note', {
   isArchived: {
     type: DataTypes.BOOLEAN,
     defaultValue: false
+  },
+  // Optimistic lock, bumped by every write (the routes' UPDATEs included).
+  // The services compare it with If-Match; it starts at 1 so 0 can mean
+  // "don't check".
+  version: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1
   }
 }, {
   tableName: 'notes',
   timestamps: true,
+  version: true,
   indexes: [
     {
       fields: ['user_id', 'created_at']
@@ -0,0 +1,50 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+// A note's title and text as of one editing window. routes/notes.js writes
+// these on every title/text change; notes-service shares the table.
+const NoteRevision = sequelize.define('NoteRevision', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  noteId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'notes',
+      key: 'id'
+    },
+    onDelete: 'CASCADE',
+    onUpdate: 'CASCADE'
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE',
+    onUpdate: 'CASCADE'
+  },
+  title: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  text: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  }
+}, {
+  tableName: 'note_revisions',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['note_id', 'created_at']
+    }
+  ]
+});
+
+export default NoteRevision;
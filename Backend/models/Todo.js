@@ -56,10 +56,19 @@ const Todo = sequelize.define('Todo', {
   completedAt: {
     type: DataTypes.DATE,
     allowNull: true
+  },
+  // Optimistic lock, bumped by every write (the routes' UPDATEs included).
+  // The services compare it with If-Match; it starts at 1 so 0 can mean
+  // "don't check".
+  version: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1
   }
 }, {
   tableName: 'todos',
   timestamps: true,
+  version: true,
   hooks: {
     beforeSave: async (todo) => {
       if (todo.changed('completed')) {
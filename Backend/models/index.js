@@ -1,6 +1,7 @@
 import User from './User.js';
 import Note from './Note.js';
 import Todo from './Todo.js';
+import NoteRevision from './NoteRevision.js';
 
 // Define associations
 User.hasMany(Note, {
@@ -14,6 +15,17 @@ Note.belongsTo(User, {
   as: 'user'
 });
 
+Note.hasMany(NoteRevision, {
+  foreignKey: 'noteId',
+  as: 'revisions',
+  onDelete: 'CASCADE'
+});
+
+NoteRevision.belongsTo(Note, {
+  foreignKey: 'noteId',
+  as: 'note'
+});
+
 User.hasMany(Todo, {
   foreignKey: 'userId',
   as: 'todos',
@@ -25,4 +37,4 @@ Todo.belongsTo(User, {
   as: 'user'
 });
 
-export { User, Note, Todo };
\ No newline at end of file
+export { User, Note, Todo, NoteRevision };
\ No newline at end of file
@@ -2,6 +2,8 @@ import express from 'express';
 import { body, validationResult } from 'express-validator';
 import mysql from 'mysql2/promise';
 import auth from '../middleware/auth.js';
+import { diffLines, diffStats } from '../../shared/line-diff.js';
+import { parseIfMatch } from '../../shared/etag.js';
 
 const router = express.Router();
 
@@ -16,6 +18,101 @@ const createConnection = async () => {
   });
 };
 
+// 412 with the server's copy when an If-Match version is stale, as in
+// notes-service, so the client can merge instead of overwriting
+const sendConflict = (res, row) => {
+  res.status(412).set('ETag', `"${row.version}"`).json({
+    success: false,
+    message: 'Note was changed by another request',
+    data: {
+      note: {
+        ...row,
+        tags: row.tags ? JSON.parse(row.tags) : [],
+        isPinned: Boolean(row.is_pinned),
+        isArchived: Boolean(row.is_archived)
+      }
+    }
+  });
+};
+
+// Revision history, with the same rules as notes-service: a revision is the
+// title and text after an edit, edits within the window of the latest
+// revision update it in place, and an edit removing more than half the text
+// always starts a new one
+const NOTE_REVISION_WINDOW_SECONDS = parseInt(process.env.NOTE_REVISION_WINDOW_SECONDS) || 60;
+const NOTE_REVISION_MAX_PER_NOTE = parseInt(process.env.NOTE_REVISION_MAX_PER_NOTE) || 50;
+const NOTE_REVISION_MAX_AGE_DAYS = parseInt(process.env.NOTE_REVISION_MAX_AGE_DAYS) || 30;
+
+const toRevision = (row) => ({
+  id: row.id,
+  noteId: row.note_id,
+  title: row.title,
+  text: row.text,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+const insertRevision = (connection, noteId, userId, { title, text }) => {
+  return connection.execute(
+    'INSERT INTO note_revisions (note_id, user_id, title, text, created_at, updated_at) VALUES (?, ?, ?, ?, NOW(), NOW())',
+    [noteId, userId, title, text]
+  );
+};
+
+// Keeps the newest NOTE_REVISION_MAX_PER_NOTE revisions, and drops those past
+// NOTE_REVISION_MAX_AGE_DAYS except the newest, which mirrors the note
+const pruneRevisions = async (connection, noteId) => {
+  const [revisions] = await connection.execute(
+    'SELECT id, created_at < NOW() - INTERVAL ? DAY AS expired FROM note_revisions WHERE note_id = ? ORDER BY created_at DESC, id DESC',
+    [NOTE_REVISION_MAX_AGE_DAYS, noteId]
+  );
+
+  const stale = revisions
+    .filter((revision, index) => index >= NOTE_REVISION_MAX_PER_NOTE || (index > 0 && revision.expired))
+    .map(revision => revision.id);
+
+  if (stale.length > 0) {
+    await connection.execute(
+      `DELETE FROM note_revisions WHERE id IN (${stale.map(() => '?').join(', ')})`,
+      stale
+    );
+  }
+};
+
+// Snapshots a note row after a change. `previous` is the row before it
+// (omitted on create); `force` always starts a new revision (restore).
+// Failures are logged, a lost snapshot must not fail the edit itself.
+const recordRevision = async (connection, note, previous = null, { force = false } = {}) => {
+  try {
+    if (previous && previous.title === note.title && previous.text === note.text) return;
+
+    const [latest] = await connection.execute(
+      'SELECT id, created_at > NOW() - INTERVAL ? SECOND AS within_window FROM note_revisions WHERE note_id = ? ORDER BY created_at DESC, id DESC LIMIT 1',
+      [NOTE_REVISION_WINDOW_SECONDS, note.id]
+    );
+
+    // Notes from before revision history get their prior state as a
+    // baseline, so the first edit can be undone too
+    if (latest.length === 0 && previous) {
+      await insertRevision(connection, note.id, note.user_id, previous);
+    }
+
+    const drasticShrink = previous && note.text.length < previous.text.length / 2;
+    if (latest.length > 0 && latest[0].within_window && !force && !drasticShrink) {
+      await connection.execute(
+        'UPDATE note_revisions SET title = ?, text = ?, updated_at = NOW() WHERE id = ?',
+        [note.title, note.text, latest[0].id]
+      );
+      return;
+    }
+
+    await insertRevision(connection, note.id, note.user_id, note);
+    await pruneRevisions(connection, note.id);
+  } catch (error) {
+    console.error('Record note revision error:', error);
+  }
+};
+
 // @route   GET /api/notes
 // @desc    Get all notes for authenticated user
 // @access  Private
@@ -161,6 +258,7 @@ router.post('/', auth, [
       'SELECT * FROM notes WHERE id = ?',
       [result.insertId]
     );
+    await recordRevision(connection, notes[0]);
 
     const note = {
       ...notes[0],
@@ -242,18 +340,26 @@ router.put('/:id', auth, [
       values.push(req.body.isArchived ? 1 : 0);
     }
 
-    updates.push('updated_at = NOW()');
+    updates.push('updated_at = NOW()', 'version = version + 1');
     values.push(req.params.id, req.user.id);
 
-    await connection.execute(
-      `UPDATE notes SET ${updates.join(', ')} WHERE id = ? AND user_id = ?`,
-      values
+    // If-Match: only while the note is still at the version the client saw
+    const expectedVersion = parseIfMatch(req.get('If-Match'));
+    const [result] = await connection.execute(
+      `UPDATE notes SET ${updates.join(', ')} WHERE id = ? AND user_id = ?${expectedVersion ? ' AND version = ?' : ''}`,
+      expectedVersion ? [...values, expectedVersion] : values
     );
 
+    if (result.affectedRows === 0) {
+      const [current] = await connection.execute('SELECT * FROM notes WHERE id = ?', [req.params.id]);
+      return sendConflict(res, current[0]);
+    }
+
     const [notes] = await connection.execute(
       'SELECT * FROM notes WHERE id = ?',
       [req.params.id]
     );
+    await recordRevision(connection, notes[0], existingNotes[0]);
 
     const note = {
       ...notes[0],
@@ -284,12 +390,19 @@ router.put('/:id', auth, [
 router.delete('/:id', auth, async (req, res) => {
   const connection = await createConnection();
   try {
+    const expectedVersion = parseIfMatch(req.get('If-Match'));
     const [result] = await connection.execute(
-      'DELETE FROM notes WHERE id = ? AND user_id = ?',
-      [req.params.id, req.user.id]
+      `DELETE FROM notes WHERE id = ? AND user_id = ?${expectedVersion ? ' AND version = ?' : ''}`,
+      expectedVersion ? [req.params.id, req.user.id, expectedVersion] : [req.params.id, req.user.id]
     );
 
     if (result.affectedRows === 0) {
+      const [current] = await connection.execute(
+        'SELECT * FROM notes WHERE id = ? AND user_id = ?',
+        [req.params.id, req.user.id]
+      );
+      if (current.length > 0) return sendConflict(res, current[0]);
+
       return res.status(404).json({
         success: false,
         message: 'Note not found'
@@ -332,7 +445,7 @@ router.patch('/:id/pin', auth, async (req, res) => {
     const newPinnedStatus = !notes[0].is_pinned;
 
     await connection.execute(
-      'UPDATE notes SET is_pinned = ?, updated_at = NOW() WHERE id = ?',
+      'UPDATE notes SET is_pinned = ?, updated_at = NOW(), version = version + 1 WHERE id = ?',
       [newPinnedStatus ? 1 : 0, req.params.id]
     );
 
@@ -364,4 +477,165 @@ router.patch('/:id/pin', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/notes/:id/revisions
+// @desc    List a note's revisions, newest first
+// @access  Private
+router.get('/:id/revisions', auth, async (req, res) => {
+  const connection = await createConnection();
+  try {
+    const [notes] = await connection.execute(
+      'SELECT id FROM notes WHERE id = ? AND user_id = ?',
+      [req.params.id, req.user.id]
+    );
+
+    if (notes.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Note not found'
+      });
+    }
+
+    const [revisions] = await connection.execute(
+      'SELECT * FROM note_revisions WHERE note_id = ? ORDER BY created_at DESC, id DESC',
+      [req.params.id]
+    );
+
+    res.json({
+      success: true,
+      data: { revisions: revisions.map(toRevision) }
+    });
+  } catch (error) {
+    console.error('List note revisions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching note revisions'
+    });
+  } finally {
+    await connection.end();
+  }
+});
+
+// @route   GET /api/notes/:id/revisions/diff
+// @desc    Line diff between two revisions; ?toRevisionId defaults to the
+//          latest, ?fromRevisionId to the one before it
+// @access  Private
+router.get('/:id/revisions/diff', auth, async (req, res) => {
+  const connection = await createConnection();
+  try {
+    const [notes] = await connection.execute(
+      'SELECT id FROM notes WHERE id = ? AND user_id = ?',
+      [req.params.id, req.user.id]
+    );
+
+    if (notes.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Note not found'
+      });
+    }
+
+    const [revisions] = await connection.execute(
+      'SELECT * FROM note_revisions WHERE note_id = ? ORDER BY created_at DESC, id DESC',
+      [req.params.id]
+    );
+
+    const fromId = parseInt(req.query.fromRevisionId);
+    const toId = parseInt(req.query.toRevisionId);
+    const toIndex = toId ? revisions.findIndex(revision => revision.id === toId) : 0;
+    const to = revisions[toIndex];
+    const from = fromId ? revisions.find(revision => revision.id === fromId) : revisions[toIndex + 1];
+
+    if (!to || !from) {
+      return res.status(404).json({
+        success: false,
+        message: to && !fromId ? 'No earlier revision to compare with' : 'Revision not found'
+      });
+    }
+
+    const lines = diffLines(from.text, to.text);
+
+    res.json({
+      success: true,
+      data: {
+        fromRevision: toRevision(from),
+        toRevision: toRevision(to),
+        lines,
+        ...diffStats(lines)
+      }
+    });
+  } catch (error) {
+    console.error('Diff note revisions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while diffing note revisions'
+    });
+  } finally {
+    await connection.end();
+  }
+});
+
+// @route   POST /api/notes/:id/revisions/:revisionId/restore
+// @desc    Restore a revision's title and text, as a new revision
+// @access  Private
+router.post('/:id/revisions/:revisionId/restore', auth, async (req, res) => {
+  const connection = await createConnection();
+  try {
+    const [existingNotes] = await connection.execute(
+      'SELECT * FROM notes WHERE id = ? AND user_id = ?',
+      [req.params.id, req.user.id]
+    );
+
+    if (existingNotes.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Note not found'
+      });
+    }
+
+    const [revisions] = await connection.execute(
+      'SELECT * FROM note_revisions WHERE id = ? AND note_id = ?',
+      [req.params.revisionId, req.params.id]
+    );
+
+    if (revisions.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    await connection.execute(
+      'UPDATE notes SET title = ?, text = ?, updated_at = NOW(), version = version + 1 WHERE id = ?',
+      [revisions[0].title, revisions[0].text, req.params.id]
+    );
+
+    const [notes] = await connection.execute(
+      'SELECT * FROM notes WHERE id = ?',
+      [req.params.id]
+    );
+    await recordRevision(connection, notes[0], existingNotes[0], { force: true });
+
+    const note = {
+      ...notes[0],
+      tags: notes[0].tags ? JSON.parse(notes[0].tags) : [],
+      isPinned: Boolean(notes[0].is_pinned),
+      isArchived: Boolean(notes[0].is_archived)
+    };
+
+    res.json({
+      success: true,
+      message: 'Note restored successfully',
+      data: { note }
+    });
+  } catch (error) {
+    console.error('Restore note revision error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while restoring note revision'
+    });
+  } finally {
+    await connection.end();
+  }
+});
+
 export default router;
\ No newline at end of file
@@ -264,7 +264,7 @@ router.put('/:id', auth, [
       }
     }
 
-    updates.push('updated_at = NOW()');
+    updates.push('updated_at = NOW()', 'version = version + 1');
     values.push(req.params.id, req.user.id);
 
     await connection.execute(
@@ -320,12 +320,12 @@ router.patch('/:id/toggle', auth, async (req, res) => {
 
     if (newCompletedStatus) {
       await connection.execute(
-        'UPDATE todos SET completed = ?, completed_at = NOW(), updated_at = NOW() WHERE id = ?',
+        'UPDATE todos SET completed = ?, completed_at = NOW(), updated_at = NOW(), version = version + 1 WHERE id = ?',
         [1, req.params.id]
       );
     } else {
       await connection.execute(
-        'UPDATE todos SET completed = ?, completed_at = NULL, updated_at = NOW() WHERE id = ?',
+        'UPDATE todos SET completed = ?, completed_at = NULL, updated_at = NOW(), version = version + 1 WHERE id = ?',
         [0, req.params.id]
       );
     }
@@ -0,0 +1,56 @@
+#!/bin/bash
+
+# MicroNote - Generate a local CA and mTLS certificates for the gRPC services
+# Usage: ./docker-scripts/generate-certs.sh [output-dir]   (default: ./certs)
+#
+# Each certificate's CN is the identity the services check against their
+# per-RPC allow-lists. The SANs cover the docker-compose service names and
+# localhost, so the same files work in containers and on the host.
+# Development only: keys are unencrypted and the CA lives next to them.
+set -e
+
+OUT_DIR=${1:-certs}
+CA_DAYS=3650
+CERT_DAYS=825
+
+mkdir -p "$OUT_DIR"
+cd "$OUT_DIR"
+
+# Keys must never end up in git
+echo '*' > .gitignore
+
+echo "🔐 Generating development CA..."
+openssl req -x509 -newkey rsa:2048 -nodes -sha256 \
+  -keyout ca.key -out ca.crt -days $CA_DAYS \
+  -subj "/CN=MicroNote Development CA" 2>/dev/null
+
+# issue <identity> <subjectAltName list>
+issue() {
+  local identity=$1
+  local sans=$2
+
+  openssl req -newkey rsa:2048 -nodes -sha256 \
+    -keyout "$identity.key" -out "$identity.csr" \
+    -subj "/CN=$identity" 2>/dev/null
+
+  printf 'subjectAltName=%s\nextendedKeyUsage=serverAuth,clientAuth\n' "$sans" > "$identity.ext"
+
+  openssl x509 -req -sha256 -in "$identity.csr" \
+    -CA ca.crt -CAkey ca.key -CAcreateserial \
+    -out "$identity.crt" -days $CERT_DAYS -extfile "$identity.ext" 2>/dev/null
+
+  rm "$identity.csr" "$identity.ext"
+  echo "   ✅ $identity"
+}
+
+echo "📜 Issuing certificates..."
+issue api-gateway "DNS:api-gateway-hybrid,DNS:localhost,IP:127.0.0.1"
+issue auth-service "DNS:auth-service-hybrid,DNS:localhost,IP:127.0.0.1"
+issue notes-service "DNS:notes-service-hybrid,DNS:localhost,IP:127.0.0.1"
+issue todos-service "DNS:todos-service-hybrid,DNS:localhost,IP:127.0.0.1"
+
+rm -f ca.srl
+
+echo ""
+echo "🎉 Certificates written to $(pwd)"
+echo "   Point GRPC_TLS_CA, GRPC_TLS_CERT and GRPC_TLS_KEY at ca.crt and a service's .crt/.key"
@@ -23,8 +23,8 @@ echo ""
 echo "📱 Frontend: http://localhost"
 echo "🔧 API Gateway: http://localhost:8080/health"
 echo "🔐 Auth Service: http://localhost:3001/health"
-echo "📝 Notes Service: http://localhost:3002/health"
-echo "✅ Todos Service: http://localhost:3003/health"
+echo "📝 Notes Service: docker-compose exec notes-service wget -qO- http://localhost:3002/health"
+echo "✅ Todos Service: docker-compose exec todos-service wget -qO- http://localhost:3003/health"
 echo "👤 User Service: http://localhost:3004/health"
 echo ""
 echo "📊 View logs: docker-compose logs -f [service-name]"
@@ -0,0 +1,197 @@
+// Generates the typed gRPC-Web clients in src/generated from ../proto
+//
+//   npm run proto:generate
+//
+// Writes two modules: the message descriptors the browser encodes with, and
+// one client object per service whose JSDoc types describe every request and
+// response. Messages use the same JSON shape as the REST API: camelCase keys,
+// ISO date strings, lowercase enums and comma-separated field masks.
+import { mkdirSync, writeFileSync } from 'fs'
+import { createRequire } from 'module'
+import { fileURLToPath } from 'url'
+import protobuf from 'protobufjs'
+
+const require = createRequire(import.meta.url)
+
+const PROTO_DIR = fileURLToPath(new URL('../../proto/', import.meta.url))
+const OUT_DIR = fileURLToPath(new URL('../src/generated/', import.meta.url))
+const PROTO_FILES = ['auth.proto', 'notes.proto', 'todos.proto']
+const HEADER = '// Code generated by scripts/generate-grpc-client.js from proto/. DO NOT EDIT.\n'
+
+// Types that travel as REST-style scalars instead of nested objects
+const SCALAR_MESSAGES = {
+  '.google.protobuf.Timestamp': 'string',
+  '.google.protobuf.FieldMask': 'string'
+}
+
+const SCALAR_TYPES = {
+  double: 'number',
+  float: 'number',
+  int32: 'number',
+  uint32: 'number',
+  sint32: 'number',
+  fixed32: 'number',
+  sfixed32: 'number',
+  int64: 'string',
+  uint64: 'string',
+  sint64: 'string',
+  fixed64: 'string',
+  sfixed64: 'string',
+  bool: 'boolean',
+  string: 'string',
+  bytes: 'Uint8Array'
+}
+
+const loadRoot = () => {
+  const root = new protobuf.Root()
+  root.resolvePath = (origin, target) => {
+    // descriptor.proto ships with protobufjs rather than in its bundled set
+    if (target === 'google/protobuf/descriptor.proto') {
+      return require.resolve('protobufjs/google/protobuf/descriptor.proto')
+    }
+    return target.startsWith('google/protobuf/') ? target : `${PROTO_DIR}${target}`
+  }
+  root.loadSync(PROTO_FILES)
+  root.resolveAll()
+  return root
+}
+
+const collect = (namespace, predicate, found = []) => {
+  namespace.nestedArray.forEach(nested => {
+    if (predicate(nested)) found.push(nested)
+    if (nested.nestedArray) collect(nested, predicate, found)
+  })
+  return found
+}
+
+// notes.Note → NotesNote, so same-named messages of two packages don't clash
+const typedefName = (type) => {
+  return type.fullName.slice(1).split('.')
+    .map(part => part[0].toUpperCase() + part.slice(1))
+    .join('')
+}
+
+const lowerFirst = (name) => name[0].toLowerCase() + name.slice(1)
+
+const fieldType = (field) => {
+  let type = SCALAR_TYPES[field.type]
+  if (field.resolvedType instanceof protobuf.Enum) {
+    type = Object.keys(field.resolvedType.values).map(value => `'${value.toLowerCase()}'`).join('|')
+  } else if (field.resolvedType) {
+    type = SCALAR_MESSAGES[field.resolvedType.fullName] || typedefName(field.resolvedType)
+  }
+  return field.repeated ? `Array<${type}>` : type
+}
+
+// Only the messages some RPC can reach go to the browser, which leaves out
+// descriptor.proto and the annotation types
+const reachableTypes = (services) => {
+  const reachable = new Set()
+  const visit = (type) => {
+    if (reachable.has(type)) return
+    reachable.add(type)
+    if (!(type instanceof protobuf.Type) || SCALAR_MESSAGES[type.fullName]) return
+    type.fieldsArray.forEach(field => field.resolvedType && visit(field.resolvedType))
+  }
+
+  services.forEach(service => {
+    browserMethods(service).forEach(method => {
+      visit(method.resolvedRequestType)
+      visit(method.resolvedResponseType)
+    })
+  })
+  return reachable
+}
+
+const prune = (namespace, keep) => {
+  namespace.nestedArray.forEach(nested => {
+    if (nested instanceof protobuf.Type || nested instanceof protobuf.Enum) {
+      if (!keep.has(nested)) namespace.remove(nested)
+      else if (nested.nestedArray) prune(nested, keep)
+    } else if (nested instanceof protobuf.Service || !(nested instanceof protobuf.Namespace)) {
+      // Services and option extensions have no use in the browser
+      namespace.remove(nested)
+    } else {
+      prune(nested, keep)
+      // File options (go_package and friends) leak onto the package namespace
+      nested.options = undefined
+      if (nested.nestedArray.length === 0) namespace.remove(nested)
+    }
+  })
+}
+
+const renderTypedef = (type) => {
+  const lines = [`/**`, ` * @typedef {Object} ${typedefName(type)}`]
+  type.fieldsArray.forEach(field => {
+    lines.push(` * @property {${fieldType(field)}} [${field.name}]`)
+  })
+  lines.push(' */')
+  return lines.join('\n')
+}
+
+const renderMethod = (service, method) => {
+  const path = `/${service.fullName.slice(1)}/${method.name}`
+  const request = method.resolvedRequestType
+  const response = method.resolvedResponseType
+  const types = `'${request.fullName.slice(1)}', '${response.fullName.slice(1)}'`
+
+  if (method.responseStream) {
+    return [
+      '  /**',
+      `   * @param {${typedefName(request)}} request`,
+      `   * @param {{ onMessage: (message: ${typedefName(response)}) => void, onError?: (error: Error) => void, onEnd?: () => void }} handlers`,
+      '   * @returns {{ cancel: () => void }}',
+      '   */',
+      `  ${lowerFirst(method.name)}: (request, handlers) => serverStreamCall({ path: '${path}', types: [${types}] }, request, handlers)`
+    ].join('\n')
+  }
+
+  return [
+    '  /**',
+    `   * @param {${typedefName(request)}} [request]`,
+    `   * @returns {Promise<${typedefName(response)}>}`,
+    '   */',
+    `  ${lowerFirst(method.name)}: (request = {}) => unaryCall({ path: '${path}', types: [${types}] }, request)`
+  ].join('\n')
+}
+
+// The gateway serves only RPCs whose (gateway.route) sets grpc_web. Browsers
+// can't stream a request body, so client streams stay on REST (NDJSON).
+const browserMethods = (service) => {
+  return service.methodsArray.filter(method =>
+    method.options?.['(gateway.route).grpc_web'] === true && !method.requestStream
+  )
+}
+
+const renderClient = (service) => {
+  const methods = browserMethods(service)
+  return [
+    `// ${service.fullName.slice(1)}`,
+    `export const ${lowerFirst(service.name)} = {`,
+    methods.map(method => renderMethod(service, method)).join(',\n\n'),
+    '}'
+  ].join('\n')
+}
+
+const root = loadRoot()
+const services = collect(root, nested => nested instanceof protobuf.Service)
+const reachable = reachableTypes(services)
+const messages = [...reachable].filter(type => type instanceof protobuf.Type && !SCALAR_MESSAGES[type.fullName])
+
+const clients = [
+  HEADER,
+  "import { unaryCall, serverStreamCall } from '../utils/grpcWeb'",
+  '',
+  messages.map(renderTypedef).join('\n\n'),
+  '',
+  services.map(renderClient).join('\n\n'),
+  ''
+].join('\n')
+
+prune(root, reachable)
+const descriptors = `${HEADER}export default ${JSON.stringify(root.toJSON(), null, 2)}\n`
+
+mkdirSync(OUT_DIR, { recursive: true })
+writeFileSync(`${OUT_DIR}grpcClients.js`, clients)
+writeFileSync(`${OUT_DIR}protoDescriptors.js`, descriptors)
+console.log(`Generated ${services.length} gRPC-Web clients and ${messages.length} message types in src/generated`)
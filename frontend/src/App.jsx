@@ -36,6 +36,7 @@ function App() {
   const handleLogout = () => {
     // Clear localStorage
     localStorage.removeItem('token')
+    localStorage.removeItem('refreshToken')
     localStorage.removeItem('user')
     
     setUser(null)
@@ -93,7 +94,7 @@ function App() {
       </header>
 
       <div className="content">
-        {activeTab === 'notes' && <NotesSection />}
+        {activeTab === 'notes' && <NotesSection userId={user.id} />}
         {activeTab === 'todos' && <TodosSection />}
       </div>
     </div>
@@ -75,8 +75,11 @@ function Login({ onLogin }) {
       console.log('📊 Response data:', data)
 
       if (data.success) {
-        // Store token in localStorage
+        // Store tokens in localStorage
         localStorage.setItem('token', data.data.token)
+        if (data.data.refreshToken) {
+          localStorage.setItem('refreshToken', data.data.refreshToken)
+        }
         localStorage.setItem('user', JSON.stringify(data.data.user))
         
         console.log('✅ Success! User logged in:', data.data.user)
@@ -114,8 +117,11 @@ function Login({ onLogin }) {
       console.log('📊 Demo response data:', data)
 
       if (data.success) {
-        // Store token in localStorage
+        // Store tokens in localStorage
         localStorage.setItem('token', data.data.token)
+        if (data.data.refreshToken) {
+          localStorage.setItem('refreshToken', data.data.refreshToken)
+        }
         localStorage.setItem('user', JSON.stringify(data.data.user))
         
         console.log('✅ Demo login success! User:', data.data.user)
@@ -0,0 +1,23 @@
+// Shown when a save hit a newer version of the note (edited in another tab
+// or device). Edits stay in the editor until the user picks how to resolve.
+function NoteConflict({ theirs, onMerge, onOverwrite, onUseTheirs }) {
+  return (
+    <div className="note-conflict">
+      <div className="note-conflict-header">
+        <strong>This note was changed somewhere else</strong>
+        <span>
+          Your latest edits aren't saved yet. The saved version
+          from {new Date(theirs.updatedAt).toLocaleString()} reads:
+        </span>
+      </div>
+      <pre className="note-conflict-text">{theirs.text}</pre>
+      <div className="note-conflict-actions">
+        <button onClick={onMerge} className="conflict-merge-btn">Merge both</button>
+        <button onClick={onOverwrite} className="conflict-overwrite-btn">Keep mine</button>
+        <button onClick={onUseTheirs} className="conflict-discard-btn">Use theirs</button>
+      </div>
+    </div>
+  )
+}
+
+export default NoteConflict
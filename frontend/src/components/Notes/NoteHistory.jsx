@@ -0,0 +1,132 @@
+import { useState, useEffect } from 'react'
+import { notesService } from '../../generated/grpcClients'
+
+const DIFF_MARKERS = { added: '+', removed: '-', equal: ' ' }
+
+// Revision list for one note. Picking a revision shows what restoring it
+// would change in the current text (the newest revision mirrors the note).
+function NoteHistory({ note, onRestore, onClose }) {
+  const [revisions, setRevisions] = useState([])
+  const [selectedRevision, setSelectedRevision] = useState(null)
+  const [diff, setDiff] = useState(null)
+  const [reloadCount, setReloadCount] = useState(0)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    let cancelled = false
+
+    notesService.listNoteRevisions({ noteId: note.id })
+      .then(response => {
+        if (cancelled) return
+        setRevisions(response.revisions)
+        setError('')
+      })
+      .catch(error => {
+        console.error('Error loading revisions:', error)
+        if (!cancelled) setError('Failed to load history')
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false)
+      })
+
+    return () => { cancelled = true }
+  }, [note.id, reloadCount])
+
+  const reload = () => {
+    setLoading(true)
+    setSelectedRevision(null)
+    setDiff(null)
+    setReloadCount(count => count + 1)
+  }
+
+  const selectRevision = async (revision) => {
+    setSelectedRevision(revision)
+    setDiff(null)
+    if (revision.id === revisions[0].id) return
+
+    try {
+      const response = await notesService.diffNoteRevisions({
+        noteId: note.id,
+        fromRevisionId: revisions[0].id,
+        toRevisionId: revision.id
+      })
+      setDiff(response)
+    } catch (error) {
+      console.error('Error loading diff:', error)
+      setError('Failed to load changes')
+    }
+  }
+
+  const restoreRevision = async () => {
+    try {
+      const response = await notesService.restoreNoteRevision({
+        noteId: note.id,
+        revisionId: selectedRevision.id
+      })
+      onRestore(response.note)
+      reload()
+    } catch (error) {
+      console.error('Error restoring revision:', error)
+      setError('Failed to restore this version')
+    }
+  }
+
+  return (
+    <div className="note-history">
+      <div className="note-history-header">
+        <h3>History</h3>
+        <div>
+          <button onClick={reload} className="history-icon-btn" title="Refresh">↻</button>
+          <button onClick={onClose} className="history-icon-btn" title="Close">×</button>
+        </div>
+      </div>
+
+      {error && <p className="history-error">{error}</p>}
+      {loading && <p className="history-empty">Loading history...</p>}
+      {!loading && revisions.length === 0 && (
+        <p className="history-empty">No earlier versions yet</p>
+      )}
+
+      <ul className="revision-list">
+        {revisions.map((revision, index) => (
+          <li
+            key={revision.id}
+            className={`revision-item ${selectedRevision?.id === revision.id ? 'selected' : ''}`}
+            onClick={() => selectRevision(revision)}
+          >
+            <span className="revision-date">{new Date(revision.updatedAt).toLocaleString()}</span>
+            <span className="revision-title">{index === 0 ? 'Current version' : revision.title}</span>
+          </li>
+        ))}
+      </ul>
+
+      {selectedRevision && selectedRevision.id !== revisions[0]?.id && (
+        <div className="revision-diff">
+          {diff && (
+            <>
+              <div className="revision-diff-summary">
+                <span>Restoring brings back {diff.added} and removes {diff.removed} line(s)</span>
+                <button onClick={restoreRevision} className="restore-btn">Restore</button>
+              </div>
+              {diff.fromRevision.title !== diff.toRevision.title && (
+                <p className="revision-title-change">
+                  Title: {diff.fromRevision.title} → {diff.toRevision.title}
+                </p>
+              )}
+              <pre className="diff-lines">
+                {diff.lines.map((line, index) => (
+                  <div key={index} className={`diff-line diff-${line.op}`}>
+                    {DIFF_MARKERS[line.op]} {line.text}
+                  </div>
+                ))}
+              </pre>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default NoteHistory
@@ -1,4 +1,26 @@
-function NotesMain({ selectedNote, onUpdateNote, onDeleteNote }) {
+import { useState } from 'react'
+import NoteHistory from './NoteHistory'
+import NoteConflict from './NoteConflict'
+import { mergeText } from '../../utils/mergeText'
+
+const SAVE_STATUS_LABELS = {
+  saving: 'Saving…',
+  saved: 'Saved',
+  offline: 'Offline · edits kept on this device',
+  error: 'Not saved'
+}
+
+function NotesMain({
+  selectedNote,
+  saveStatus,
+  onUpdateNote,
+  onDeleteNote,
+  onRestoreNote,
+  conflict,
+  onResolveConflict
+}) {
+  const [showHistory, setShowHistory] = useState(false)
+
   const handleTextChange = (e) => {
     if (selectedNote) {
       onUpdateNote(selectedNote.id, e.target.value)
@@ -30,7 +52,16 @@ function NotesMain({ selectedNote, onUpdateNote, onDeleteNote }) {
         <div className="note-detail-header">
           <h2>{selectedNote.title}</h2>
           <div className="note-actions">
+            {saveStatus && (
+              <span className={`save-status ${saveStatus}`}>{SAVE_STATUS_LABELS[saveStatus]}</span>
+            )}
             <span className="note-date-detail">{selectedNote.createdAt}</span>
+            <button
+              onClick={() => setShowHistory(!showHistory)}
+              className={`history-btn ${showHistory ? 'active' : ''}`}
+            >
+              🕘 History
+            </button>
             <button 
               onClick={handleDelete}
               className="delete-btn-main"
@@ -39,6 +70,14 @@ function NotesMain({ selectedNote, onUpdateNote, onDeleteNote }) {
             </button>
           </div>
         </div>
+        {conflict && (
+          <NoteConflict
+            theirs={conflict}
+            onMerge={() => onResolveConflict(conflict, mergeText(conflict.text, selectedNote.text))}
+            onOverwrite={() => onResolveConflict(conflict, selectedNote.text)}
+            onUseTheirs={() => onResolveConflict(conflict, conflict.text)}
+          />
+        )}
         <div className="note-content-main">
           <textarea
             value={selectedNote.text}
@@ -46,6 +85,14 @@ function NotesMain({ selectedNote, onUpdateNote, onDeleteNote }) {
             className="note-editor"
             placeholder="Start writing your note..."
           />
+          {showHistory && (
+            <NoteHistory
+              key={selectedNote.id}
+              note={selectedNote}
+              onRestore={onRestoreNote}
+              onClose={() => setShowHistory(false)}
+            />
+          )}
         </div>
       </div>
     </div>
@@ -1,27 +1,100 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useEffectEvent, useRef } from 'react'
 import NotesSidebar from './NotesSidebar'
 import NotesMain from './NotesMain'
-import { notesApi } from '../../utils/api'
+import { notesService } from '../../generated/grpcClients'
+import { GRPC_STATUS } from '../../utils/grpcWeb'
+import { loadDrafts, storeDraft, removeDraft } from '../../utils/noteDrafts'
 import './Notes.css'
 
-function NotesSection() {
+// Edits are saved once typing pauses this long
+const AUTOSAVE_DELAY_MS = 1000
+// Failed saves are retried with backoff, doubling up to the maximum
+const RETRY_DELAY_MS = 2000
+const MAX_RETRY_DELAY_MS = 60000
+
+// Failures of the connection or the gateway rather than of the edit itself.
+// Network errors carry no code; UNKNOWN covers HTTP errors such as a 429.
+const RETRYABLE_CODES = new Set([
+  undefined,
+  GRPC_STATUS.UNKNOWN,
+  GRPC_STATUS.DEADLINE_EXCEEDED,
+  GRPC_STATUS.RESOURCE_EXHAUSTED,
+  GRPC_STATUS.UNAVAILABLE
+])
+
+function NotesSection({ userId }) {
   const [notes, setNotes] = useState([])
   const [selectedNote, setSelectedNote] = useState(null)
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState('')
+  // Note id → server copy, for saves that hit a newer version
+  const [conflicts, setConflicts] = useState({})
+  // Note id → 'saving' | 'saved' | 'offline' | 'error'
+  const [saveStatus, setSaveStatus] = useState({})
+
+  // Per note: the last version the server acknowledged (sent as
+  // expectedVersion) and the autosave queue. The editor only changes local
+  // state; its newest text is sent once typing pauses, with at most one save
+  // per note in flight, so quick edits never conflict with each other.
+  const versions = useRef(new Map())
+  const saves = useRef(new Map())
+  // Set once the section unmounts, so late timers and responses send nothing more
+  const unmounted = useRef(false)
+
+  const acknowledge = (note) => {
+    versions.current.set(note.id, note.version)
+  }
+
+  const patchNote = (id, changes) => {
+    setNotes(current => current.map(note => note.id === id ? { ...note, ...changes } : note))
+    setSelectedNote(current => current && current.id === id ? { ...current, ...changes } : current)
+  }
+
+  // Effect events, so the mount effect below sees the current handlers
+  const loadInitialNotes = useEffectEvent(() => loadNotes())
+  const retrySaves = useEffectEvent(() => {
+    saves.current.forEach((save, id) => {
+      save.retryDelay = RETRY_DELAY_MS
+      flushSaves(id)
+    })
+  })
+  const flushPendingSaves = useEffectEvent(() => {
+    saves.current.forEach((save, id) => flushSaves(id))
+  })
+  const cancelPendingSaves = useEffectEvent(() => {
+    saves.current.forEach(save => clearTimeout(save.timer))
+  })
 
-  // Load notes when component mounts
+  // Load notes when component mounts, and retry unsent edits as soon as the
+  // browser is back online. Edits still waiting for a pause in typing are
+  // sent right away when the page is hidden, as it may be closing. On
+  // unmount they are dropped instead: their drafts are resumed by the next
+  // mount, and a save sent from here meanwhile would conflict with that one.
   useEffect(() => {
-    loadNotes()
+    unmounted.current = false
+    loadInitialNotes()
+
+    const handleOnline = () => retrySaves()
+    const handlePageHide = () => flushPendingSaves()
+    window.addEventListener('online', handleOnline)
+    window.addEventListener('pagehide', handlePageHide)
+    return () => {
+      unmounted.current = true
+      cancelPendingSaves()
+      window.removeEventListener('online', handleOnline)
+      window.removeEventListener('pagehide', handlePageHide)
+    }
   }, [])
 
   const loadNotes = async () => {
     try {
       setLoading(true)
       setError('')
-      const response = await notesApi.getAll()
+      const response = await notesService.getNotes()
       if (response.success) {
-        setNotes(response.data.notes || [])
+        response.notes.forEach(acknowledge)
+        setNotes(response.notes)
+        resumeDrafts(response.notes)
       } else {
         setError('Failed to load notes')
       }
@@ -41,9 +114,10 @@ function NotesSection() {
           text: text.trim()
         }
         
-        const response = await notesApi.create(noteData)
+        const response = await notesService.createNote(noteData)
         if (response.success) {
-          const newNote = response.data.note
+          const newNote = response.note
+          acknowledge(newNote)
           setNotes([newNote, ...notes])
           setSelectedNote(newNote)
           return true
@@ -62,12 +136,19 @@ function NotesSection() {
 
   const deleteNote = async (id) => {
     try {
-      const response = await notesApi.delete(id)
+      const response = await notesService.deleteNote({ id, expectedVersion: versions.current.get(id) })
       if (response.success) {
+        discardEdits(id)
+        saves.current.delete(id)
         setNotes(notes.filter(note => note.id !== id))
         if (selectedNote && selectedNote.id === id) {
           setSelectedNote(null)
         }
+      } else if (response.note) {
+        // Changed elsewhere since it was loaded: show that version instead
+        acknowledge(response.note)
+        patchNote(id, response.note)
+        setError('This note was changed somewhere else, so it was not deleted. Review it and delete again.')
       } else {
         setError('Failed to delete note')
       }
@@ -81,23 +162,147 @@ function NotesSection() {
     setSelectedNote(note)
   }
 
-  const updateNote = async (id, newText) => {
-    try {
-      const response = await notesApi.update(id, { text: newText })
-      if (response.success) {
-        setNotes(notes.map(note => 
-          note.id === id ? { ...note, text: newText } : note
-        ))
-        if (selectedNote && selectedNote.id === id) {
-          setSelectedNote({ ...selectedNote, text: newText })
+  const setStatus = (id, status) => {
+    setSaveStatus(current => ({ ...current, [id]: status }))
+  }
+
+  const saveEntry = (id) => {
+    if (!saves.current.has(id)) {
+      saves.current.set(id, {
+        text: null,
+        running: false,
+        conflicted: false,
+        timer: null,
+        retryDelay: RETRY_DELAY_MS
+      })
+    }
+    return saves.current.get(id)
+  }
+
+  // Sends the newest queued text for a note until the queue is empty. Stops
+  // at a conflict; edits made until the user resolves it stay local. A
+  // failed save keeps its text queued, retrying later if the failure was
+  // the connection's.
+  const flushSaves = async (id) => {
+    const save = saveEntry(id)
+    clearTimeout(save.timer)
+    if (unmounted.current || save.running || save.conflicted || save.text === null) return
+    save.running = true
+
+    while (save.text !== null && !save.conflicted && !unmounted.current) {
+      const text = save.text
+      save.text = null
+
+      try {
+        const response = await notesService.updateNote({
+          id,
+          text,
+          updateMask: 'text',
+          expectedVersion: versions.current.get(id)
+        })
+
+        if (response.success) {
+          acknowledge(response.note)
+          save.retryDelay = RETRY_DELAY_MS
+          if (save.text === null) {
+            removeDraft(userId, id)
+            setStatus(id, 'saved')
+          } else {
+            storeDraft(userId, id, { text: save.text, version: response.note.version })
+          }
+        } else if (response.note) {
+          save.conflicted = true
+          setStatus(id, 'error')
+          setConflicts(current => ({ ...current, [id]: response.note }))
+        } else {
+          setStatus(id, 'error')
+          setError('Failed to update note')
         }
-      } else {
-        setError('Failed to update note')
+      } catch (error) {
+        console.error('Error updating note:', error)
+        save.text = save.text ?? text
+
+        if (RETRYABLE_CODES.has(error.code)) {
+          setStatus(id, 'offline')
+          save.timer = setTimeout(() => flushSaves(id), save.retryDelay)
+          save.retryDelay = Math.min(save.retryDelay * 2, MAX_RETRY_DELAY_MS)
+        } else {
+          setStatus(id, 'error')
+          setError('Failed to update note. Please try again.')
+        }
+        break
       }
-    } catch (error) {
-      console.error('Error updating note:', error)
-      setError('Failed to update note. Please try again.')
     }
+
+    save.running = false
+  }
+
+  // Queues `text` as the note's next save, written through to localStorage
+  // until the server has it. A conflicted note keeps showing the error: its
+  // edits wait for the user to resolve the conflict.
+  const queueSave = (id, text) => {
+    const save = saveEntry(id)
+    save.text = text
+    storeDraft(userId, id, { text, version: versions.current.get(id) })
+    setStatus(id, save.conflicted ? 'error' : 'saving')
+
+    clearTimeout(save.timer)
+    save.timer = setTimeout(() => flushSaves(id), AUTOSAVE_DELAY_MS)
+  }
+
+  // Drops edits that haven't reached the server (restore, delete, resolve)
+  const discardEdits = (id) => {
+    const save = saveEntry(id)
+    clearTimeout(save.timer)
+    save.text = null
+    save.conflicted = false
+    removeDraft(userId, id)
+    setConflicts(current => Object.fromEntries(
+      Object.entries(current).filter(([noteId]) => Number(noteId) !== id)
+    ))
+  }
+
+  // Edits left unsent by an earlier session go back into the editor and the
+  // queue, still against the version they were written on
+  const resumeDrafts = (loadedNotes) => {
+    Object.entries(loadDrafts(userId)).forEach(([noteId, draft]) => {
+      const note = loadedNotes.find(candidate => candidate.id === Number(noteId))
+      if (!note || note.text === draft.text) {
+        removeDraft(userId, noteId)
+        return
+      }
+
+      versions.current.set(note.id, draft.version)
+      patchNote(note.id, { text: draft.text })
+      queueSave(note.id, draft.text)
+    })
+  }
+
+  const updateNote = (id, newText) => {
+    patchNote(id, { text: newText })
+    queueSave(id, newText)
+  }
+
+  // Every resolution continues from the server's version: keeping theirs
+  // as is, or saving mine or the merge on top of it
+  const resolveConflict = (theirs, text) => {
+    discardEdits(theirs.id)
+    acknowledge(theirs)
+
+    if (text === theirs.text) {
+      patchNote(theirs.id, theirs)
+      setStatus(theirs.id, 'saved')
+    } else {
+      patchNote(theirs.id, { ...theirs, text })
+      queueSave(theirs.id, text)
+    }
+  }
+
+  const restoreNote = (restoredNote) => {
+    discardEdits(restoredNote.id)
+    acknowledge(restoredNote)
+    patchNote(restoredNote.id, restoredNote)
+    setStatus(restoredNote.id, 'saved')
   }
 
   if (loading) {
@@ -131,6 +336,10 @@ function NotesSection() {
           selectedNote={selectedNote}
           onUpdateNote={updateNote}
           onDeleteNote={deleteNote}
+          onRestoreNote={restoreNote}
+          saveStatus={selectedNote && saveStatus[selectedNote.id]}
+          conflict={selectedNote && conflicts[selectedNote.id]}
+          onResolveConflict={resolveConflict}
         />
       </div>
     </div>
@@ -0,0 +1,614 @@
+// Code generated by scripts/generate-grpc-client.js from proto/. DO NOT EDIT.
+
+import { unaryCall, serverStreamCall } from '../utils/grpcWeb'
+
+/**
+ * @typedef {Object} AuthLoginRequest
+ * @property {string} [username]
+ * @property {string} [password]
+ */
+
+/**
+ * @typedef {Object} AuthLoginResponse
+ * @property {boolean} [success]
+ * @property {string} [message]
+ * @property {AuthUser} [user]
+ * @property {string} [accessToken]
+ * @property {string} [refreshToken]
+ */
+
+/**
+ * @typedef {Object} AuthUser
+ * @property {number} [id]
+ * @property {string} [name]
+ * @property {string} [email]
+ * @property {string} [username]
+ * @property {string} [createdAt]
+ * @property {string} [updatedAt]
+ */
+
+/**
+ * @typedef {Object} AuthRegisterRequest
+ * @property {string} [name]
+ * @property {string} [email]
+ * @property {string} [username]
+ * @property {string} [password]
+ */
+
+/**
+ * @typedef {Object} AuthRegisterResponse
+ * @property {boolean} [success]
+ * @property {string} [message]
+ * @property {AuthUser} [user]
+ * @property {string} [accessToken]
+ * @property {string} [refreshToken]
+ */
+
+/**
+ * @typedef {Object} AuthRefreshTokenRequest
+ * @property {string} [refreshToken]
+ */
+
+/**
+ * @typedef {Object} AuthRefreshTokenResponse
+ * @property {boolean} [success]
+ * @property {string} [accessToken]
+ * @property {string} [message]
+ * @property {string} [refreshToken]
+ */
+
+/**
+ * @typedef {Object} AuthLogoutRequest
+ * @property {string} [accessToken]
+ * @property {string} [refreshToken]
+ */
+
+/**
+ * @typedef {Object} AuthLogoutResponse
+ * @property {boolean} [success]
+ * @property {string} [message]
+ */
+
+/**
+ * @typedef {Object} NotesGetNotesRequest
+ * @property {number} [userId]
+ * @property {number} [page]
+ * @property {number} [limit]
+ * @property {boolean} [archived]
+ * @property {boolean} [pinned]
+ * @property {string} [search]
+ */
+
+/**
+ * @typedef {Object} NotesGetNotesResponse
+ * @property {boolean} [success]
+ * @property {Array<NotesNote>} [notes]
+ * @property {NotesPaginationInfo} [pagination]
+ * @property {string} [message]
+ */
+
+/**
+ * @typedef {Object} NotesNote
+ * @property {number} [id]
+ * @property {string} [title]
+ * @property {string} [text]
+ * @property {number} [userId]
+ * @property {Array<string>} [tags]
+ * @property {boolean} [isPinned]
+ * @property {boolean} [isArchived]
+ * @property {string} [createdAt]
+ * @property {string} [updatedAt]
+ * @property {number} [version]
+ */
+
+/**
+ * @typedef {Object} NotesPaginationInfo
+ * @property {number} [total]
+ * @property {number} [page]
+ * @property {number} [limit]
+ * @property {number} [pages]
+ */
+
+/**
+ * @typedef {Object} NotesGetNoteRequest
+ * @property {number} [id]
+ * @property {number} [userId]
+ */
+
+/**
+ * @typedef {Object} NotesGetNoteResponse
+ * @property {boolean} [success]
+ * @property {NotesNote} [note]
+ * @property {string} [message]
+ */
+
+/**
+ * @typedef {Object} NotesCreateNoteRequest
+ * @property {string} [title]
+ * @property {string} [text]
+ * @property {number} [userId]
+ * @property {Array<string>} [tags]
+ * @property {boolean} [isPinned]
+ */
+
+/**
+ * @typedef {Object} NotesCreateNoteResponse
+ * @property {boolean} [success]
+ * @property {NotesNote} [note]
+ * @property {string} [message]
+ */
+
+/**
+ * @typedef {Object} NotesUpdateNoteRequest
+ * @property {number} [id]
+ * @property {number} [userId]
+ * @property {string} [title]
+ * @property {string} [text]
+ * @property {Array<string>} [tags]
+ * @property {boolean} [isPinned]
+ * @property {boolean} [isArchived]
+ * @property {string} [updateMask]
+ * @property {number} [expectedVersion]
+ */
+
+/**
+ * @typedef {Object} NotesUpdateNoteResponse
+ * @property {boolean} [success]
+ * @property {NotesNote} [note]
+ * @property {string} [message]
+ */
+
+/**
+ * @typedef {Object} NotesDeleteNoteRequest
+ * @property {number} [id]
+ * @property {number} [userId]
+ * @property {number} [expectedVersion]
+ */
+
+/**
+ * @typedef {Object} NotesDeleteNoteResponse
+ * @property {boolean} [success]
+ * @property {string} [message]
+ * @property {NotesNote} [note]
+ */
+
+/**
+ * @typedef {Object} NotesSearchNotesRequest
+ * @property {number} [userId]
+ * @property {string} [query]
+ * @property {number} [limit]
+ */
+
+/**
+ * @typedef {Object} NotesSearchNotesResponse
+ * @property {boolean} [success]
+ * @property {Array<NotesNote>} [notes]
+ * @property {string} [query]
+ * @property {string} [message]
+ */
+
+/**
+ * @typedef {Object} NotesStreamNotesRequest
+ * @property {number} [userId]
+ */
+
+/**
+ * @typedef {Object} NotesNoteUpdateEvent
+ * @property {'created'|'updated'|'deleted'|'pinned'|'archived'} [type]
+ * @property {NotesNote} [note]
+ * @property {number} [userId]
+ * @property {string} [timestamp]
+ */
+
+/**
+ * @typedef {Object} NotesStreamUserNotesRequest
+ * @property {number} [userId]
+ */
+
+/**
+ * @typedef {Object} NotesListNoteRevisionsRequest
+ * @property {number} [noteId]
+ * @property {number} [userId]
+ */
+
+/**
+ * @typedef {Object} NotesListNoteRevisionsResponse
+ * @property {boolean} [success]
+ * @property {Array<NotesNoteRevision>} [revisions]
+ * @property {string} [message]
+ */
+
+/**
+ * @typedef {Object} NotesNoteRevision
+ * @property {number} [id]
+ * @property {number} [noteId]
+ * @property {string} [title]
+ * @property {string} [text]
+ * @property {string} [createdAt]
+ * @property {string} [updatedAt]
+ */
+
+/**
+ * @typedef {Object} NotesDiffNoteRevisionsRequest
+ * @property {number} [noteId]
+ * @property {number} [userId]
+ * @property {number} [fromRevisionId]
+ * @property {number} [toRevisionId]
+ */
+
+/**
+ * @typedef {Object} NotesDiffNoteRevisionsResponse
+ * @property {boolean} [success]
+ * @property {NotesNoteRevision} [fromRevision]
+ * @property {NotesNoteRevision} [toRevision]
+ * @property {Array<NotesDiffLine>} [lines]
+ * @property {number} [added]
+ * @property {number} [removed]
+ * @property {string} [message]
+ */
+
+/**
+ * @typedef {Object} NotesDiffLine
+ * @property {'equal'|'added'|'removed'} [op]
+ * @property {string} [text]
+ */
+
+/**
+ * @typedef {Object} NotesRestoreNoteRevisionRequest
+ * @property {number} [noteId]
+ * @property {number} [revisionId]
+ * @property {number} [userId]
+ */
+
+/**
+ * @typedef {Object} NotesRestoreNoteRevisionResponse
+ * @property {boolean} [success]
+ * @property {NotesNote} [note]
+ * @property {string} [message]
+ */
+
+/**
+ * @typedef {Object} TodosGetTodosRequest
+ * @property {number} [userId]
+ * @property {number} [page]
+ * @property {number} [limit]
+ * @property {boolean} [completed]
+ * @property {'low'|'medium'|'high'} [priority]
+ * @property {string} [category]
+ * @property {'pending'|'in_progress'|'completed'|'cancelled'} [status]
+ */
+
+/**
+ * @typedef {Object} TodosGetTodosResponse
+ * @property {boolean} [success]
+ * @property {Array<TodosTodo>} [todos]
+ * @property {TodosPaginationInfo} [pagination]
+ * @property {string} [message]
+ */
+
+/**
+ * @typedef {Object} TodosTodo
+ * @property {number} [id]
+ * @property {string} [text]
+ * @property {boolean} [completed]
+ * @property {number} [userId]
+ * @property {'low'|'medium'|'high'} [priority]
+ * @property {string} [dueDate]
+ * @property {string} [category]
+ * @property {string} [completedAt]
+ * @property {'pending'|'in_progress'|'completed'|'cancelled'} [status]
+ * @property {string} [createdAt]
+ * @property {string} [updatedAt]
+ * @property {number} [version]
+ */
+
+/**
+ * @typedef {Object} TodosPaginationInfo
+ * @property {number} [total]
+ * @property {number} [page]
+ * @property {number} [limit]
+ * @property {number} [pages]
+ */
+
+/**
+ * @typedef {Object} TodosGetTodoRequest
+ * @property {number} [id]
+ * @property {number} [userId]
+ */
+
+/**
+ * @typedef {Object} TodosGetTodoResponse
+ * @property {boolean} [success]
+ * @property {TodosTodo} [todo]
+ * @property {string} [message]
+ */
+
+/**
+ * @typedef {Object} TodosCreateTodoRequest
+ * @property {string} [text]
+ * @property {number} [userId]
+ * @property {'low'|'medium'|'high'} [priority]
+ * @property {string} [category]
+ * @property {string} [dueDate]
+ * @property {'pending'|'in_progress'|'completed'|'cancelled'} [status]
+ */
+
+/**
+ * @typedef {Object} TodosCreateTodoResponse
+ * @property {boolean} [success]
+ * @property {TodosTodo} [todo]
+ * @property {string} [message]
+ */
+
+/**
+ * @typedef {Object} TodosUpdateTodoRequest
+ * @property {number} [id]
+ * @property {number} [userId]
+ * @property {string} [text]
+ * @property {'low'|'medium'|'high'} [priority]
+ * @property {string} [category]
+ * @property {string} [dueDate]
+ * @property {boolean} [completed]
+ * @property {'pending'|'in_progress'|'completed'|'cancelled'} [status]
+ * @property {string} [updateMask]
+ * @property {number} [expectedVersion]
+ */
+
+/**
+ * @typedef {Object} TodosUpdateTodoResponse
+ * @property {boolean} [success]
+ * @property {TodosTodo} [todo]
+ * @property {string} [message]
+ */
+
+/**
+ * @typedef {Object} TodosToggleTodoRequest
+ * @property {number} [id]
+ * @property {number} [userId]
+ * @property {number} [expectedVersion]
+ */
+
+/**
+ * @typedef {Object} TodosToggleTodoResponse
+ * @property {boolean} [success]
+ * @property {TodosTodo} [todo]
+ * @property {string} [message]
+ */
+
+/**
+ * @typedef {Object} TodosDeleteTodoRequest
+ * @property {number} [id]
+ * @property {number} [userId]
+ * @property {number} [expectedVersion]
+ */
+
+/**
+ * @typedef {Object} TodosDeleteTodoResponse
+ * @property {boolean} [success]
+ * @property {string} [message]
+ * @property {TodosTodo} [todo]
+ */
+
+/**
+ * @typedef {Object} TodosGetTodoStatsRequest
+ * @property {number} [userId]
+ */
+
+/**
+ * @typedef {Object} TodosGetTodoStatsResponse
+ * @property {boolean} [success]
+ * @property {TodosTodoStats} [stats]
+ * @property {string} [message]
+ */
+
+/**
+ * @typedef {Object} TodosTodoStats
+ * @property {number} [total]
+ * @property {number} [completed]
+ * @property {number} [pending]
+ * @property {number} [overdue]
+ * @property {Array<TodosPriorityStats>} [byPriority]
+ * @property {Array<TodosCategoryStats>} [byCategory]
+ */
+
+/**
+ * @typedef {Object} TodosPriorityStats
+ * @property {'low'|'medium'|'high'} [priority]
+ * @property {number} [count]
+ */
+
+/**
+ * @typedef {Object} TodosCategoryStats
+ * @property {string} [category]
+ * @property {number} [count]
+ */
+
+/**
+ * @typedef {Object} TodosStreamTodosRequest
+ * @property {number} [userId]
+ */
+
+/**
+ * @typedef {Object} TodosTodoUpdateEvent
+ * @property {'created'|'updated'|'deleted'|'completed'|'uncompleted'|'status_changed'} [type]
+ * @property {TodosTodo} [todo]
+ * @property {number} [userId]
+ * @property {string} [timestamp]
+ */
+
+/**
+ * @typedef {Object} TodosStreamRemindersRequest
+ * @property {number} [userId]
+ */
+
+/**
+ * @typedef {Object} TodosTodoReminder
+ * @property {number} [todoId]
+ * @property {string} [text]
+ * @property {string} [dueDate]
+ * @property {'low'|'medium'|'high'} [priority]
+ * @property {string} [reminderMessage]
+ */
+
+// auth.AuthService
+export const authService = {
+  /**
+   * @param {AuthLoginRequest} [request]
+   * @returns {Promise<AuthLoginResponse>}
+   */
+  login: (request = {}) => unaryCall({ path: '/auth.AuthService/Login', types: ['auth.LoginRequest', 'auth.LoginResponse'] }, request),
+
+  /**
+   * @param {AuthRegisterRequest} [request]
+   * @returns {Promise<AuthRegisterResponse>}
+   */
+  register: (request = {}) => unaryCall({ path: '/auth.AuthService/Register', types: ['auth.RegisterRequest', 'auth.RegisterResponse'] }, request),
+
+  /**
+   * @param {AuthRefreshTokenRequest} [request]
+   * @returns {Promise<AuthRefreshTokenResponse>}
+   */
+  refreshToken: (request = {}) => unaryCall({ path: '/auth.AuthService/RefreshToken', types: ['auth.RefreshTokenRequest', 'auth.RefreshTokenResponse'] }, request),
+
+  /**
+   * @param {AuthLogoutRequest} [request]
+   * @returns {Promise<AuthLogoutResponse>}
+   */
+  logout: (request = {}) => unaryCall({ path: '/auth.AuthService/Logout', types: ['auth.LogoutRequest', 'auth.LogoutResponse'] }, request),
+
+  /**
+   * @param {AuthLogoutRequest} [request]
+   * @returns {Promise<AuthLogoutResponse>}
+   */
+  logoutAll: (request = {}) => unaryCall({ path: '/auth.AuthService/LogoutAll', types: ['auth.LogoutRequest', 'auth.LogoutResponse'] }, request)
+}
+
+// notes.NotesService
+export const notesService = {
+  /**
+   * @param {NotesGetNotesRequest} [request]
+   * @returns {Promise<NotesGetNotesResponse>}
+   */
+  getNotes: (request = {}) => unaryCall({ path: '/notes.NotesService/GetNotes', types: ['notes.GetNotesRequest', 'notes.GetNotesResponse'] }, request),
+
+  /**
+   * @param {NotesGetNoteRequest} [request]
+   * @returns {Promise<NotesGetNoteResponse>}
+   */
+  getNote: (request = {}) => unaryCall({ path: '/notes.NotesService/GetNote', types: ['notes.GetNoteRequest', 'notes.GetNoteResponse'] }, request),
+
+  /**
+   * @param {NotesCreateNoteRequest} [request]
+   * @returns {Promise<NotesCreateNoteResponse>}
+   */
+  createNote: (request = {}) => unaryCall({ path: '/notes.NotesService/CreateNote', types: ['notes.CreateNoteRequest', 'notes.CreateNoteResponse'] }, request),
+
+  /**
+   * @param {NotesUpdateNoteRequest} [request]
+   * @returns {Promise<NotesUpdateNoteResponse>}
+   */
+  updateNote: (request = {}) => unaryCall({ path: '/notes.NotesService/UpdateNote', types: ['notes.UpdateNoteRequest', 'notes.UpdateNoteResponse'] }, request),
+
+  /**
+   * @param {NotesDeleteNoteRequest} [request]
+   * @returns {Promise<NotesDeleteNoteResponse>}
+   */
+  deleteNote: (request = {}) => unaryCall({ path: '/notes.NotesService/DeleteNote', types: ['notes.DeleteNoteRequest', 'notes.DeleteNoteResponse'] }, request),
+
+  /**
+   * @param {NotesSearchNotesRequest} [request]
+   * @returns {Promise<NotesSearchNotesResponse>}
+   */
+  searchNotes: (request = {}) => unaryCall({ path: '/notes.NotesService/SearchNotes', types: ['notes.SearchNotesRequest', 'notes.SearchNotesResponse'] }, request),
+
+  /**
+   * @param {NotesStreamNotesRequest} request
+   * @param {{ onMessage: (message: NotesNoteUpdateEvent) => void, onError?: (error: Error) => void, onEnd?: () => void }} handlers
+   * @returns {{ cancel: () => void }}
+   */
+  streamNoteUpdates: (request, handlers) => serverStreamCall({ path: '/notes.NotesService/StreamNoteUpdates', types: ['notes.StreamNotesRequest', 'notes.NoteUpdateEvent'] }, request, handlers),
+
+  /**
+   * @param {NotesStreamUserNotesRequest} request
+   * @param {{ onMessage: (message: NotesNote) => void, onError?: (error: Error) => void, onEnd?: () => void }} handlers
+   * @returns {{ cancel: () => void }}
+   */
+  streamUserNotes: (request, handlers) => serverStreamCall({ path: '/notes.NotesService/StreamUserNotes', types: ['notes.StreamUserNotesRequest', 'notes.Note'] }, request, handlers),
+
+  /**
+   * @param {NotesListNoteRevisionsRequest} [request]
+   * @returns {Promise<NotesListNoteRevisionsResponse>}
+   */
+  listNoteRevisions: (request = {}) => unaryCall({ path: '/notes.NotesService/ListNoteRevisions', types: ['notes.ListNoteRevisionsRequest', 'notes.ListNoteRevisionsResponse'] }, request),
+
+  /**
+   * @param {NotesDiffNoteRevisionsRequest} [request]
+   * @returns {Promise<NotesDiffNoteRevisionsResponse>}
+   */
+  diffNoteRevisions: (request = {}) => unaryCall({ path: '/notes.NotesService/DiffNoteRevisions', types: ['notes.DiffNoteRevisionsRequest', 'notes.DiffNoteRevisionsResponse'] }, request),
+
+  /**
+   * @param {NotesRestoreNoteRevisionRequest} [request]
+   * @returns {Promise<NotesRestoreNoteRevisionResponse>}
+   */
+  restoreNoteRevision: (request = {}) => unaryCall({ path: '/notes.NotesService/RestoreNoteRevision', types: ['notes.RestoreNoteRevisionRequest', 'notes.RestoreNoteRevisionResponse'] }, request)
+}
+
+// todos.TodosService
+export const todosService = {
+  /**
+   * @param {TodosGetTodosRequest} [request]
+   * @returns {Promise<TodosGetTodosResponse>}
+   */
+  getTodos: (request = {}) => unaryCall({ path: '/todos.TodosService/GetTodos', types: ['todos.GetTodosRequest', 'todos.GetTodosResponse'] }, request),
+
+  /**
+   * @param {TodosGetTodoRequest} [request]
+   * @returns {Promise<TodosGetTodoResponse>}
+   */
+  getTodo: (request = {}) => unaryCall({ path: '/todos.TodosService/GetTodo', types: ['todos.GetTodoRequest', 'todos.GetTodoResponse'] }, request),
+
+  /**
+   * @param {TodosCreateTodoRequest} [request]
+   * @returns {Promise<TodosCreateTodoResponse>}
+   */
+  createTodo: (request = {}) => unaryCall({ path: '/todos.TodosService/CreateTodo', types: ['todos.CreateTodoRequest', 'todos.CreateTodoResponse'] }, request),
+
+  /**
+   * @param {TodosUpdateTodoRequest} [request]
+   * @returns {Promise<TodosUpdateTodoResponse>}
+   */
+  updateTodo: (request = {}) => unaryCall({ path: '/todos.TodosService/UpdateTodo', types: ['todos.UpdateTodoRequest', 'todos.UpdateTodoResponse'] }, request),
+
+  /**
+   * @param {TodosToggleTodoRequest} [request]
+   * @returns {Promise<TodosToggleTodoResponse>}
+   */
+  toggleTodo: (request = {}) => unaryCall({ path: '/todos.TodosService/ToggleTodo', types: ['todos.ToggleTodoRequest', 'todos.ToggleTodoResponse'] }, request),
+
+  /**
+   * @param {TodosDeleteTodoRequest} [request]
+   * @returns {Promise<TodosDeleteTodoResponse>}
+   */
+  deleteTodo: (request = {}) => unaryCall({ path: '/todos.TodosService/DeleteTodo', types: ['todos.DeleteTodoRequest', 'todos.DeleteTodoResponse'] }, request),
+
+  /**
+   * @param {TodosGetTodoStatsRequest} [request]
+   * @returns {Promise<TodosGetTodoStatsResponse>}
+   */
+  getTodoStats: (request = {}) => unaryCall({ path: '/todos.TodosService/GetTodoStats', types: ['todos.GetTodoStatsRequest', 'todos.GetTodoStatsResponse'] }, request),
+
+  /**
+   * @param {TodosStreamTodosRequest} request
+   * @param {{ onMessage: (message: TodosTodoUpdateEvent) => void, onError?: (error: Error) => void, onEnd?: () => void }} handlers
+   * @returns {{ cancel: () => void }}
+   */
+  streamTodoUpdates: (request, handlers) => serverStreamCall({ path: '/todos.TodosService/StreamTodoUpdates', types: ['todos.StreamTodosRequest', 'todos.TodoUpdateEvent'] }, request, handlers),
+
+  /**
+   * @param {TodosStreamRemindersRequest} request
+   * @param {{ onMessage: (message: TodosTodoReminder) => void, onError?: (error: Error) => void, onEnd?: () => void }} handlers
+   * @returns {{ cancel: () => void }}
+   */
+  streamTodoReminders: (request, handlers) => serverStreamCall({ path: '/todos.TodosService/StreamTodoReminders', types: ['todos.StreamRemindersRequest', 'todos.TodoReminder'] }, request, handlers)
+}
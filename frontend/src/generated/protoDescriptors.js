@@ -0,0 +1,1263 @@
+// Code generated by scripts/generate-grpc-client.js from proto/. DO NOT EDIT.
+export default {
+  "nested": {
+    "auth": {
+      "nested": {
+        "LoginRequest": {
+          "fields": {
+            "username": {
+              "type": "string",
+              "id": 1
+            },
+            "password": {
+              "type": "string",
+              "id": 2
+            }
+          }
+        },
+        "LoginResponse": {
+          "fields": {
+            "success": {
+              "type": "bool",
+              "id": 1
+            },
+            "message": {
+              "type": "string",
+              "id": 2
+            },
+            "user": {
+              "type": "User",
+              "id": 3
+            },
+            "accessToken": {
+              "type": "string",
+              "id": 4
+            },
+            "refreshToken": {
+              "type": "string",
+              "id": 5
+            }
+          }
+        },
+        "RegisterRequest": {
+          "fields": {
+            "name": {
+              "type": "string",
+              "id": 1
+            },
+            "email": {
+              "type": "string",
+              "id": 2
+            },
+            "username": {
+              "type": "string",
+              "id": 3
+            },
+            "password": {
+              "type": "string",
+              "id": 4
+            }
+          }
+        },
+        "RegisterResponse": {
+          "fields": {
+            "success": {
+              "type": "bool",
+              "id": 1
+            },
+            "message": {
+              "type": "string",
+              "id": 2
+            },
+            "user": {
+              "type": "User",
+              "id": 3
+            },
+            "accessToken": {
+              "type": "string",
+              "id": 4
+            },
+            "refreshToken": {
+              "type": "string",
+              "id": 5
+            }
+          }
+        },
+        "RefreshTokenRequest": {
+          "fields": {
+            "refreshToken": {
+              "type": "string",
+              "id": 1
+            }
+          }
+        },
+        "RefreshTokenResponse": {
+          "fields": {
+            "success": {
+              "type": "bool",
+              "id": 1
+            },
+            "accessToken": {
+              "type": "string",
+              "id": 2
+            },
+            "message": {
+              "type": "string",
+              "id": 3
+            },
+            "refreshToken": {
+              "type": "string",
+              "id": 4
+            }
+          }
+        },
+        "LogoutRequest": {
+          "fields": {
+            "accessToken": {
+              "type": "string",
+              "id": 1
+            },
+            "refreshToken": {
+              "type": "string",
+              "id": 2
+            }
+          }
+        },
+        "LogoutResponse": {
+          "fields": {
+            "success": {
+              "type": "bool",
+              "id": 1
+            },
+            "message": {
+              "type": "string",
+              "id": 2
+            }
+          }
+        },
+        "User": {
+          "fields": {
+            "id": {
+              "type": "int32",
+              "id": 1
+            },
+            "name": {
+              "type": "string",
+              "id": 2
+            },
+            "email": {
+              "type": "string",
+              "id": 3
+            },
+            "username": {
+              "type": "string",
+              "id": 4
+            },
+            "createdAt": {
+              "type": "string",
+              "id": 5
+            },
+            "updatedAt": {
+              "type": "string",
+              "id": 6
+            }
+          }
+        }
+      }
+    },
+    "notes": {
+      "nested": {
+        "GetNotesRequest": {
+          "fields": {
+            "userId": {
+              "type": "int32",
+              "id": 1
+            },
+            "page": {
+              "type": "int32",
+              "id": 2
+            },
+            "limit": {
+              "type": "int32",
+              "id": 3
+            },
+            "archived": {
+              "type": "bool",
+              "id": 4
+            },
+            "pinned": {
+              "type": "bool",
+              "id": 5
+            },
+            "search": {
+              "type": "string",
+              "id": 6
+            }
+          }
+        },
+        "GetNoteRequest": {
+          "fields": {
+            "id": {
+              "type": "int32",
+              "id": 1
+            },
+            "userId": {
+              "type": "int32",
+              "id": 2
+            }
+          }
+        },
+        "CreateNoteRequest": {
+          "fields": {
+            "title": {
+              "type": "string",
+              "id": 1
+            },
+            "text": {
+              "type": "string",
+              "id": 2
+            },
+            "userId": {
+              "type": "int32",
+              "id": 3
+            },
+            "tags": {
+              "rule": "repeated",
+              "type": "string",
+              "id": 4
+            },
+            "isPinned": {
+              "type": "bool",
+              "id": 5
+            }
+          }
+        },
+        "UpdateNoteRequest": {
+          "fields": {
+            "id": {
+              "type": "int32",
+              "id": 1
+            },
+            "userId": {
+              "type": "int32",
+              "id": 2
+            },
+            "title": {
+              "type": "string",
+              "id": 3
+            },
+            "text": {
+              "type": "string",
+              "id": 4
+            },
+            "tags": {
+              "rule": "repeated",
+              "type": "string",
+              "id": 5
+            },
+            "isPinned": {
+              "type": "bool",
+              "id": 6
+            },
+            "isArchived": {
+              "type": "bool",
+              "id": 7
+            },
+            "updateMask": {
+              "type": "google.protobuf.FieldMask",
+              "id": 8
+            },
+            "expectedVersion": {
+              "type": "int32",
+              "id": 9
+            }
+          }
+        },
+        "DeleteNoteRequest": {
+          "fields": {
+            "id": {
+              "type": "int32",
+              "id": 1
+            },
+            "userId": {
+              "type": "int32",
+              "id": 2
+            },
+            "expectedVersion": {
+              "type": "int32",
+              "id": 3
+            }
+          }
+        },
+        "SearchNotesRequest": {
+          "fields": {
+            "userId": {
+              "type": "int32",
+              "id": 1
+            },
+            "query": {
+              "type": "string",
+              "id": 2
+            },
+            "limit": {
+              "type": "int32",
+              "id": 3
+            }
+          }
+        },
+        "StreamNotesRequest": {
+          "fields": {
+            "userId": {
+              "type": "int32",
+              "id": 1
+            }
+          }
+        },
+        "StreamUserNotesRequest": {
+          "fields": {
+            "userId": {
+              "type": "int32",
+              "id": 1
+            }
+          }
+        },
+        "ListNoteRevisionsRequest": {
+          "fields": {
+            "noteId": {
+              "type": "int32",
+              "id": 1
+            },
+            "userId": {
+              "type": "int32",
+              "id": 2
+            }
+          }
+        },
+        "DiffNoteRevisionsRequest": {
+          "fields": {
+            "noteId": {
+              "type": "int32",
+              "id": 1
+            },
+            "userId": {
+              "type": "int32",
+              "id": 2
+            },
+            "fromRevisionId": {
+              "type": "int32",
+              "id": 3
+            },
+            "toRevisionId": {
+              "type": "int32",
+              "id": 4
+            }
+          }
+        },
+        "RestoreNoteRevisionRequest": {
+          "fields": {
+            "noteId": {
+              "type": "int32",
+              "id": 1
+            },
+            "revisionId": {
+              "type": "int32",
+              "id": 2
+            },
+            "userId": {
+              "type": "int32",
+              "id": 3
+            }
+          }
+        },
+        "GetNotesResponse": {
+          "fields": {
+            "success": {
+              "type": "bool",
+              "id": 1
+            },
+            "notes": {
+              "rule": "repeated",
+              "type": "Note",
+              "id": 2
+            },
+            "pagination": {
+              "type": "PaginationInfo",
+              "id": 3
+            },
+            "message": {
+              "type": "string",
+              "id": 4
+            }
+          }
+        },
+        "GetNoteResponse": {
+          "fields": {
+            "success": {
+              "type": "bool",
+              "id": 1
+            },
+            "note": {
+              "type": "Note",
+              "id": 2
+            },
+            "message": {
+              "type": "string",
+              "id": 3
+            }
+          }
+        },
+        "CreateNoteResponse": {
+          "fields": {
+            "success": {
+              "type": "bool",
+              "id": 1
+            },
+            "note": {
+              "type": "Note",
+              "id": 2
+            },
+            "message": {
+              "type": "string",
+              "id": 3
+            }
+          }
+        },
+        "UpdateNoteResponse": {
+          "fields": {
+            "success": {
+              "type": "bool",
+              "id": 1
+            },
+            "note": {
+              "type": "Note",
+              "id": 2
+            },
+            "message": {
+              "type": "string",
+              "id": 3
+            }
+          }
+        },
+        "DeleteNoteResponse": {
+          "fields": {
+            "success": {
+              "type": "bool",
+              "id": 1
+            },
+            "message": {
+              "type": "string",
+              "id": 2
+            },
+            "note": {
+              "type": "Note",
+              "id": 3
+            }
+          }
+        },
+        "SearchNotesResponse": {
+          "fields": {
+            "success": {
+              "type": "bool",
+              "id": 1
+            },
+            "notes": {
+              "rule": "repeated",
+              "type": "Note",
+              "id": 2
+            },
+            "query": {
+              "type": "string",
+              "id": 3
+            },
+            "message": {
+              "type": "string",
+              "id": 4
+            }
+          }
+        },
+        "ListNoteRevisionsResponse": {
+          "fields": {
+            "success": {
+              "type": "bool",
+              "id": 1
+            },
+            "revisions": {
+              "rule": "repeated",
+              "type": "NoteRevision",
+              "id": 2
+            },
+            "message": {
+              "type": "string",
+              "id": 3
+            }
+          }
+        },
+        "DiffNoteRevisionsResponse": {
+          "fields": {
+            "success": {
+              "type": "bool",
+              "id": 1
+            },
+            "fromRevision": {
+              "type": "NoteRevision",
+              "id": 2
+            },
+            "toRevision": {
+              "type": "NoteRevision",
+              "id": 3
+            },
+            "lines": {
+              "rule": "repeated",
+              "type": "DiffLine",
+              "id": 4
+            },
+            "added": {
+              "type": "int32",
+              "id": 5
+            },
+            "removed": {
+              "type": "int32",
+              "id": 6
+            },
+            "message": {
+              "type": "string",
+              "id": 7
+            }
+          }
+        },
+        "RestoreNoteRevisionResponse": {
+          "fields": {
+            "success": {
+              "type": "bool",
+              "id": 1
+            },
+            "note": {
+              "type": "Note",
+              "id": 2
+            },
+            "message": {
+              "type": "string",
+              "id": 3
+            }
+          }
+        },
+        "Note": {
+          "fields": {
+            "id": {
+              "type": "int32",
+              "id": 1
+            },
+            "title": {
+              "type": "string",
+              "id": 2
+            },
+            "text": {
+              "type": "string",
+              "id": 3
+            },
+            "userId": {
+              "type": "int32",
+              "id": 4
+            },
+            "tags": {
+              "rule": "repeated",
+              "type": "string",
+              "id": 5
+            },
+            "isPinned": {
+              "type": "bool",
+              "id": 6
+            },
+            "isArchived": {
+              "type": "bool",
+              "id": 7
+            },
+            "createdAt": {
+              "type": "google.protobuf.Timestamp",
+              "id": 8
+            },
+            "updatedAt": {
+              "type": "google.protobuf.Timestamp",
+              "id": 9
+            },
+            "version": {
+              "type": "int32",
+              "id": 10
+            }
+          }
+        },
+        "NoteRevision": {
+          "fields": {
+            "id": {
+              "type": "int32",
+              "id": 1
+            },
+            "noteId": {
+              "type": "int32",
+              "id": 2
+            },
+            "title": {
+              "type": "string",
+              "id": 3
+            },
+            "text": {
+              "type": "string",
+              "id": 4
+            },
+            "createdAt": {
+              "type": "google.protobuf.Timestamp",
+              "id": 5
+            },
+            "updatedAt": {
+              "type": "google.protobuf.Timestamp",
+              "id": 6
+            }
+          }
+        },
+        "DiffLine": {
+          "fields": {
+            "op": {
+              "type": "Op",
+              "id": 1
+            },
+            "text": {
+              "type": "string",
+              "id": 2
+            }
+          },
+          "nested": {
+            "Op": {
+              "values": {
+                "EQUAL": 0,
+                "ADDED": 1,
+                "REMOVED": 2
+              }
+            }
+          }
+        },
+        "PaginationInfo": {
+          "fields": {
+            "total": {
+              "type": "int32",
+              "id": 1
+            },
+            "page": {
+              "type": "int32",
+              "id": 2
+            },
+            "limit": {
+              "type": "int32",
+              "id": 3
+            },
+            "pages": {
+              "type": "int32",
+              "id": 4
+            }
+          }
+        },
+        "NoteUpdateEvent": {
+          "fields": {
+            "type": {
+              "type": "EventType",
+              "id": 1
+            },
+            "note": {
+              "type": "Note",
+              "id": 2
+            },
+            "userId": {
+              "type": "int32",
+              "id": 3
+            },
+            "timestamp": {
+              "type": "google.protobuf.Timestamp",
+              "id": 4
+            }
+          },
+          "nested": {
+            "EventType": {
+              "values": {
+                "CREATED": 0,
+                "UPDATED": 1,
+                "DELETED": 2,
+                "PINNED": 3,
+                "ARCHIVED": 4
+              }
+            }
+          }
+        }
+      }
+    },
+    "google": {
+      "nested": {
+        "protobuf": {
+          "nested": {
+            "Timestamp": {
+              "fields": {
+                "seconds": {
+                  "type": "int64",
+                  "id": 1
+                },
+                "nanos": {
+                  "type": "int32",
+                  "id": 2
+                }
+              }
+            },
+            "FieldMask": {
+              "fields": {
+                "paths": {
+                  "rule": "repeated",
+                  "type": "string",
+                  "id": 1
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    "todos": {
+      "nested": {
+        "Priority": {
+          "values": {
+            "LOW": 0,
+            "MEDIUM": 1,
+            "HIGH": 2
+          }
+        },
+        "TodoStatus": {
+          "values": {
+            "PENDING": 0,
+            "IN_PROGRESS": 1,
+            "COMPLETED": 2,
+            "CANCELLED": 3
+          }
+        },
+        "GetTodosRequest": {
+          "oneofs": {
+            "_completed": {
+              "oneof": [
+                "completed"
+              ]
+            },
+            "_priority": {
+              "oneof": [
+                "priority"
+              ]
+            },
+            "_status": {
+              "oneof": [
+                "status"
+              ]
+            }
+          },
+          "fields": {
+            "userId": {
+              "type": "int32",
+              "id": 1
+            },
+            "page": {
+              "type": "int32",
+              "id": 2
+            },
+            "limit": {
+              "type": "int32",
+              "id": 3
+            },
+            "completed": {
+              "type": "bool",
+              "id": 4,
+              "options": {
+                "proto3_optional": true
+              }
+            },
+            "priority": {
+              "type": "Priority",
+              "id": 5,
+              "options": {
+                "proto3_optional": true
+              }
+            },
+            "category": {
+              "type": "string",
+              "id": 6
+            },
+            "status": {
+              "type": "TodoStatus",
+              "id": 7,
+              "options": {
+                "proto3_optional": true
+              }
+            }
+          }
+        },
+        "GetTodoRequest": {
+          "fields": {
+            "id": {
+              "type": "int32",
+              "id": 1
+            },
+            "userId": {
+              "type": "int32",
+              "id": 2
+            }
+          }
+        },
+        "CreateTodoRequest": {
+          "fields": {
+            "text": {
+              "type": "string",
+              "id": 1
+            },
+            "userId": {
+              "type": "int32",
+              "id": 2
+            },
+            "priority": {
+              "type": "Priority",
+              "id": 3
+            },
+            "category": {
+              "type": "string",
+              "id": 4
+            },
+            "dueDate": {
+              "type": "google.protobuf.Timestamp",
+              "id": 5
+            },
+            "status": {
+              "type": "TodoStatus",
+              "id": 6
+            }
+          }
+        },
+        "UpdateTodoRequest": {
+          "oneofs": {
+            "_priority": {
+              "oneof": [
+                "priority"
+              ]
+            },
+            "_completed": {
+              "oneof": [
+                "completed"
+              ]
+            },
+            "_status": {
+              "oneof": [
+                "status"
+              ]
+            }
+          },
+          "fields": {
+            "id": {
+              "type": "int32",
+              "id": 1
+            },
+            "userId": {
+              "type": "int32",
+              "id": 2
+            },
+            "text": {
+              "type": "string",
+              "id": 3
+            },
+            "priority": {
+              "type": "Priority",
+              "id": 4,
+              "options": {
+                "proto3_optional": true
+              }
+            },
+            "category": {
+              "type": "string",
+              "id": 5
+            },
+            "dueDate": {
+              "type": "google.protobuf.Timestamp",
+              "id": 6
+            },
+            "completed": {
+              "type": "bool",
+              "id": 7,
+              "options": {
+                "proto3_optional": true
+              }
+            },
+            "status": {
+              "type": "TodoStatus",
+              "id": 8,
+              "options": {
+                "proto3_optional": true
+              }
+            },
+            "updateMask": {
+              "type": "google.protobuf.FieldMask",
+              "id": 9
+            },
+            "expectedVersion": {
+              "type": "int32",
+              "id": 10
+            }
+          }
+        },
+        "ToggleTodoRequest": {
+          "fields": {
+            "id": {
+              "type": "int32",
+              "id": 1
+            },
+            "userId": {
+              "type": "int32",
+              "id": 2
+            },
+            "expectedVersion": {
+              "type": "int32",
+              "id": 3
+            }
+          }
+        },
+        "DeleteTodoRequest": {
+          "fields": {
+            "id": {
+              "type": "int32",
+              "id": 1
+            },
+            "userId": {
+              "type": "int32",
+              "id": 2
+            },
+            "expectedVersion": {
+              "type": "int32",
+              "id": 3
+            }
+          }
+        },
+        "GetTodoStatsRequest": {
+          "fields": {
+            "userId": {
+              "type": "int32",
+              "id": 1
+            }
+          }
+        },
+        "StreamTodosRequest": {
+          "fields": {
+            "userId": {
+              "type": "int32",
+              "id": 1
+            }
+          }
+        },
+        "StreamRemindersRequest": {
+          "fields": {
+            "userId": {
+              "type": "int32",
+              "id": 1
+            }
+          }
+        },
+        "GetTodosResponse": {
+          "fields": {
+            "success": {
+              "type": "bool",
+              "id": 1
+            },
+            "todos": {
+              "rule": "repeated",
+              "type": "Todo",
+              "id": 2
+            },
+            "pagination": {
+              "type": "PaginationInfo",
+              "id": 3
+            },
+            "message": {
+              "type": "string",
+              "id": 4
+            }
+          }
+        },
+        "GetTodoResponse": {
+          "fields": {
+            "success": {
+              "type": "bool",
+              "id": 1
+            },
+            "todo": {
+              "type": "Todo",
+              "id": 2
+            },
+            "message": {
+              "type": "string",
+              "id": 3
+            }
+          }
+        },
+        "CreateTodoResponse": {
+          "fields": {
+            "success": {
+              "type": "bool",
+              "id": 1
+            },
+            "todo": {
+              "type": "Todo",
+              "id": 2
+            },
+            "message": {
+              "type": "string",
+              "id": 3
+            }
+          }
+        },
+        "UpdateTodoResponse": {
+          "fields": {
+            "success": {
+              "type": "bool",
+              "id": 1
+            },
+            "todo": {
+              "type": "Todo",
+              "id": 2
+            },
+            "message": {
+              "type": "string",
+              "id": 3
+            }
+          }
+        },
+        "ToggleTodoResponse": {
+          "fields": {
+            "success": {
+              "type": "bool",
+              "id": 1
+            },
+            "todo": {
+              "type": "Todo",
+              "id": 2
+            },
+            "message": {
+              "type": "string",
+              "id": 3
+            }
+          }
+        },
+        "DeleteTodoResponse": {
+          "fields": {
+            "success": {
+              "type": "bool",
+              "id": 1
+            },
+            "message": {
+              "type": "string",
+              "id": 2
+            },
+            "todo": {
+              "type": "Todo",
+              "id": 3
+            }
+          }
+        },
+        "GetTodoStatsResponse": {
+          "fields": {
+            "success": {
+              "type": "bool",
+              "id": 1
+            },
+            "stats": {
+              "type": "TodoStats",
+              "id": 2
+            },
+            "message": {
+              "type": "string",
+              "id": 3
+            }
+          }
+        },
+        "Todo": {
+          "fields": {
+            "id": {
+              "type": "int32",
+              "id": 1
+            },
+            "text": {
+              "type": "string",
+              "id": 2
+            },
+            "completed": {
+              "type": "bool",
+              "id": 3
+            },
+            "userId": {
+              "type": "int32",
+              "id": 4
+            },
+            "priority": {
+              "type": "Priority",
+              "id": 5
+            },
+            "dueDate": {
+              "type": "google.protobuf.Timestamp",
+              "id": 6
+            },
+            "category": {
+              "type": "string",
+              "id": 7
+            },
+            "completedAt": {
+              "type": "google.protobuf.Timestamp",
+              "id": 8
+            },
+            "status": {
+              "type": "TodoStatus",
+              "id": 9
+            },
+            "createdAt": {
+              "type": "google.protobuf.Timestamp",
+              "id": 10
+            },
+            "updatedAt": {
+              "type": "google.protobuf.Timestamp",
+              "id": 11
+            },
+            "version": {
+              "type": "int32",
+              "id": 12
+            }
+          }
+        },
+        "PaginationInfo": {
+          "fields": {
+            "total": {
+              "type": "int32",
+              "id": 1
+            },
+            "page": {
+              "type": "int32",
+              "id": 2
+            },
+            "limit": {
+              "type": "int32",
+              "id": 3
+            },
+            "pages": {
+              "type": "int32",
+              "id": 4
+            }
+          }
+        },
+        "TodoStats": {
+          "fields": {
+            "total": {
+              "type": "int32",
+              "id": 1
+            },
+            "completed": {
+              "type": "int32",
+              "id": 2
+            },
+            "pending": {
+              "type": "int32",
+              "id": 3
+            },
+            "overdue": {
+              "type": "int32",
+              "id": 4
+            },
+            "byPriority": {
+              "rule": "repeated",
+              "type": "PriorityStats",
+              "id": 5
+            },
+            "byCategory": {
+              "rule": "repeated",
+              "type": "CategoryStats",
+              "id": 6
+            }
+          }
+        },
+        "PriorityStats": {
+          "fields": {
+            "priority": {
+              "type": "Priority",
+              "id": 1
+            },
+            "count": {
+              "type": "int32",
+              "id": 2
+            }
+          }
+        },
+        "CategoryStats": {
+          "fields": {
+            "category": {
+              "type": "string",
+              "id": 1
+            },
+            "count": {
+              "type": "int32",
+              "id": 2
+            }
+          }
+        },
+        "TodoUpdateEvent": {
+          "fields": {
+            "type": {
+              "type": "EventType",
+              "id": 1
+            },
+            "todo": {
+              "type": "Todo",
+              "id": 2
+            },
+            "userId": {
+              "type": "int32",
+              "id": 3
+            },
+            "timestamp": {
+              "type": "google.protobuf.Timestamp",
+              "id": 4
+            }
+          },
+          "nested": {
+            "EventType": {
+              "values": {
+                "CREATED": 0,
+                "UPDATED": 1,
+                "DELETED": 2,
+                "COMPLETED": 3,
+                "UNCOMPLETED": 4,
+                "STATUS_CHANGED": 5
+              }
+            }
+          }
+        },
+        "TodoReminder": {
+          "fields": {
+            "todoId": {
+              "type": "int32",
+              "id": 1
+            },
+            "text": {
+              "type": "string",
+              "id": 2
+            },
+            "dueDate": {
+              "type": "google.protobuf.Timestamp",
+              "id": 3
+            },
+            "priority": {
+              "type": "Priority",
+              "id": 4
+            },
+            "reminderMessage": {
+              "type": "string",
+              "id": 5
+            }
+          }
+        }
+      }
+    }
+  }
+}
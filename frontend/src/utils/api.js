@@ -15,15 +15,81 @@ const getAuthHeaders = () => {
   };
 };
 
-// Generic API call function
-const apiCall = async (endpoint, options = {}) => {
+// Get refresh token from localStorage
+const getRefreshToken = () => {
+  return localStorage.getItem('refreshToken');
+};
+
+// Concurrent 401s share one refresh request, since each refresh token can only be used once
+let refreshPromise = null;
+
+// Exchange the refresh token for a new token pair. Resolves to true on success.
+const requestTokenRefresh = async () => {
+  const refreshToken = getRefreshToken();
+  if (!refreshToken) {
+    return false;
+  }
+
   try {
+    const response = await fetch(`${API_BASE_URL}/auth/refresh`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken })
+    });
+    const data = await response.json();
+
+    if (!response.ok || !data.success) {
+      // Refresh token expired or revoked, the user has to log in again
+      localStorage.removeItem('token');
+      localStorage.removeItem('refreshToken');
+      return false;
+    }
+
+    localStorage.setItem('token', data.data.token);
+    localStorage.setItem('refreshToken', data.data.refreshToken);
+    return true;
+  } catch (error) {
+    console.error('Token refresh failed:', error);
+    return false;
+  }
+};
+
+// The shared promise is cleared once settled, however the refresh ended, so
+// the next 401 (e.g. after logging in again) starts a fresh one. `.finally`
+// runs after the assignment even when the refresh settles synchronously.
+export const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    refreshPromise = requestTokenRefresh().finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+};
+
+// If-Match for the version the caller last saw, so a write that lost a race
+// with an edit made elsewhere is answered with 412 instead of overwriting it
+const ifMatch = (version) => (version ? { 'If-Match': `"${version}"` } : {});
+
+// Generic API call function, retried once after a silent token refresh.
+// A 412 resolves with its body ({ success: false, data } holding the
+// server's copy) instead of throwing, so callers can offer to merge.
+const apiCall = async (endpoint, options = {}, retry = true) => {
+  try {
+    const { headers, ...rest } = options;
     const response = await fetch(`${API_BASE_URL}${endpoint}`, {
-      headers: getAuthHeaders(),
-      ...options
+      ...rest,
+      headers: { ...getAuthHeaders(), ...headers }
     });
 
+    if (response.status === 401 && retry && await refreshAccessToken()) {
+      return apiCall(endpoint, options, false);
+    }
+
     const data = await response.json();
+
+    if (response.status === 412) {
+      return data;
+    }
     
     if (!response.ok) {
       throw new Error(data.message || 'API request failed');
@@ -47,15 +113,18 @@ export const notesApi = {
     body: JSON.stringify(noteData)
   }),
   
-  // Update a note
-  update: (id, noteData) => apiCall(`/notes/${id}`, {
+  // Update a note, unless it has moved past `version` (the one last loaded
+  // or saved). On a conflict, resolves with { success: false, data: { note } }.
+  update: (id, noteData, version) => apiCall(`/notes/${id}`, {
     method: 'PUT',
+    headers: ifMatch(version),
     body: JSON.stringify(noteData)
   }),
   
-  // Delete a note
-  delete: (id) => apiCall(`/notes/${id}`, {
-    method: 'DELETE'
+  // Delete a note, with the same version check as update
+  delete: (id, version) => apiCall(`/notes/${id}`, {
+    method: 'DELETE',
+    headers: ifMatch(version)
   }),
   
   // Search notes
@@ -0,0 +1,217 @@
+// gRPC-Web transport for the generated clients in src/generated
+//
+// Calls go to the gateway's /grpc endpoint as length-prefixed protobuf
+// frames. Requests and responses are converted to the same JSON shape the
+// REST API returns, so components can switch between the two freely.
+import protobuf from 'protobufjs/light'
+import descriptors from '../generated/protoDescriptors'
+import { refreshAccessToken } from './api'
+
+// Same origin: nginx (and the Vite dev server) proxy /grpc/ to the gateway
+const GRPC_WEB_URL = '/grpc'
+
+const root = protobuf.Root.fromJSON(descriptors)
+root.resolveAll()
+
+// Status codes the client itself reacts to
+export const GRPC_STATUS = {
+  OK: 0,
+  UNKNOWN: 2,
+  DEADLINE_EXCEEDED: 4,
+  RESOURCE_EXHAUSTED: 8,
+  UNAVAILABLE: 14,
+  UNAUTHENTICATED: 16
+}
+
+const TIMESTAMP_TYPE = '.google.protobuf.Timestamp'
+const FIELD_MASK_TYPE = '.google.protobuf.FieldMask'
+const FRAME_HEADER_LENGTH = 5
+const TRAILER_FLAG = 0x80
+
+const grpcError = (code, message) => {
+  const error = new Error(message || `gRPC error ${code}`)
+  error.code = code
+  return error
+}
+
+const toSnakeCase = (name) => name.replace(/[A-Z]/g, char => `_${char.toLowerCase()}`)
+const toCamelCase = (name) => name.replace(/_([a-z0-9])/g, (match, char) => char.toUpperCase())
+
+// REST-style JSON → plain object protobufjs can encode
+const toProto = (type, json) => {
+  const object = {}
+  type.fieldsArray.forEach(field => {
+    const value = json[field.name]
+    if (value === undefined || value === null) return
+
+    const convert = (item) => {
+      const resolved = field.resolvedType
+      if (resolved instanceof protobuf.Enum) return typeof item === 'string' ? item.toUpperCase() : item
+      if (resolved?.fullName === TIMESTAMP_TYPE) {
+        const millis = new Date(item).getTime()
+        return { seconds: Math.floor(millis / 1000), nanos: (millis % 1000) * 1e6 }
+      }
+      if (resolved?.fullName === FIELD_MASK_TYPE) {
+        const paths = Array.isArray(item) ? item : item.split(',').filter(Boolean)
+        return { paths: paths.map(toSnakeCase) }
+      }
+      return resolved ? toProto(resolved, item) : item
+    }
+
+    object[field.name] = field.repeated ? value.map(convert) : convert(value)
+  })
+  return object
+}
+
+// Decoded message → REST-style JSON
+const fromProto = (type, object) => {
+  const json = {}
+  type.fieldsArray.forEach(field => {
+    const value = object[field.name]
+    if (value === undefined || value === null) {
+      json[field.name] = null
+      return
+    }
+
+    const convert = (item) => {
+      const resolved = field.resolvedType
+      if (resolved instanceof protobuf.Enum) return item.toLowerCase()
+      if (resolved?.fullName === TIMESTAMP_TYPE) {
+        return new Date(Number(item.seconds) * 1000 + Math.floor(item.nanos / 1e6)).toISOString()
+      }
+      if (resolved?.fullName === FIELD_MASK_TYPE) return item.paths.map(toCamelCase).join(',')
+      return resolved ? fromProto(resolved, item) : item
+    }
+
+    json[field.name] = field.repeated ? value.map(convert) : convert(value)
+  })
+  return json
+}
+
+const encodeRequest = (type, request) => {
+  const payload = type.encode(type.fromObject(toProto(type, request))).finish()
+  const body = new Uint8Array(FRAME_HEADER_LENGTH + payload.length)
+  new DataView(body.buffer).setUint32(1, payload.length)
+  body.set(payload, FRAME_HEADER_LENGTH)
+  return body
+}
+
+const decodeMessage = (type, payload) => {
+  const message = type.decode(payload)
+  return fromProto(type, type.toObject(message, { enums: String, longs: String, defaults: true }))
+}
+
+const parseTrailers = (payload) => {
+  const trailers = {}
+  new TextDecoder().decode(payload).split('\r\n').forEach(line => {
+    const separator = line.indexOf(':')
+    if (separator > 0) {
+      trailers[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim()
+    }
+  })
+  return trailers
+}
+
+const statusFrom = (source) => {
+  const code = source['grpc-status']
+  if (code === undefined || code === null) return null
+  return { code: Number(code), message: decodeURIComponent(source['grpc-message'] || '') }
+}
+
+// Yields { trailer, payload } frames as the response body streams in
+async function* readFrames(response) {
+  const reader = response.body.getReader()
+  let buffer = new Uint8Array(0)
+
+  for (;;) {
+    const { done, value } = await reader.read()
+    if (value) {
+      const next = new Uint8Array(buffer.length + value.length)
+      next.set(buffer)
+      next.set(value, buffer.length)
+      buffer = next
+    }
+
+    while (buffer.length >= FRAME_HEADER_LENGTH) {
+      const length = new DataView(buffer.buffer, buffer.byteOffset).getUint32(1)
+      if (buffer.length < FRAME_HEADER_LENGTH + length) break
+
+      yield {
+        trailer: (buffer[0] & TRAILER_FLAG) !== 0,
+        payload: buffer.subarray(FRAME_HEADER_LENGTH, FRAME_HEADER_LENGTH + length)
+      }
+      buffer = buffer.subarray(FRAME_HEADER_LENGTH + length)
+    }
+
+    if (done) return
+  }
+}
+
+// Runs one call, handing each response message to onMessage. Resolves on an
+// OK status and rejects with an Error carrying the gRPC `code` otherwise.
+// An UNAUTHENTICATED reply is retried once after a silent token refresh.
+const runCall = async ({ path, types }, request, onMessage, signal, retry = true) => {
+  const [requestType, responseType] = types.map(name => root.lookupType(name))
+  const token = localStorage.getItem('token')
+
+  const response = await fetch(`${GRPC_WEB_URL}${path}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/grpc-web+proto',
+      Accept: 'application/grpc-web+proto',
+      'X-Grpc-Web': '1',
+      ...(token && { Authorization: `Bearer ${token}` })
+    },
+    body: encodeRequest(requestType, request),
+    signal
+  })
+
+  if (!response.ok) {
+    throw grpcError(GRPC_STATUS.UNKNOWN, `gRPC-Web request failed with HTTP ${response.status}`)
+  }
+
+  // Errors before any message come back "trailers-only", in the headers
+  let status = statusFrom(Object.fromEntries(response.headers))
+  if (!status) {
+    for await (const frame of readFrames(response)) {
+      if (frame.trailer) status = statusFrom(parseTrailers(frame.payload))
+      else onMessage(decodeMessage(responseType, frame.payload))
+    }
+  }
+
+  if (!status) {
+    throw grpcError(GRPC_STATUS.UNKNOWN, 'gRPC-Web response ended without a status')
+  }
+  if (status.code === GRPC_STATUS.UNAUTHENTICATED && retry && await refreshAccessToken()) {
+    return runCall({ path, types }, request, onMessage, signal, false)
+  }
+  if (status.code !== GRPC_STATUS.OK) {
+    throw grpcError(status.code, status.message)
+  }
+}
+
+export const unaryCall = async (method, request) => {
+  let response = null
+  try {
+    await runCall(method, request, (message) => { response = message })
+    return response
+  } catch (error) {
+    console.error(`gRPC-Web Error (${method.path}):`, error)
+    throw error
+  }
+}
+
+export const serverStreamCall = (method, request, { onMessage, onError, onEnd }) => {
+  const controller = new AbortController()
+
+  runCall(method, request, onMessage, controller.signal)
+    .then(() => onEnd?.())
+    .catch(error => {
+      // Cancelled by the caller, nothing to report
+      if (controller.signal.aborted) return
+      console.error(`gRPC-Web Error (${method.path}):`, error)
+      onError?.(error)
+    })
+
+  return { cancel: () => controller.abort() }
+}
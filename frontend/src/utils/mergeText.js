@@ -0,0 +1,46 @@
+// Line-level union merge for resolving note edit conflicts
+//
+// Lines both versions share appear once, and each side's own lines are kept
+// in order (theirs before mine where they compete). Nothing is dropped, so
+// the result is a starting point for the user to tidy up, not a final answer.
+
+// Past this many table cells the versions are simply stacked
+const MAX_TABLE_CELLS = 1_000_000
+
+export const mergeText = (theirs, mine) => {
+  if (theirs === mine) return mine
+
+  const a = theirs.split('\n')
+  const b = mine.split('\n')
+  if ((a.length + 1) * (b.length + 1) > MAX_TABLE_CELLS) {
+    return `${theirs}\n${mine}`
+  }
+
+  // lcs[i * width + j] is the longest common subsequence of a[i..] and b[j..]
+  const width = b.length + 1
+  const lcs = new Uint32Array((a.length + 1) * width)
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i * width + j] = a[i] === b[j]
+        ? lcs[(i + 1) * width + j + 1] + 1
+        : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1])
+    }
+  }
+
+  const lines = []
+  let i = 0
+  let j = 0
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push(a[i])
+      i++
+      j++
+    } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+      lines.push(a[i++])
+    } else {
+      lines.push(b[j++])
+    }
+  }
+
+  return [...lines, ...a.slice(i), ...b.slice(j)].join('\n')
+}
@@ -0,0 +1,32 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { mergeText } from './mergeText.js'
+
+test('identical versions merge to themselves', () => {
+  assert.equal(mergeText('a\nb', 'a\nb'), 'a\nb')
+})
+
+test('lines only one side added are kept', () => {
+  assert.equal(mergeText('a\nb\nc', 'a\nc\nd'), 'a\nb\nc\nd')
+})
+
+test('competing lines keep theirs before mine', () => {
+  assert.equal(mergeText('a\ntheirs\nc', 'a\nmine\nc'), 'a\ntheirs\nmine\nc')
+})
+
+test('nothing is dropped from either side', () => {
+  const theirs = 'title\nfirst\nshared\ntheir end'
+  const mine = 'title\nshared\nmy middle\nmy end'
+  const merged = mergeText(theirs, mine).split('\n')
+
+  for (const line of [...theirs.split('\n'), ...mine.split('\n')]) {
+    assert.ok(merged.includes(line), `missing "${line}"`)
+  }
+  assert.equal(merged.filter(line => line === 'shared').length, 1)
+})
+
+test('very large versions are stacked, theirs first', () => {
+  const theirs = Array.from({ length: 1500 }, (value, index) => `t${index}`).join('\n')
+  const mine = Array.from({ length: 1500 }, (value, index) => `m${index}`).join('\n')
+  assert.equal(mergeText(theirs, mine), `${theirs}\n${mine}`)
+})
@@ -0,0 +1,33 @@
+// Unsent note edits, kept in localStorage so they survive reloads and
+// offline spells until autosave gets them to the server. Each draft keeps
+// the note version it was written against, which the retry sends as
+// expectedVersion, so edits made elsewhere meanwhile still raise a conflict.
+
+const storageKey = (userId) => `noteDrafts:${userId}`
+
+// { [noteId]: { text, version } }
+export const loadDrafts = (userId) => {
+  try {
+    return JSON.parse(localStorage.getItem(storageKey(userId))) || {}
+  } catch {
+    return {}
+  }
+}
+
+export const storeDraft = (userId, noteId, draft) => {
+  const drafts = loadDrafts(userId)
+  drafts[noteId] = draft
+  localStorage.setItem(storageKey(userId), JSON.stringify(drafts))
+}
+
+export const removeDraft = (userId, noteId) => {
+  const drafts = loadDrafts(userId)
+  if (!(noteId in drafts)) return
+
+  delete drafts[noteId]
+  if (Object.keys(drafts).length > 0) {
+    localStorage.setItem(storageKey(userId), JSON.stringify(drafts))
+  } else {
+    localStorage.removeItem(storageKey(userId))
+  }
+}
@@ -4,4 +4,10 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  server: {
+    // gRPC-Web calls are same-origin, as behind nginx
+    proxy: {
+      '/grpc/': 'http://localhost:8080',
+    },
+  },
 })
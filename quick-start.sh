@@ -43,7 +43,7 @@ echo ""
 
 # Check if ports are available
 echo "🔍 Checking if required ports are available..."
-ports=(80 3001 3002 3003 3004 3306 6379 8080)
+ports=(80 3001 3004 3306 6379 8080)
 occupied_ports=()
 
 for port in "${ports[@]}"; do
@@ -86,9 +86,14 @@ echo "🏥 Checking service health..."
 services=(
     "api-gateway:8080"
     "auth-service:3001"
+    "user-service:3004"
+)
+
+# notes-service and todos-service publish no host ports so they can be
+# scaled; they are checked from inside their (first) container instead
+scaled_services=(
     "notes-service:3002"
     "todos-service:3003"
-    "user-service:3004"
 )
 
 for service in "${services[@]}"; do
@@ -102,6 +107,17 @@ for service in "${services[@]}"; do
     fi
 done
 
+for service in "${scaled_services[@]}"; do
+    name=${service%:*}
+    port=${service#*:}
+
+    if docker-compose exec -T "$name" wget -qO- "http://localhost:$port/health" >/dev/null 2>&1; then
+        echo "✅ $name - healthy"
+    else
+        echo "❌ $name - not responding"
+    fi
+done
+
 echo ""
 
 # Display final information
@@ -115,8 +131,8 @@ echo "   📊 Health Check:    http://localhost:8080/health"
 echo ""
 echo "🔧 Individual Services:"
 echo "   🔐 Auth Service:    http://localhost:3001/health"
-echo "   📝 Notes Service:   http://localhost:3002/health"
-echo "   ✅ Todos Service:   http://localhost:3003/health"
+echo "   📝 Notes Service:   docker-compose exec notes-service wget -qO- http://localhost:3002/health"
+echo "   ✅ Todos Service:   docker-compose exec todos-service wget -qO- http://localhost:3003/health"
 echo "   👤 User Service:    http://localhost:3004/health"
 echo ""
 echo "🛠️  Management Commands:"
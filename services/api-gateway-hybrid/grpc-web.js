@@ -0,0 +1,89 @@
+// gRPC-Web wire format for the hybrid gateway
+//
+// Browsers can't speak HTTP/2 gRPC, so gRPC-Web carries the same
+// length-prefixed messages over plain HTTP/1.1 POSTs:
+//   [flag: 1 byte][length: 4 bytes, big endian][payload]
+// flag 0x00 is a message, 0x80 the trailers (`grpc-status`, `grpc-message`)
+// that HTTP/2 would have sent as real trailers. The -text content types
+// base64 encode the whole body for clients that can't read binary streams.
+
+const DATA_FLAG = 0x00;
+const COMPRESSED_FLAG = 0x01;
+const TRAILER_FLAG = 0x80;
+const FRAME_HEADER_LENGTH = 5;
+
+export const GRPC_WEB_CONTENT_TYPES = [
+  'application/grpc-web',
+  'application/grpc-web+proto',
+  'application/grpc-web-text',
+  'application/grpc-web-text+proto'
+];
+
+export const isTextContentType = (contentType = '') => contentType.startsWith('application/grpc-web-text');
+
+// Request body → message payloads, in order. Trailer frames from the client
+// carry nothing we need and are skipped.
+export const decodeFrames = (body) => {
+  const messages = [];
+  let offset = 0;
+
+  while (offset < body.length) {
+    if (body.length - offset < FRAME_HEADER_LENGTH) {
+      throw new Error('Truncated gRPC-Web frame header');
+    }
+
+    const flag = body.readUInt8(offset);
+    const length = body.readUInt32BE(offset + 1);
+    const start = offset + FRAME_HEADER_LENGTH;
+    if (body.length - start < length) {
+      throw new Error('Truncated gRPC-Web frame');
+    }
+    if (flag & COMPRESSED_FLAG) {
+      throw new Error('Compressed gRPC-Web frames are not supported');
+    }
+
+    if (!(flag & TRAILER_FLAG)) {
+      messages.push(body.subarray(start, start + length));
+    }
+    offset = start + length;
+  }
+
+  return messages;
+};
+
+const encodeFrame = (flag, payload) => {
+  const header = Buffer.alloc(FRAME_HEADER_LENGTH);
+  header.writeUInt8(flag, 0);
+  header.writeUInt32BE(payload.length, 1);
+  return Buffer.concat([header, payload]);
+};
+
+export const encodeMessageFrame = (payload) => encodeFrame(DATA_FLAG, payload);
+
+// grpc-message is percent-encoded, the same as on an HTTP/2 trailer
+export const encodeStatus = (code, message = '') => ({
+  'grpc-status': String(code),
+  'grpc-message': encodeURIComponent(message)
+});
+
+export const encodeTrailerFrame = (code, message) => {
+  const trailers = Object.entries(encodeStatus(code, message))
+    .map(([name, value]) => `${name}:${value}\r\n`)
+    .join('');
+  return encodeFrame(TRAILER_FLAG, Buffer.from(trailers));
+};
+
+const TIMEOUT_UNITS = {
+  H: 60 * 60 * 1000,
+  M: 60 * 1000,
+  S: 1000,
+  m: 1,
+  u: 1 / 1000,
+  n: 1 / 1e6
+};
+
+// `grpc-timeout: 30S` → 30000, or undefined when absent or malformed
+export const parseTimeout = (header) => {
+  const match = /^(\d{1,8})([HMSmun])$/.exec(header || '');
+  return match ? Number(match[1]) * TIMEOUT_UNITS[match[2]] : undefined;
+};
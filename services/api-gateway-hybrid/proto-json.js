@@ -0,0 +1,174 @@
+// Proto ↔ JSON codec for the hybrid gateway
+//
+// Walks the descriptors proto-loader already produced, so every message the
+// gateway sends or receives is converted the same way the REST services
+// shape their JSON:
+//   google.protobuf.Timestamp  ↔  ISO 8601 string
+//   enum HIGH / IN_PROGRESS    ↔  'high' / 'in_progress'
+//   snake_case field names     ↔  camelCase keys
+//   google.protobuf.FieldMask  ↔  'title,isPinned' (or an array of keys)
+
+const MESSAGE_FORMAT = 'Protocol Buffer 3 DescriptorProto';
+const ENUM_FORMAT = 'Protocol Buffer 3 EnumDescriptorProto';
+const TIMESTAMP_TYPE = 'google.protobuf.Timestamp';
+const FIELD_MASK_TYPE = 'google.protobuf.FieldMask';
+
+export const toCamelCase = (name) => name.replace(/_([a-z0-9])/g, (match, char) => char.toUpperCase());
+const toSnakeCase = (name) => name.replace(/[A-Z]/g, char => `_${char.toLowerCase()}`);
+
+const timestampToIso = ({ seconds, nanos }) => {
+  const millis = Number(seconds) * 1000 + Math.floor((nanos || 0) / 1e6);
+  return new Date(millis).toISOString();
+};
+
+const isoToTimestamp = (value) => {
+  if (typeof value === 'object' && !(value instanceof Date) && 'seconds' in value) {
+    return value;
+  }
+
+  const millis = new Date(value).getTime();
+  if (Number.isNaN(millis)) {
+    throw new TypeError(`Invalid timestamp: ${value}`);
+  }
+
+  return {
+    seconds: Math.floor(millis / 1000),
+    nanos: (millis % 1000) * 1e6
+  };
+};
+
+export const createProtoCodec = (packageDefinitions) => {
+  // Fully qualified name → message or enum descriptor
+  const types = new Map();
+  // `${service}.${method}` → { requestType, responseType }
+  const methods = new Map();
+
+  const registerMessage = (fullName, descriptor) => {
+    types.set(fullName, { kind: 'message', descriptor });
+    descriptor.nestedType.forEach(nested => registerMessage(`${fullName}.${nested.name}`, nested));
+    descriptor.enumType.forEach(nested => {
+      types.set(`${fullName}.${nested.name}`, { kind: 'enum', descriptor: nested });
+    });
+  };
+
+  // Field type names are relative to the message that declares them, so try
+  // the innermost scope first, the same way protoc resolves them
+  const resolveType = (scope, typeName) => {
+    if (typeName.startsWith('.')) return typeName.slice(1);
+
+    let current = scope;
+    while (current) {
+      const candidate = `${current}.${typeName}`;
+      if (types.has(candidate)) return candidate;
+      current = current.includes('.') ? current.slice(0, current.lastIndexOf('.')) : '';
+    }
+    return typeName;
+  };
+
+  packageDefinitions.forEach(definition => {
+    Object.entries(definition).forEach(([name, entry]) => {
+      if (entry.format === MESSAGE_FORMAT) registerMessage(name, entry.type);
+      else if (entry.format === ENUM_FORMAT) types.set(name, { kind: 'enum', descriptor: entry.type });
+    });
+  });
+
+  packageDefinitions.forEach(definition => {
+    Object.entries(definition).forEach(([name, entry]) => {
+      if (entry.format) return;
+
+      const packageName = name.slice(0, name.lastIndexOf('.'));
+      Object.values(entry).forEach(method => {
+        methods.set(`${name}.${method.originalName}`, {
+          requestType: resolveType(packageName, method.requestType.type.name),
+          responseType: resolveType(packageName, method.responseType.type.name)
+        });
+      });
+    });
+  });
+
+  const getMessage = (typeName) => {
+    const type = types.get(typeName);
+    if (!type || type.kind !== 'message') {
+      throw new Error(`Unknown message type: ${typeName}`);
+    }
+    return type.descriptor;
+  };
+
+  const mapField = (field, value, scope, convertMessage, convertEnum) => {
+    const convert = (item) => {
+      if (field.type === 'TYPE_MESSAGE') return convertMessage(resolveType(scope, field.typeName), item);
+      if (field.type === 'TYPE_ENUM') return typeof item === 'string' ? convertEnum(item) : item;
+      return item;
+    };
+
+    if (field.label === 'LABEL_REPEATED' && Array.isArray(value)) {
+      return value.map(convert);
+    }
+    return convert(value);
+  };
+
+  // gRPC message → REST JSON
+  const toJson = (typeName, message) => {
+    if (message === null || message === undefined) return null;
+    if (typeName === TIMESTAMP_TYPE) return timestampToIso(message);
+    if (typeName === FIELD_MASK_TYPE) return message.paths.map(toCamelCase).join(',');
+
+    const json = {};
+    getMessage(typeName).field.forEach(field => {
+      if (!(field.name in message)) return;
+      json[toCamelCase(field.name)] = mapField(
+        field, message[field.name], typeName, toJson, value => value.toLowerCase()
+      );
+    });
+    return json;
+  };
+
+  // REST JSON → gRPC message. Accepts camelCase or the proto field name;
+  // undefined and null leave the field unset.
+  const fromJson = (typeName, json) => {
+    if (typeName === TIMESTAMP_TYPE) return isoToTimestamp(json);
+    if (typeName === FIELD_MASK_TYPE) {
+      const paths = Array.isArray(json) ? json : json.split(',').filter(Boolean);
+      return { paths: paths.map(toSnakeCase) };
+    }
+
+    const message = {};
+    getMessage(typeName).field.forEach(field => {
+      const camelName = toCamelCase(field.name);
+      const value = json[camelName] !== undefined ? json[camelName] : json[field.name];
+      if (value === undefined || value === null) return;
+
+      message[field.name] = mapField(
+        field, value, typeName, fromJson, item => item.toUpperCase()
+      );
+    });
+    return message;
+  };
+
+  const getMethod = (service, method) => {
+    const entry = methods.get(`${service}.${method}`);
+    if (!entry) {
+      throw new Error(`Unknown method: ${service}.${method}`);
+    }
+    return entry;
+  };
+
+  // Top-level request fields, for binding them from paths and query strings
+  const getRequestFields = (service, method) => {
+    return getMessage(getMethod(service, method).requestType).field.map(field => ({
+      name: field.name,
+      jsonName: toCamelCase(field.name),
+      type: field.type,
+      repeated: field.label === 'LABEL_REPEATED'
+    }));
+  };
+
+  return {
+    toJson,
+    fromJson,
+    encodeRequest: (service, method, json) => fromJson(getMethod(service, method).requestType, json),
+    decodeResponse: (service, method, message) => toJson(getMethod(service, method).responseType, message),
+    getMethodTypes: getMethod,
+    getRequestFields
+  };
+};
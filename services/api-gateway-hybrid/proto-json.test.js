@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import protoLoader from '@grpc/proto-loader';
+import { createProtoCodec, toCamelCase } from './proto-json.js';
+
+// Loaded the way server.js loads them
+const PROTO_DIR = fileURLToPath(new URL('../../proto', import.meta.url));
+
+const loadProto = (protoFile) => {
+  return protoLoader.loadSync(protoFile, {
+    keepCase: true,
+    longs: String,
+    enums: String,
+    defaults: true,
+    oneofs: true,
+    includeDirs: [PROTO_DIR]
+  });
+};
+
+const codec = createProtoCodec(['auth.proto', 'notes.proto', 'todos.proto'].map(loadProto));
+
+test('toCamelCase converts proto field names', () => {
+  assert.equal(toCamelCase('user_id'), 'userId');
+  assert.equal(toCamelCase('expected_version'), 'expectedVersion');
+  assert.equal(toCamelCase('id'), 'id');
+});
+
+test('toJson uses camelCase keys, ISO dates and lowercase enums', () => {
+  const json = codec.toJson('todos.Todo', {
+    id: 7,
+    user_id: 3,
+    text: 'Ship it',
+    priority: 'HIGH',
+    status: 'IN_PROGRESS',
+    due_date: { seconds: '1767225600', nanos: 500000000 },
+    completed_at: null
+  });
+
+  assert.deepEqual(json, {
+    id: 7,
+    userId: 3,
+    text: 'Ship it',
+    priority: 'high',
+    status: 'in_progress',
+    dueDate: '2026-01-01T00:00:00.500Z',
+    completedAt: null
+  });
+});
+
+test('fromJson accepts camelCase or proto names and leaves null fields unset', () => {
+  const message = codec.fromJson('todos.UpdateTodoRequest', {
+    id: 7,
+    user_id: 3,
+    priority: 'low',
+    dueDate: '2026-01-01T00:00:00.500Z',
+    category: null,
+    updateMask: 'priority,dueDate'
+  });
+
+  assert.deepEqual(message, {
+    id: 7,
+    user_id: 3,
+    priority: 'LOW',
+    due_date: { seconds: 1767225600, nanos: 500000000 },
+    update_mask: { paths: ['priority', 'due_date'] }
+  });
+});
+
+test('messages round trip through JSON', () => {
+  const todo = {
+    id: 1,
+    text: 'Call back',
+    completed: false,
+    priority: 'medium',
+    status: 'pending',
+    dueDate: '2026-03-04T05:06:07.089Z',
+    version: 2
+  };
+
+  const message = codec.fromJson('todos.Todo', todo);
+  assert.deepEqual(codec.toJson('todos.Todo', message), todo);
+});
+
+test('repeated and nested messages are converted item by item', () => {
+  const request = codec.fromJson('todos.BatchUpdateTodosRequest', {
+    todos: [{ id: 1, completed: true }, { id: 2, priority: 'high' }]
+  });
+
+  assert.deepEqual(request.todos, [{ id: 1, completed: true }, { id: 2, priority: 'HIGH' }]);
+
+  const event = codec.toJson('todos.TodoUpdateEvent', { type: 'STATUS_CHANGED', todo: { id: 1, status: 'COMPLETED' } });
+  assert.deepEqual(event, { type: 'status_changed', todo: { id: 1, status: 'completed' } });
+});
+
+test('methods are looked up by their camelCase name', () => {
+  assert.deepEqual(codec.getMethodTypes('todos.TodosService', 'updateTodo'), {
+    requestType: 'todos.UpdateTodoRequest',
+    responseType: 'todos.UpdateTodoResponse'
+  });
+  assert.deepEqual(
+    codec.encodeRequest('todos.TodosService', 'deleteTodo', { id: 4, userId: 9 }),
+    { id: 4, user_id: 9 }
+  );
+});
+
+test('invalid timestamps and unknown methods throw', () => {
+  assert.throws(() => codec.fromJson('todos.Todo', { dueDate: 'not a date' }), TypeError);
+  assert.throws(() => codec.getMethodTypes('todos.TodosService', 'nope'), /Unknown method/);
+});
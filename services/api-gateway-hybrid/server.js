@@ -1,16 +1,37 @@
 import express from 'express';
 import { createServer } from 'http';
+import { once } from 'events';
+import readline from 'readline';
+import { readFileSync } from 'fs';
+import { hostname } from 'os';
+import { fileURLToPath } from 'url';
+import { createHash } from 'crypto';
 import { Server as SocketIOServer } from 'socket.io';
+import { createAdapter } from '@socket.io/redis-adapter';
 import cors from 'cors';
 import helmet from 'helmet';
 import compression from 'compression';
 import rateLimit from 'express-rate-limit';
+import { createProxyMiddleware, fixRequestBody } from 'http-proxy-middleware';
 import grpc from '@grpc/grpc-js';
 import protoLoader from '@grpc/proto-loader';
+import { service as healthServiceDefinition } from 'grpc-health-check';
 import jwt from 'jsonwebtoken';
 import Redis from 'redis';
 import dotenv from 'dotenv';
 import winston from 'winston';
+import { createProtoCodec, toCamelCase } from './proto-json.js';
+import { createServiceRegistry } from '../../shared/service-registry.js';
+import { parseIfMatch } from '../../shared/etag.js';
+import {
+  GRPC_WEB_CONTENT_TYPES,
+  isTextContentType,
+  decodeFrames,
+  encodeMessageFrame,
+  encodeTrailerFrame,
+  encodeStatus,
+  parseTimeout
+} from './grpc-web.js';
 
 dotenv.config();
 
@@ -26,6 +47,9 @@ const io = new SocketIOServer(server, {
 const PORT = process.env.PORT || 8080;
 const GRPC_PORT = process.env.GRPC_PORT || 9090;
 
+// Identifies this gateway among its replicas in presence listings
+const GATEWAY_INSTANCE_ID = `${process.env.SERVICE_HOST || hostname()}:${PORT}`;
+
 // Logger setup
 const logger = winston.createLogger({
   level: 'info',
@@ -52,36 +76,221 @@ const redisClient = Redis.createClient({
 });
 redisClient.connect().catch(console.error);
 
-// Load gRPC proto definitions
-const loadProto = (protoPath, packageName) => {
-  const packageDefinition = protoLoader.loadSync(protoPath, {
+// Socket.IO rooms span every gateway instance: broadcasts travel over Redis
+// pub/sub, so a user's sockets get them whichever instance they landed on
+const ioPubClient = redisClient.duplicate();
+const ioSubClient = redisClient.duplicate();
+Promise.all([ioPubClient.connect(), ioSubClient.connect()]).catch(console.error);
+io.adapter(createAdapter(ioPubClient, ioSubClient));
+
+// Load gRPC proto definitions. The proto root is an include dir so the
+// google/api and gateway annotation imports resolve. It's found relative to
+// this file, not the working directory.
+const PROTO_DIR = fileURLToPath(new URL('../../proto', import.meta.url));
+
+const loadProto = (protoFile) => {
+  return protoLoader.loadSync(protoFile, {
     keepCase: true,
     longs: String,
     enums: String,
     defaults: true,
-    oneofs: true
+    oneofs: true,
+    includeDirs: [PROTO_DIR]
   });
-  return grpc.loadPackageDefinition(packageDefinition)[packageName];
 };
 
+const authDefinition = loadProto('auth.proto');
+const notesDefinition = loadProto('notes.proto');
+const todosDefinition = loadProto('todos.proto');
+
+// Converts between gRPC messages and the JSON the REST services speak, so
+// routes only ever see camelCase keys, ISO dates and lowercase enums
+const codec = createProtoCodec([authDefinition, notesDefinition, todosDefinition]);
+
 // gRPC service clients
-const authProto = loadProto('../../proto/auth.proto', 'auth');
-const notesProto = loadProto('../../proto/notes.proto', 'notes');
-const todosProto = loadProto('../../proto/todos.proto', 'todos');
+const authProto = grpc.loadPackageDefinition(authDefinition).auth;
+const notesProto = grpc.loadPackageDefinition(notesDefinition).notes;
+const todosProto = grpc.loadPackageDefinition(todosDefinition).todos;
 
-const authClient = new authProto.AuthService(
-  process.env.AUTH_GRPC_URL || 'localhost:50001',
-  grpc.credentials.createInsecure()
-);
+const AUTH_GRPC_URL = process.env.AUTH_GRPC_URL || 'localhost:50001';
+const NOTES_GRPC_URL = process.env.NOTES_GRPC_URL || 'localhost:50002';
+const TODOS_GRPC_URL = process.env.TODOS_GRPC_URL || 'localhost:50003';
 
-const notesClient = new notesProto.NotesService(
-  process.env.NOTES_GRPC_URL || 'localhost:50002',
-  grpc.credentials.createInsecure()
-);
+// Optional mTLS: with GRPC_TLS_CA, GRPC_TLS_CERT and GRPC_TLS_KEY set, the
+// gateway verifies each service against the CA and presents its own
+// certificate, whose CN the services check against their per-RPC allow-lists
+const GRPC_TLS_FILES = {
+  ca: process.env.GRPC_TLS_CA,
+  cert: process.env.GRPC_TLS_CERT,
+  key: process.env.GRPC_TLS_KEY
+};
+const grpcTlsEnabled = Object.values(GRPC_TLS_FILES).every(Boolean);
+
+if (!grpcTlsEnabled && Object.values(GRPC_TLS_FILES).some(Boolean)) {
+  logger.error('GRPC_TLS_CA, GRPC_TLS_CERT and GRPC_TLS_KEY must be set together');
+  process.exit(1);
+}
+
+const channelCredentials = grpcTlsEnabled
+  ? grpc.credentials.createSsl(
+    readFileSync(GRPC_TLS_FILES.ca),
+    readFileSync(GRPC_TLS_FILES.key),
+    readFileSync(GRPC_TLS_FILES.cert)
+  )
+  : grpc.credentials.createInsecure();
+
+// Registered instances are dialled by their own host (a container ID when
+// scaled), which no certificate names. Their certificates are checked
+// against the host of the service's *_GRPC_URL instead, which is the name
+// generate-certs.sh issues them for.
+const channelOptions = (fallback) => grpcTlsEnabled
+  ? { 'grpc.ssl_target_name_override': fallback.slice(0, fallback.lastIndexOf(':')) }
+  : {};
+
+// ======================
+// SERVICE DISCOVERY (Redis registry → balanced gRPC clients)
+// ======================
+
+// Instances register themselves in Redis (see shared/service-registry.js); the
+// *_GRPC_URL addresses are only used while a service has none registered
+const registry = createServiceRegistry(redisClient, {
+  strategy: process.env.LB_STRATEGY || 'round_robin',
+  refreshMs: parseInt(process.env.REGISTRY_REFRESH_MS) || 5000,
+  logger
+});
+
+// ======================
+// UPSTREAM HEALTH (grpc.health.v1.Health Watch)
+// ======================
+
+// Every instance is watched on its own, so the balancer can skip instances
+// that report NOT_SERVING and an upstream only counts as down once none of
+// its instances is serving
+const HealthClient = grpc.makeGenericClientConstructor(healthServiceDefinition, 'Health');
+
+// Health names every service publishes: overall ('') and one per dependency
+const HEALTH_NAMES = ['', 'mysql', 'redis'];
+const HEALTH_WATCH_RETRY_MS = 5000;
+
+// Latest status per health name of the instance at `address`, kept current
+// by Watch streams until `close()`. UNREACHABLE means the watch itself failed
+// (instance down or not started yet).
+const watchInstanceHealth = (upstream, address, options) => {
+  const client = new HealthClient(address, channelCredentials, options);
+  const statuses = Object.fromEntries(HEALTH_NAMES.map(healthName => [healthName, 'UNKNOWN']));
+  const calls = new Set();
+  const retries = new Set();
+  let closed = false;
+
+  const watch = (healthName) => {
+    const call = client.watch({ service: healthName });
+    calls.add(call);
+
+    call.on('data', ({ status }) => {
+      const previous = statuses[healthName];
+      statuses[healthName] = status;
+
+      if (healthName === '' && previous !== status) {
+        logger.log(status === 'SERVING' ? 'info' : 'warn', `${upstream} instance ${address} is now ${status}`);
+      }
+    });
+
+    let ended = false;
+    const handleClosed = () => {
+      if (ended) return;
+      ended = true;
+      calls.delete(call);
+      if (closed) return;
+
+      statuses[healthName] = 'UNREACHABLE';
+      const retry = setTimeout(() => {
+        retries.delete(retry);
+        watch(healthName);
+      }, HEALTH_WATCH_RETRY_MS);
+      retries.add(retry);
+    };
+
+    call.on('error', handleClosed);
+    call.on('end', handleClosed);
+  };
+
+  HEALTH_NAMES.forEach(watch);
 
-const todosClient = new todosProto.TodosService(
-  process.env.TODOS_GRPC_URL || 'localhost:50003',
-  grpc.credentials.createInsecure()
+  const close = () => {
+    closed = true;
+    retries.forEach(clearTimeout);
+    calls.forEach(call => call.cancel());
+    client.close();
+  };
+
+  return { statuses, close };
+};
+
+// Instances that said NOT_SERVING or can't be watched get no new calls
+// while another instance is still a candidate
+const isInstanceAvailable = ({ statuses }) => !['NOT_SERVING', 'UNREACHABLE'].includes(statuses['']);
+
+// Stand-in for a grpc-js client that spreads calls over the live instances
+// of `upstream`, one real client and health watch per instance. A call holds
+// its instance until its final status, which is what least_outstanding counts.
+const createBalancedClient = (upstream, ClientConstructor, fallback) => {
+  const options = channelOptions(fallback);
+  const pool = registry.pool(upstream, {
+    address: ({ host, grpcPort }) => grpcPort ? `${host}:${grpcPort}` : null,
+    fallback,
+    create: (address) => ({
+      client: new ClientConstructor(address, channelCredentials, options),
+      health: watchInstanceHealth(upstream, address, options)
+    }),
+    destroy: ({ client, health }) => {
+      health.close();
+      client.close();
+    },
+    available: ({ health }) => isInstanceAvailable(health)
+  });
+
+  const invoke = (method) => (...args) => {
+    const { resource: { client }, release } = pool.acquire();
+    const call = client[method](...args);
+    call.on('status', release);
+    return call;
+  };
+
+  const balanced = { pool, close: () => pool.close() };
+  Object.entries(ClientConstructor.service).forEach(([name, { originalName }]) => {
+    balanced[name] = invoke(name);
+    if (originalName) balanced[originalName] = balanced[name];
+  });
+  return balanced;
+};
+
+const authClient = createBalancedClient('auth', authProto.AuthService, AUTH_GRPC_URL);
+const notesClient = createBalancedClient('notes', notesProto.NotesService, NOTES_GRPC_URL);
+const todosClient = createBalancedClient('todos', todosProto.TodosService, TODOS_GRPC_URL);
+
+const upstreams = {
+  auth: { client: authClient, service: 'auth.AuthService' },
+  notes: { client: notesClient, service: 'notes.NotesService' },
+  todos: { client: todosClient, service: 'todos.TodosService' }
+};
+
+// An upstream reports the best status among its instances. Unreachable
+// instances rank above NOT_SERVING ones, which still deserve a real attempt.
+// Anything else (e.g. SERVICE_UNKNOWN) counts as UNKNOWN.
+const HEALTH_RANK = ['SERVING', 'UNKNOWN', 'UNREACHABLE', 'NOT_SERVING'];
+const healthRank = (status) => HEALTH_RANK.includes(status) ? HEALTH_RANK.indexOf(status) : 1;
+
+const upstreamStatus = (upstream, healthName) => {
+  const ranks = upstreams[upstream].client.pool.resources()
+    .map(({ health }) => healthRank(health.statuses[healthName]));
+  return HEALTH_RANK[Math.min(...ranks)] ?? 'UNKNOWN';
+};
+
+// Only fails fast once every instance has explicitly said NOT_SERVING
+const isUpstreamDown = (upstream) => upstreamStatus(upstream, '') === 'NOT_SERVING';
+
+const upstreamByClient = new Map(
+  Object.entries(upstreams).map(([name, { client }]) => [client, name])
 );
 
 // Middleware
@@ -89,7 +298,10 @@ app.use(helmet());
 app.use(compression());
 app.use(cors({
   origin: ['http://localhost:3000', 'http://localhost:5173'],
-  credentials: true
+  credentials: true,
+  // gRPC-Web clients read the status from headers on trailers-only replies;
+  // REST clients echo ETag back as If-Match
+  exposedHeaders: ['grpc-status', 'grpc-message', 'X-Protobuf-Message', 'ETag']
 }));
 
 // Rate limiting
@@ -99,8 +311,10 @@ const limiter = rateLimit({
   message: { error: 'Too many requests, please try again later.' }
 });
 app.use('/api/', limiter);
+app.use('/grpc/', limiter);
 
 app.use(express.json({ limit: '10mb' }));
+app.use(express.raw({ type: 'application/x-protobuf', limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
 // Request logging middleware
@@ -122,336 +336,1520 @@ app.use((req, res, next) => {
   next();
 });
 
-// Auth middleware for REST endpoints
-const authenticateToken = async (req, res, next) => {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
+// ======================
+// RESILIENT gRPC CALLS (deadlines, retries, circuit breaking)
+// ======================
 
-  if (!token) {
-    return res.status(401).json({ error: 'Access token required' });
+const DEFAULT_DEADLINE_MS = parseInt(process.env.GRPC_DEADLINE_MS) || 5000;
+const RETRY_MAX_ATTEMPTS = parseInt(process.env.GRPC_RETRY_MAX_ATTEMPTS) || 3;
+const RETRY_BASE_DELAY_MS = 100;
+const CIRCUIT_FAILURE_THRESHOLD = parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD) || 5;
+const CIRCUIT_RESET_MS = parseInt(process.env.CIRCUIT_RESET_MS) || 30000;
+
+// Per-RPC policy. Only idempotent reads are retried; writes get a single
+// attempt so a slow-but-successful create is never applied twice.
+const RPC_POLICIES = {
+  validateToken: { deadlineMs: 2000, retry: true },
+  login: { deadlineMs: 5000, retry: false },
+  register: { deadlineMs: 5000, retry: false },
+  refreshToken: { deadlineMs: 3000, retry: false },
+  logout: { deadlineMs: 3000, retry: false },
+  logoutAll: { deadlineMs: 3000, retry: false },
+  getNotes: { deadlineMs: 5000, retry: true },
+  getNote: { deadlineMs: 3000, retry: true },
+  searchNotes: { deadlineMs: 5000, retry: true },
+  getTodos: { deadlineMs: 5000, retry: true },
+  getTodo: { deadlineMs: 3000, retry: true },
+  getTodoStats: { deadlineMs: 5000, retry: true }
+};
+
+// Codes that mean the upstream itself is in trouble rather than the request
+const RETRYABLE_CODES = new Set([
+  grpc.status.UNAVAILABLE,
+  grpc.status.DEADLINE_EXCEEDED,
+  grpc.status.RESOURCE_EXHAUSTED
+]);
+const CIRCUIT_FAILURE_CODES = new Set([
+  ...RETRYABLE_CODES,
+  grpc.status.INTERNAL,
+  grpc.status.UNKNOWN
+]);
+
+// One breaker per upstream: CLOSED → OPEN after consecutive failures,
+// OPEN → HALF_OPEN after CIRCUIT_RESET_MS, where a single trial call decides
+const circuits = Object.fromEntries(
+  Object.keys(upstreams).map(name => [
+    name,
+    { state: 'CLOSED', failures: 0, openedAt: null, trialInFlight: false }
+  ])
+);
+
+const unavailableError = (details) => ({
+  code: grpc.status.UNAVAILABLE,
+  details,
+  message: details
+});
+
+const invalidArgumentError = (details) => ({
+  code: grpc.status.INVALID_ARGUMENT,
+  details,
+  message: details
+});
+
+// Returns a permit for one call, or null while the circuit rejects calls.
+// The half-open trial's permit is marked, so only that call's result frees
+// the trial slot, not a late reply to a call let through before.
+const acquireCircuit = (upstream) => {
+  const circuit = circuits[upstream];
+
+  if (circuit.state === 'OPEN' && Date.now() - circuit.openedAt >= CIRCUIT_RESET_MS) {
+    circuit.state = 'HALF_OPEN';
+    logger.info(`Circuit for ${upstream} is half-open, allowing a trial call`);
   }
 
-  try {
-    // Validate token via gRPC Auth service
-    const grpcResponse = await new Promise((resolve, reject) => {
-      authClient.validateToken({ token }, (error, response) => {
-        if (error) reject(error);
-        else resolve(response);
-      });
-    });
+  if (circuit.state === 'OPEN') return null;
+  if (circuit.state === 'HALF_OPEN') {
+    if (circuit.trialInFlight) return null;
+    circuit.trialInFlight = true;
+    return { trial: true };
+  }
+  return { trial: false };
+};
 
-    if (!grpcResponse.valid) {
-      return res.status(401).json({ error: 'Invalid or expired token' });
+const recordCircuitResult = (upstream, permit, error) => {
+  const circuit = circuits[upstream];
+  if (permit.trial) circuit.trialInFlight = false;
+
+  if (!error || !CIRCUIT_FAILURE_CODES.has(error.code)) {
+    if (circuit.state !== 'CLOSED') {
+      logger.info(`Circuit for ${upstream} closed`);
     }
+    circuit.state = 'CLOSED';
+    circuit.failures = 0;
+    circuit.openedAt = null;
+    return;
+  }
 
-    req.user = grpcResponse.user;
-    next();
-  } catch (error) {
-    logger.error('Auth error:', error);
-    return res.status(500).json({ error: 'Authentication service unavailable' });
+  circuit.failures += 1;
+  if (circuit.state === 'HALF_OPEN' || circuit.failures >= CIRCUIT_FAILURE_THRESHOLD) {
+    if (circuit.state !== 'OPEN') {
+      logger.warn(`Circuit for ${upstream} opened after ${circuit.failures} failures`);
+    }
+    circuit.state = 'OPEN';
+    circuit.openedAt = Date.now();
   }
 };
 
-// Health check
-app.get('/health', async (req, res) => {
-  try {
-    // Check all gRPC services health
-    const healthChecks = await Promise.allSettled([
-      new Promise((resolve, reject) => {
-        authClient.waitForReady(Date.now() + 5000, (error) => {
-          if (error) reject(error);
-          else resolve('healthy');
-        });
-      }),
-      new Promise((resolve, reject) => {
-        notesClient.waitForReady(Date.now() + 5000, (error) => {
-          if (error) reject(error);
-          else resolve('healthy');
-        });
-      }),
-      new Promise((resolve, reject) => {
-        todosClient.waitForReady(Date.now() + 5000, (error) => {
-          if (error) reject(error);
-          else resolve('healthy');
-        });
-      })
-    ]);
-
-    const serviceStatus = {
-      gateway: 'healthy',
-      auth: healthChecks[0].status === 'fulfilled' ? 'healthy' : 'unhealthy',
-      notes: healthChecks[1].status === 'fulfilled' ? 'healthy' : 'unhealthy',
-      todos: healthChecks[2].status === 'fulfilled' ? 'healthy' : 'unhealthy',
-      redis: redisClient.isReady ? 'healthy' : 'unhealthy'
-    };
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
-    const overallHealth = Object.values(serviceStatus).every(status => status === 'healthy');
+// Exponential backoff with full jitter
+const retryDelay = (attempt) => Math.random() * RETRY_BASE_DELAY_MS * 2 ** attempt;
 
-    res.status(overallHealth ? 200 : 503).json({
-      status: overallHealth ? 'healthy' : 'degraded',
-      timestamp: new Date().toISOString(),
-      services: serviceStatus
+const invokeOnce = (client, method, request, metadata, deadlineMs) => {
+  return new Promise((resolve, reject) => {
+    const deadline = new Date(Date.now() + deadlineMs);
+    client[method](request, metadata, { deadline }, (error, response) => {
+      if (error) reject(error);
+      else resolve(response);
     });
+  });
+};
+
+// JSON request → gRPC message; a value the proto can't hold is the caller's fault
+const encodeRequest = (service, method, request) => {
+  try {
+    return codec.encodeRequest(service, method, request);
   } catch (error) {
-    logger.error('Health check error:', error);
-    res.status(500).json({
-      status: 'unhealthy',
-      error: error.message
-    });
+    throw invalidArgumentError(error.message);
   }
-});
+};
+
+// Unary gRPC call with a deadline, retries for idempotent RPCs and a circuit
+// breaker per upstream. Also fails fast while the upstream's health watch
+// reports NOT_SERVING. Takes and returns REST-shaped JSON; `metadata` carries
+// the caller's identity (see userMetadata).
+const grpcCall = async (client, method, json, metadata = new grpc.Metadata()) => {
+  const upstream = upstreamByClient.get(client);
+  const { service } = upstreams[upstream];
+  const request = encodeRequest(service, method, json);
+  const { deadlineMs = DEFAULT_DEADLINE_MS, retry = false } = RPC_POLICIES[method] || {};
+  const maxAttempts = retry ? RETRY_MAX_ATTEMPTS : 1;
+
+  for (let attempt = 0; ; attempt++) {
+    if (isUpstreamDown(upstream)) {
+      throw unavailableError(`${upstream} service is not serving`);
+    }
+    const permit = acquireCircuit(upstream);
+    if (!permit) {
+      throw unavailableError(`Circuit for ${upstream} service is open`);
+    }
+
+    try {
+      const response = await invokeOnce(client, method, request, metadata, deadlineMs);
+      recordCircuitResult(upstream, permit, null);
+      return codec.decodeResponse(service, method, response);
+    } catch (error) {
+      recordCircuitResult(upstream, permit, error);
+
+      if (attempt + 1 >= maxAttempts || !RETRYABLE_CODES.has(error.code)) {
+        throw error;
+      }
+
+      logger.warn(`Retrying ${upstream}.${method} after ${error.code}: ${error.details}`);
+      await sleep(retryDelay(attempt));
+    }
+  }
+};
+
+// gRPC status → HTTP status for errors that aren't the caller's generic failure
+const GRPC_HTTP_STATUS = {
+  [grpc.status.INVALID_ARGUMENT]: 400,
+  [grpc.status.UNAUTHENTICATED]: 401,
+  [grpc.status.PERMISSION_DENIED]: 403,
+  [grpc.status.NOT_FOUND]: 404,
+  [grpc.status.ALREADY_EXISTS]: 409,
+  [grpc.status.FAILED_PRECONDITION]: 412,
+  [grpc.status.RESOURCE_EXHAUSTED]: 429,
+  [grpc.status.UNIMPLEMENTED]: 501,
+  [grpc.status.UNAVAILABLE]: 503,
+  [grpc.status.DEADLINE_EXCEEDED]: 504
+};
 
 // ======================
-// AUTH ROUTES (REST → gRPC)
+// NDJSON IMPORTS (REST body → client-streaming RPC)
 // ======================
 
-app.post('/api/auth/register', async (req, res) => {
-  try {
-    const { name, email, username, password } = req.body;
-    
-    const grpcResponse = await new Promise((resolve, reject) => {
-      authClient.register({ name, email, username, password }, (error, response) => {
-        if (error) reject(error);
-        else resolve(response);
-      });
+const IMPORT_DEADLINE_MS = parseInt(process.env.IMPORT_DEADLINE_MS) || 5 * 60 * 1000;
+
+// Streams an NDJSON request body into a client-streaming import RPC, one
+// message per line, waiting for the gRPC side to drain instead of buffering
+// the whole body. Lines that aren't valid JSON objects are reported here and
+// never sent; the RPC's per-item errors are mapped back to line numbers.
+const importNdjson = async (req, client, method) => {
+  const upstream = upstreamByClient.get(client);
+  const { service } = upstreams[upstream];
+
+  if (isUpstreamDown(upstream)) {
+    throw unavailableError(`${upstream} service is not serving`);
+  }
+  const permit = acquireCircuit(upstream);
+  if (!permit) {
+    throw unavailableError(`Circuit for ${upstream} service is open`);
+  }
+
+  let call;
+  let finished = false;
+  const response = new Promise((resolve, reject) => {
+    const deadline = new Date(Date.now() + IMPORT_DEADLINE_MS);
+    call = client[method](userMetadata(bearerToken(req)), { deadline }, (error, result) => {
+      finished = true;
+      if (error) reject(error);
+      else resolve(result);
     });
+  });
+  // Settled on its own when the loop below stops early
+  response.catch(() => {});
 
-    if (grpcResponse.success) {
-      // Store tokens in Redis for session management
-      await redisClient.setEx(`session:${grpcResponse.user.id}`, 7 * 24 * 60 * 60, grpcResponse.access_token);
-      
-      res.status(201).json({
-        success: true,
-        message: grpcResponse.message,
-        data: {
-          user: grpcResponse.user,
-          token: grpcResponse.access_token
+  const lineErrors = [];
+  const itemLines = []; // stream index → line number
+  let lineNumber = 0;
+
+  const lines = readline.createInterface({ input: req, crlfDelay: Infinity });
+
+  // A client that goes away mid-upload ends the loop below, and the
+  // cancelled call then settles `response` with CANCELLED
+  req.on('aborted', () => {
+    call.cancel();
+    lines.close();
+  });
+
+  // Every way out records a result, or a half-open circuit would keep its
+  // trial slot forever, and cancels the call unless it already finished
+  try {
+    for await (const line of lines) {
+      lineNumber++;
+      if (finished) break;
+      if (!line.trim()) continue;
+
+      let message;
+      try {
+        const item = JSON.parse(line);
+        if (typeof item !== 'object' || item === null || Array.isArray(item)) {
+          throw new Error('Each line must be a JSON object');
         }
-      });
-    } else {
-      res.status(400).json({
-        success: false,
-        message: grpcResponse.message
-      });
+        message = codec.encodeRequest(service, method, { ...item, userId: req.user.id });
+      } catch (error) {
+        lineErrors.push({ line: lineNumber, message: error.message });
+        continue;
+      }
+
+      itemLines.push(lineNumber);
+      if (!call.write(message)) {
+        await Promise.race([once(call, 'drain'), response.catch(() => {})]);
+      }
     }
+    call.end();
+
+    const summary = codec.decodeResponse(service, method, await response);
+    recordCircuitResult(upstream, permit, null);
+
+    const errors = [
+      ...lineErrors,
+      ...summary.errors.map(({ index, message }) => ({ line: itemLines[index], message }))
+    ].sort((a, b) => a.line - b.line);
+
+    return {
+      received: summary.received + lineErrors.length,
+      imported: summary.imported,
+      failed: errors.length,
+      errors
+    };
   } catch (error) {
-    logger.error('Register error:', error);
-    res.status(500).json({
+    call.cancel();
+    recordCircuitResult(upstream, permit, error);
+    throw error;
+  }
+};
+
+// Translate gRPC status errors into the REST services' error envelopes
+const sendGrpcError = (res, error, message) => {
+  const status = GRPC_HTTP_STATUS[error.code] || 500;
+
+  if (status === 400) {
+    return res.status(400).json({
       success: false,
-      message: 'Registration failed',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      message: 'Validation failed',
+      errors: [{ msg: error.details }]
     });
   }
-});
 
-app.post('/api/auth/login', async (req, res) => {
-  try {
-    const { username, password } = req.body;
-    
-    const grpcResponse = await new Promise((resolve, reject) => {
-      authClient.login({ username, password }, (error, response) => {
-        if (error) reject(error);
-        else resolve(response);
-      });
+  if (status === 503 || status === 504) {
+    return res.status(status).json({
+      success: false,
+      message: 'Service temporarily unavailable'
     });
+  }
 
-    if (grpcResponse.success) {
-      // Store session
-      await redisClient.setEx(`session:${grpcResponse.user.id}`, 7 * 24 * 60 * 60, grpcResponse.access_token);
-      
-      res.json({
-        success: true,
-        message: grpcResponse.message,
-        data: {
-          user: grpcResponse.user,
-          token: grpcResponse.access_token
-        }
-      });
-    } else {
-      res.status(400).json({
-        success: false,
-        message: grpcResponse.message
-      });
-    }
-  } catch (error) {
-    logger.error('Login error:', error);
-    res.status(500).json({
+  if (status !== 500) {
+    return res.status(status).json({
       success: false,
-      message: 'Login failed',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      message: error.details
     });
   }
-});
 
-app.post('/api/auth/logout', authenticateToken, async (req, res) => {
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+// Drop every cached response of one kind (notes/todos) for a user
+const clearUserCache = async (prefix, userId) => {
+  const keys = await redisClient.keys(`${prefix}:${userId}:*`);
+  if (keys.length > 0) {
+    await redisClient.del(keys);
+  }
+};
+
+// Auth middleware for REST endpoints
+const authenticateToken = async (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (!token) {
+    return res.status(401).json({ error: 'Access token required' });
+  }
+
   try {
-    const { token } = req.body;
-    
-    const grpcResponse = await new Promise((resolve, reject) => {
-      authClient.logout({ 
-        access_token: token || req.headers.authorization?.split(' ')[1],
-        refresh_token: req.body.refresh_token 
-      }, (error, response) => {
-        if (error) reject(error);
-        else resolve(response);
-      });
-    });
+    // Validate token via gRPC Auth service
+    const grpcResponse = await grpcCall(authClient, 'validateToken', { token });
 
-    // Remove session from Redis
-    await redisClient.del(`session:${req.user.id}`);
+    if (!grpcResponse.valid) {
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
 
-    res.json({
-      success: true,
-      message: grpcResponse.message || 'Logout successful'
-    });
+    req.user = grpcResponse.user;
+    next();
   } catch (error) {
-    logger.error('Logout error:', error);
-    // Always succeed logout on error
-    res.json({
-      success: true,
-      message: 'Logout successful'
-    });
+    logger.error('Auth error:', error);
+    const unavailable = [grpc.status.UNAVAILABLE, grpc.status.DEADLINE_EXCEEDED].includes(error.code);
+    const status = unavailable ? 503 : 500;
+    return res.status(status).json({ error: 'Authentication service unavailable' });
   }
+};
+
+// Health check, answered from the upstream Watch streams without extra calls
+const HEALTH_LABELS = {
+  SERVING: 'healthy',
+  NOT_SERVING: 'unhealthy',
+  UNREACHABLE: 'unreachable'
+};
+const healthLabel = (status) => HEALTH_LABELS[status] || 'unknown';
+
+app.get('/health', (req, res) => {
+  const services = Object.fromEntries(
+    Object.keys(upstreams).map(upstream => [
+      upstream,
+      {
+        status: healthLabel(upstreamStatus(upstream, '')),
+        dependencies: {
+          mysql: healthLabel(upstreamStatus(upstream, 'mysql')),
+          redis: healthLabel(upstreamStatus(upstream, 'redis'))
+        }
+      }
+    ])
+  );
+
+  Object.entries(circuits).forEach(([upstream, circuit]) => {
+    services[upstream].circuit = circuit.state.toLowerCase();
+    services[upstream].instances = upstreams[upstream].client.pool.instances();
+  });
+
+  const overallHealth = redisClient.isReady &&
+    Object.values(services).every(service => service.status === 'healthy' && service.circuit === 'closed');
+
+  res.status(overallHealth ? 200 : 503).json({
+    status: overallHealth ? 'healthy' : 'degraded',
+    timestamp: new Date().toISOString(),
+    services: {
+      gateway: 'healthy',
+      ...services,
+      redis: redisClient.isReady ? 'healthy' : 'unhealthy'
+    }
+  });
 });
 
 // ======================
-// NOTES ROUTES (REST → gRPC)
+// REST ROUTES (generated from google.api.http annotations)
 // ======================
 
-app.get('/api/notes', authenticateToken, async (req, res) => {
-  try {
-    const { page = 1, limit = 50, search, archived = false, pinned } = req.query;
-    
-    // Check Redis cache first
-    const cacheKey = `notes:${req.user.id}:${page}:${limit}:${search || ''}:${archived}:${pinned || ''}`;
-    const cached = await redisClient.get(cacheKey);
-    
-    if (cached) {
-      return res.json(JSON.parse(cached));
-    }
-    
-    const grpcResponse = await new Promise((resolve, reject) => {
-      notesClient.getNotes({
-        user_id: req.user.id,
-        page: parseInt(page),
-        limit: parseInt(limit),
-        archived: archived === 'true',
-        pinned: pinned !== undefined ? pinned === 'true' : undefined
-      }, (error, response) => {
-        if (error) reject(error);
-        else resolve(response);
-      });
-    });
+// Every unary or client-streaming RPC carrying a (google.api.http) option is
+// exposed over REST at startup; (gateway.route) adds auth, cache and hook
+// hints. Adding an annotated RPC to a proto needs no change here.
 
-    const result = {
-      success: grpcResponse.success,
-      data: {
-        notes: grpcResponse.notes || [],
-        pagination: grpcResponse.pagination
-      },
-      message: grpcResponse.message
-    };
+const SESSION_TTL = 7 * 24 * 60 * 60;
+const HTTP_VERBS = ['get', 'put', 'post', 'delete', 'patch'];
+const INTEGER_TYPES = new Set([
+  'TYPE_INT32', 'TYPE_INT64', 'TYPE_UINT32', 'TYPE_UINT64', 'TYPE_SINT32',
+  'TYPE_SINT64', 'TYPE_FIXED32', 'TYPE_FIXED64', 'TYPE_SFIXED32', 'TYPE_SFIXED64'
+]);
 
-    // Cache for 5 minutes
-    await redisClient.setEx(cacheKey, 300, JSON.stringify(result));
+const TODO_SOCKET_EVENTS = {
+  CREATED: 'todoCreated',
+  UPDATED: 'todoUpdated',
+  DELETED: 'todoDeleted'
+};
 
-    res.json(result);
-  } catch (error) {
-    logger.error('Get notes error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to retrieve notes',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
-  }
-});
+// Every todo mutation clears the cache and notifies the user's sockets
+const emitTodoEvent = (userId, type, payload) => {
+  publishUserEvent(userId, TODO_SOCKET_EVENTS[type], {
+    type: `TODO_${type}`,
+    ...payload
+  });
+};
 
-app.post('/api/notes', authenticateToken, async (req, res) => {
-  try {
-    const { title, text, tags = [], isPinned = false } = req.body;
-    
-    const grpcResponse = await new Promise((resolve, reject) => {
-      notesClient.createNote({
-        title,
-        text,
-        user_id: req.user.id,
-        tags,
-        is_pinned: isPinned
-      }, (error, response) => {
-        if (error) reject(error);
-        else resolve(response);
-      });
-    });
+const bearerToken = (req) => req.headers.authorization?.split(' ')[1];
 
-    if (grpcResponse.success) {
-      // Clear user's notes cache
-      const cachePattern = `notes:${req.user.id}:*`;
-      const keys = await redisClient.keys(cachePattern);
-      if (keys.length > 0) {
-        await redisClient.del(keys);
-      }
+// Notes and todos derive user_id from the caller's own access token, sent as
+// metadata, and reject a request whose user_id says otherwise
+const userMetadata = (token) => {
+  const metadata = new grpc.Metadata();
+  if (token) metadata.set('authorization', `Bearer ${token}`);
+  return metadata;
+};
 
-      // Emit real-time update
-      io.to(`user_${req.user.id}`).emit('noteCreated', {
-        type: 'NOTE_CREATED',
-        note: grpcResponse.note
-      });
+const endSession = async (req, data) => {
+  await redisClient.del(`session:${req.user.id}`);
+  return data;
+};
 
-      res.status(201).json({
+// Behavior a route option names but the proto can't describe. `before` gets
+// the bound JSON request, `after` the response data (after success and cache
+// invalidation), `onError` replaces the default gRPC error mapping.
+const ROUTE_HOOKS = {
+  // Login, register and refresh keep session:<id> on the newest access token
+  // and hand it out under the `token` key the frontend reads
+  session: {
+    after: async (req, { accessToken, ...data }) => {
+      const { id } = jwt.decode(accessToken);
+      await redisClient.setEx(`session:${id}`, SESSION_TTL, accessToken);
+      return { ...data, token: accessToken };
+    }
+  },
+  logout: {
+    before: (req, request) => ({
+      ...request,
+      accessToken: req.body.token || request.accessToken || bearerToken(req)
+    }),
+    after: (req, data) => {
+      dropTokenClients(req.body.token || bearerToken(req));
+      return endSession(req, data);
+    },
+    // Always succeed logout on error
+    onError: (req, res, error) => {
+      logger.error('Logout error:', error);
+      res.json({
         success: true,
-        message: grpcResponse.message,
-        data: { note: grpcResponse.note }
-      });
-    } else {
-      res.status(400).json({
-        success: false,
-        message: grpcResponse.message
+        message: 'Logout successful'
       });
     }
-  } catch (error) {
-    logger.error('Create note error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to create note',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
+  },
+  logoutAll: {
+    before: (req, request) => ({ ...request, accessToken: bearerToken(req) }),
+    after: (req, data) => {
+      dropUserClients(req.user.id);
+      return endSession(req, data);
+    }
+  },
+  // The REST API has always taken the search text as ?q=
+  searchQuery: {
+    before: (req, request) => ({ ...request, query: request.query || req.query.q })
+  },
+  // Same shape as the todos-service REST /stats endpoint
+  todoStats: {
+    after: (req, stats) => ({
+      overview: {
+        total: stats.total,
+        completed: stats.completed,
+        overdue: stats.overdue
+      },
+      byPriority: stats.byPriority
+    })
+  },
+  todoCreated: {
+    // Priority LOW is the proto3 zero value, the REST API defaults to medium
+    before: (req, request) => ({ priority: 'medium', ...request }),
+    after: (req, data) => {
+      emitTodoEvent(req.user.id, 'CREATED', { todo: data.todo });
+      return data;
+    }
+  },
+  todoUpdated: {
+    after: (req, data) => {
+      emitTodoEvent(req.user.id, 'UPDATED', { todo: data.todo });
+      return data;
+    }
+  },
+  todoDeleted: {
+    after: (req, data, request) => {
+      emitTodoEvent(req.user.id, 'DELETED', { todoId: request.id });
+      return data;
+    }
   }
-});
+};
 
-// WebSocket real-time connections
-io.on('connection', (socket) => {
-  logger.info(`Client connected: ${socket.id}`);
-  
-  socket.on('authenticate', async (token) => {
-    try {
-      // Validate token via gRPC
-      const grpcResponse = await new Promise((resolve, reject) => {
-        authClient.validateToken({ token }, (error, response) => {
-          if (error) reject(error);
-          else resolve(response);
-        });
-      });
+// Binary clients (CLI, sync jobs) opt in with Accept / Content-Type. A
+// protobuf body is the RPC's own request message, and a protobuf response is
+// the RPC's whole response message, named in X-Protobuf-Message. JSON stays
+// the default, and errors are always JSON.
+const PROTOBUF_TYPE = 'application/x-protobuf';
 
-      if (grpcResponse.valid) {
-        socket.userId = grpcResponse.user.id;
-        socket.join(`user_${grpcResponse.user.id}`);
-        socket.emit('authenticated', { success: true, user: grpcResponse.user });
-        
-        logger.info(`User ${grpcResponse.user.id} authenticated via WebSocket`);
-      } else {
-        socket.emit('authenticated', { success: false, message: 'Invalid token' });
-      }
-    } catch (error) {
-      logger.error('WebSocket auth error:', error);
-      socket.emit('authenticated', { success: false, message: 'Authentication failed' });
-    }
-  });
+const wantsProtobuf = (req) => req.accepts(['application/json', PROTOBUF_TYPE]) === PROTOBUF_TYPE;
 
-  socket.on('disconnect', () => {
+const sendProtobuf = (res, status, messageType, buffer) => {
+  res.status(status)
+    .type(PROTOBUF_TYPE)
+    .set('X-Protobuf-Message', messageType)
+    .send(buffer);
+};
+
+// Path and query values arrive as strings, give them the field's proto type
+const coerceParam = (field, value) => {
+  if (field.repeated) {
+    return [].concat(value).map(item => coerceParam({ ...field, repeated: false }, item));
+  }
+  if (field.type === 'TYPE_BOOL') return value === 'true';
+  if (INTEGER_TYPES.has(field.type) || field.type === 'TYPE_DOUBLE' || field.type === 'TYPE_FLOAT') {
+    const number = INTEGER_TYPES.has(field.type) ? parseInt(value) : parseFloat(value);
+    if (Number.isNaN(number)) {
+      throw invalidArgumentError(`${field.jsonName} must be a number`);
+    }
+    return number;
+  }
+  return value;
+};
+
+// ETag for the versioned resource a (gateway.route) `etag` names
+const etagOf = (route, response) => {
+  const version = route.etag && response[toCamelCase(route.etag)]?.version;
+  return version ? `"${version}"` : null;
+};
+
+// google.api.http binding rules: path params win over the body ("*" or a
+// single field), and with no "*" body every other field may come from the
+// query string. The caller's identity always overrides any user_id sent, and
+// on `etag` routes an If-Match header overrides expected_version.
+const bindRequest = (req, { fields, rule, pathParams, route }) => {
+  const request = {};
+
+  if (rule.body === '*') {
+    Object.assign(request, req.body);
+  } else {
+    if (rule.body) request[rule.body] = req.body;
+
+    fields.forEach(field => {
+      if (pathParams.includes(field.name) || field.name === rule.body) return;
+      const value = req.query[field.jsonName] ?? req.query[field.name];
+      if (value !== undefined) request[field.jsonName] = coerceParam(field, value);
+    });
+  }
+
+  pathParams.forEach(name => {
+    const field = fields.find(candidate => candidate.name === name);
+    request[field.jsonName] = coerceParam(field, req.params[name]);
+  });
+
+  if (!route.public && fields.some(field => field.name === 'user_id')) {
+    request.userId = req.user.id;
+  }
+
+  if (route.etag && req.get('If-Match') && fields.some(field => field.name === 'expected_version')) {
+    request.expectedVersion = parseIfMatch(req.get('If-Match'));
+  }
+
+  // PUT/PATCH bodies are partial: only the keys the client sent go into the mask
+  const hasUpdateMask = fields.some(field => field.name === 'update_mask');
+  if (hasUpdateMask && rule.body === '*' && request.updateMask === undefined) {
+    const maskable = fields.filter(field =>
+      !pathParams.includes(field.name) && !['user_id', 'update_mask', 'expected_version'].includes(field.name)
+    );
+    request.updateMask = Object.keys(req.body).filter(key =>
+      maskable.some(field => field.jsonName === key || field.name === key)
+    );
+  }
+
+  return request;
+};
+
+const routeHandler = (binding) => {
+  const { client, service, rpc, rule, route, requestStream, methodDefinition } = binding;
+  const { requestType, responseType } = codec.getMethodTypes(service, rpc);
+  const hook = ROUTE_HOOKS[route.hook] || {};
+  const namespace = service.split('.')[0];
+  const invalidates = [].concat(route.invalidates || []);
+  const failureMessage = `Failed to ${rpc.replace(/[A-Z]/g, char => ` ${char.toLowerCase()}`)}`;
+
+  const invalidate = (req) => {
+    return Promise.all(invalidates.map(prefix => clearUserCache(prefix, req.user.id)));
+  };
+
+  // Client-streaming RPCs take an NDJSON body, one message per line
+  const handleStream = async (req, res) => {
+    if (!req.is('application/x-ndjson')) {
+      return res.status(415).json({
+        success: false,
+        message: 'Expected an application/x-ndjson body, one JSON object per line'
+      });
+    }
+
+    const result = await importNdjson(req, client, rpc);
+    if (result.imported > 0) await invalidate(req);
+
+    res.status(route.success_status || 200).json({
+      success: result.failed === 0,
+      message: `Imported ${result.imported} of ${result.received} ${namespace}`,
+      data: result
+    });
+  };
+
+  // Binary body → the same JSON a REST client would have sent
+  const decodeProtobufBody = (buffer) => {
+    try {
+      return codec.toJson(requestType, methodDefinition.requestDeserialize(buffer));
+    } catch (error) {
+      throw invalidArgumentError(`Invalid ${requestType} body: ${error.message}`);
+    }
+  };
+
+  const encodeProtobufResponse = (response) => {
+    return methodDefinition.responseSerialize(codec.fromJson(responseType, response));
+  };
+
+  const handleUnary = async (req, res) => {
+    const protobuf = wantsProtobuf(req);
+
+    // Protobuf responses are cached next to the JSON ones, base64 encoded
+    const cacheKey = route.cache_ttl &&
+      `${namespace}:${req.user.id}:${protobuf ? 'pb:' : ''}${req.originalUrl}`;
+    if (cacheKey) {
+      const cached = await redisClient.get(cacheKey);
+      if (cached && protobuf) {
+        return sendProtobuf(res, 200, responseType, Buffer.from(cached, 'base64'));
+      }
+      if (cached) return res.json(JSON.parse(cached));
+    }
+
+    if (Buffer.isBuffer(req.body) && req.is(PROTOBUF_TYPE)) {
+      req.body = decodeProtobufBody(req.body);
+    }
+
+    let request = bindRequest(req, binding);
+    if (hook.before) request = hook.before(req, request);
+
+    const grpcResponse = await grpcCall(client, rpc, request, userMetadata(bearerToken(req)));
+    const { success, message, ...response } = grpcResponse;
+
+    const etag = etagOf(route, response);
+    if (etag) res.set('ETag', etag);
+
+    if (success === false) {
+      if (protobuf) {
+        return sendProtobuf(res, route.failure_status || 400, responseType, encodeProtobufResponse(grpcResponse));
+      }
+      // A version conflict carries the current copy for the client to merge
+      const body = { success: false, message };
+      if (etag) body.data = { [toCamelCase(route.etag)]: response[toCamelCase(route.etag)] };
+      return res.status(route.failure_status || 400).json(body);
+    }
+
+    if (invalidates.length > 0) await invalidate(req);
+
+    let data = rule.response_body ? response[toCamelCase(rule.response_body)] : response;
+    // Hooks still run for their side effects (sessions, socket events), but
+    // the protobuf body is the untouched response message
+    if (hook.after) data = await hook.after(req, data, request);
+
+    if (protobuf) {
+      const buffer = encodeProtobufResponse(grpcResponse);
+      if (cacheKey) {
+        await redisClient.setEx(cacheKey, route.cache_ttl, buffer.toString('base64'));
+      }
+      return sendProtobuf(res, route.success_status || 200, responseType, buffer);
+    }
+
+    const body = { success: true };
+    if (message) body.message = message;
+    if (data && Object.keys(data).length > 0) body.data = data;
+
+    if (cacheKey) {
+      await redisClient.setEx(cacheKey, route.cache_ttl, JSON.stringify(body));
+    }
+
+    res.status(route.success_status || 200).json(body);
+  };
+
+  return async (req, res) => {
+    try {
+      await (requestStream ? handleStream(req, res) : handleUnary(req, res));
+    } catch (error) {
+      if (hook.onError) return hook.onError(req, res, error);
+      logger.error(`${rpc} error:`, error);
+      sendGrpcError(res, error, failureMessage);
+    }
+  };
+};
+
+const PATH_PARAM = /\{([^}=]+)(?:=[^}]*)?\}/g;
+
+const collectRouteBindings = () => {
+  const bindings = [];
+
+  [authDefinition, notesDefinition, todosDefinition].forEach(definition => {
+    Object.entries(definition).forEach(([service, methods]) => {
+      if (methods.format) return;
+      const upstream = Object.values(upstreams).find(candidate => candidate.service === service);
+
+      Object.values(methods).forEach(method => {
+        const httpRule = method.options?.['(google.api.http)'];
+        // Server streams are delivered over Socket.IO, not REST
+        if (!httpRule || method.responseStream) return;
+
+        const rpc = method.originalName;
+        const route = method.options['(gateway.route)'] || {};
+        const fields = codec.getRequestFields(service, rpc);
+
+        [httpRule, ...(httpRule.additional_bindings || [])].forEach(rule => {
+          const verb = HTTP_VERBS.find(candidate => rule[candidate]);
+          if (!verb) {
+            logger.warn(`Skipping ${service}.${rpc}: only get/put/post/delete/patch rules are supported`);
+            return;
+          }
+
+          const template = rule[verb];
+          bindings.push({
+            client: upstream.client,
+            service,
+            rpc,
+            rule,
+            route,
+            fields,
+            verb,
+            path: template.replace(PATH_PARAM, ':$1'),
+            pathParams: [...template.matchAll(PATH_PARAM)].map(match => match[1]),
+            requestStream: method.requestStream,
+            methodDefinition: method
+          });
+        });
+      });
+    });
+  });
+
+  // Literal paths first, so /api/todos/stats isn't captured by /api/todos/{id}
+  return bindings.sort((a, b) => a.pathParams.length - b.pathParams.length);
+};
+
+collectRouteBindings().forEach(binding => {
+  const middleware = binding.route.public ? [] : [authenticateToken];
+  app[binding.verb](binding.path, ...middleware, routeHandler(binding));
+  logger.info(`REST ${binding.verb.toUpperCase()} ${binding.path} → ${binding.service}/${binding.rpc}`);
+});
+
+// ======================
+// GRPC-WEB (browser → gRPC)
+// ======================
+
+// Every RPC of the auth, notes and todos services is also reachable at
+// `POST /grpc/<package.Service>/<Method>` with a gRPC-Web body, so the
+// frontend can make typed calls without REST paths. The access token comes as
+// `authorization` metadata and is checked through AuthService.ValidateToken;
+// (gateway.route) `public` RPCs skip it, and user_id is always the caller's.
+
+const GRPC_WEB_PREFIX = '/grpc';
+
+const unauthenticatedError = (details) => ({
+  code: grpc.status.UNAUTHENTICATED,
+  details,
+  message: details
+});
+
+const unimplementedError = (details) => ({
+  code: grpc.status.UNIMPLEMENTED,
+  details,
+  message: details
+});
+
+// '/notes.NotesService/GetNotes' → method definition and route options, for
+// the RPCs whose (gateway.route) opts in with grpc_web. Anything else, such
+// as ValidateToken or the batch RPCs, is unknown here.
+const grpcWebMethods = new Map();
+
+[authDefinition, notesDefinition, todosDefinition].forEach(definition => {
+  Object.entries(definition).forEach(([service, methods]) => {
+    if (methods.format) return;
+    const upstream = Object.values(upstreams).find(candidate => candidate.service === service);
+
+    Object.values(methods).forEach(method => {
+      if (!method.options?.['(gateway.route)']?.grpc_web) return;
+      grpcWebMethods.set(method.path, {
+        client: upstream.client,
+        service,
+        rpc: method.originalName,
+        rule: method.options?.['(google.api.http)'] || {},
+        route: method.options?.['(gateway.route)'] || {},
+        methodDefinition: method
+      });
+    });
+  });
+});
+
+const authenticateGrpcWeb = async (req) => {
+  const token = bearerToken(req);
+  if (!token) {
+    throw unauthenticatedError('Access token required');
+  }
+
+  const { valid, user } = await grpcCall(authClient, 'validateToken', { token });
+  if (!valid) {
+    throw unauthenticatedError('Invalid or expired token');
+  }
+  return user;
+};
+
+// Writes frames in the encoding the request used. An error before the first
+// message is sent "trailers-only", as plain response headers.
+const createGrpcWebReply = (req, res) => {
+  const text = isTextContentType(req.headers['content-type']);
+  const contentType = text ? 'application/grpc-web-text+proto' : 'application/grpc-web+proto';
+  const write = (frame) => res.write(text ? frame.toString('base64') : frame);
+
+  return {
+    message: (payload) => {
+      if (!res.headersSent) res.status(200).type(contentType);
+      write(encodeMessageFrame(payload));
+    },
+    end: (code, details) => {
+      if (res.headersSent) {
+        write(encodeTrailerFrame(code, details));
+      } else {
+        res.status(200).type(contentType).set(encodeStatus(code, details));
+      }
+      res.end();
+    }
+  };
+};
+
+// Unary calls go through grpcCall for its deadlines, retries and circuit
+// breaker. A successful mutation clears the REST cache and runs its hook's
+// `after` for the side effects (socket events, sessions); `before` hooks only
+// adapt REST request shapes, so gRPC-Web callers send the message as is.
+const handleGrpcWebUnary = async (entry, req, reply, request) => {
+  const { client, service, rpc, rule, route, methodDefinition } = entry;
+  const { requestType, responseType } = codec.getMethodTypes(service, rpc);
+  const json = codec.toJson(requestType, request);
+
+  const response = await grpcCall(client, rpc, json, userMetadata(bearerToken(req)));
+
+  if (response.success !== false) {
+    const invalidates = [].concat(route.invalidates || []);
+    await Promise.all(invalidates.map(prefix => clearUserCache(prefix, req.user.id)));
+
+    const hook = ROUTE_HOOKS[route.hook] || {};
+    if (hook.after) {
+      const { success, message, ...data } = response;
+      await hook.after(req, rule.response_body ? data[toCamelCase(rule.response_body)] : data, json);
+    }
+  }
+
+  reply.message(methodDefinition.responseSerialize(codec.fromJson(responseType, response)));
+  reply.end(grpc.status.OK);
+};
+
+// Server streams are relayed frame by frame until the upstream ends or the
+// browser goes away. The client's grpc-timeout, if any, becomes the deadline.
+const handleGrpcWebStream = (entry, req, res, reply, request) => {
+  const { client, rpc, methodDefinition } = entry;
+  const upstream = upstreamByClient.get(client);
+  if (isUpstreamDown(upstream)) {
+    throw unavailableError(`${upstream} service is not serving`);
+  }
+
+  const timeout = parseTimeout(req.headers['grpc-timeout']);
+  const call = client[rpc](
+    request,
+    userMetadata(bearerToken(req)),
+    timeout ? { deadline: new Date(Date.now() + timeout) } : {}
+  );
+
+  return new Promise(resolve => {
+    let finished = false;
+    const finish = (code, details) => {
+      if (finished) return;
+      finished = true;
+      reply.end(code, details);
+      resolve();
+    };
+
+    call.on('data', message => reply.message(methodDefinition.responseSerialize(message)));
+    call.on('error', error => finish(error.code, error.details));
+    call.on('end', () => finish(grpc.status.OK));
+
+    res.on('close', () => {
+      if (finished) return;
+      finished = true;
+      call.cancel();
+      resolve();
+    });
+  });
+};
+
+app.post(
+  `${GRPC_WEB_PREFIX}/:service/:method`,
+  express.raw({ type: GRPC_WEB_CONTENT_TYPES, limit: '10mb' }),
+  async (req, res) => {
+    if (!req.is(GRPC_WEB_CONTENT_TYPES)) {
+      return res.status(415).end();
+    }
+
+    const reply = createGrpcWebReply(req, res);
+    const path = `/${req.params.service}/${req.params.method}`;
+
+    try {
+      const entry = grpcWebMethods.get(path);
+      if (!entry) {
+        throw unimplementedError(`Unknown method ${path}`);
+      }
+      // Browsers can't stream a request body, so there's no way to carry one
+      if (entry.methodDefinition.requestStream) {
+        throw unimplementedError('Client-streaming RPCs are not supported over gRPC-Web');
+      }
+
+      let request;
+      try {
+        const body = isTextContentType(req.headers['content-type'])
+          ? Buffer.from(req.body.toString(), 'base64')
+          : req.body;
+        const frames = decodeFrames(body);
+        if (frames.length !== 1) {
+          throw new Error(`Expected one request message, got ${frames.length}`);
+        }
+        request = entry.methodDefinition.requestDeserialize(frames[0]);
+      } catch (error) {
+        throw invalidArgumentError(error.message);
+      }
+
+      if (!entry.route.public) {
+        req.user = await authenticateGrpcWeb(req);
+        if ('user_id' in request) request.user_id = req.user.id;
+      }
+
+      await (entry.methodDefinition.responseStream
+        ? handleGrpcWebStream(entry, req, res, reply, request)
+        : handleGrpcWebUnary(entry, req, reply, request));
+    } catch (error) {
+      if (typeof error.code !== 'number') {
+        logger.error(`gRPC-Web ${path} error:`, error);
+        return reply.end(grpc.status.INTERNAL, 'Internal server error');
+      }
+      reply.end(error.code, error.details);
+    }
+  }
+);
+
+Object.values(upstreams).forEach(({ service }) => {
+  logger.info(`gRPC-Web POST ${GRPC_WEB_PREFIX}/${service}/* → ${service}`);
+});
+
+// ======================
+// USER ROUTES (REST proxy)
+// ======================
+
+// user-service has no gRPC interface yet, so profile routes are proxied as-is
+const USER_SERVICE_URL = process.env.USER_SERVICE_URL || 'http://localhost:3004';
+const usersPool = registry.pool('users', {
+  address: ({ host, httpPort }) => httpPort ? `http://${host}:${httpPort}` : null,
+  fallback: USER_SERVICE_URL
+});
+
+// Picks the instance for this request and holds it until the response is done
+const balanceUsers = (req, res, next) => {
+  const { address, release } = usersPool.acquire();
+  req.upstreamTarget = address;
+  res.on('close', release);
+  next();
+};
+
+app.use('/api/users', authenticateToken, balanceUsers, createProxyMiddleware({
+  target: USER_SERVICE_URL,
+  router: (req) => req.upstreamTarget,
+  changeOrigin: true,
+  timeout: 30000,
+  pathRewrite: { '^/api/users': '' },
+  // express.json() has already consumed the body, re-stream it upstream
+  onProxyReq: fixRequestBody,
+  onError: (err, req, res) => {
+    logger.error('User service proxy error:', err);
+    res.status(503).json({
+      error: 'Service temporarily unavailable',
+      message: 'The requested service is not responding'
+    });
+  }
+}));
+
+// ======================
+// REAL-TIME EVENT LOG (per-user sequence IDs, Redis Streams)
+// ======================
+
+// Every event sent to a user's sockets carries `seq`, a per-user counter
+// shared by all gateway instances, and is appended to a capped per-user
+// stream. A reconnecting client sends the last seq it applied and gets what
+// it missed, or `resyncRequired` when those events are no longer kept.
+const EVENT_LOG_MAX_LEN = parseInt(process.env.EVENT_LOG_MAX_LEN) || 500;
+const EVENT_LOG_TTL_SECONDS = parseInt(process.env.EVENT_LOG_TTL_SECONDS) || 86400;
+const EVENT_DEDUPE_SECONDS = 60;
+
+const eventSeqKey = (userId) => `events:seq:${userId}`;
+const eventLogKey = (userId) => `events:log:${userId}`;
+
+// KEYS: seq counter, log[, dedupe marker]
+// ARGV: event name, payload JSON, max length, log TTL[, dedupe TTL]
+// Entry IDs are `<seq>-0`, so a seq range is an XRANGE. An event already
+// logged under the dedupe marker returns its seq instead of a new one.
+const APPEND_EVENT_SCRIPT = `
+if KEYS[3] then
+  local seen = redis.call('GET', KEYS[3])
+  if seen then return tonumber(seen) end
+end
+local seq = redis.call('INCR', KEYS[1])
+redis.call('XADD', KEYS[2], 'MAXLEN', ARGV[3], seq .. '-0', 'event', ARGV[1], 'payload', ARGV[2])
+redis.call('EXPIRE', KEYS[2], ARGV[4])
+if KEYS[3] then
+  redis.call('SET', KEYS[3], seq, 'EX', ARGV[5])
+end
+return seq
+`;
+
+const appendUserEvent = async (userId, event, payload, dedupeKey) => {
+  const keys = [eventSeqKey(userId), eventLogKey(userId)];
+  const args = [event, JSON.stringify(payload), String(EVENT_LOG_MAX_LEN), String(EVENT_LOG_TTL_SECONDS)];
+  if (dedupeKey) {
+    keys.push(`events:seen:${userId}:${createHash('sha1').update(dedupeKey).digest('hex')}`);
+    args.push(String(EVENT_DEDUPE_SECONDS));
+  }
+  return Number(await redisClient.eval(APPEND_EVENT_SCRIPT, { keys, arguments: args }));
+};
+
+// Hands an event to the user's clients on this instance, Socket.IO and SSE
+// alike, so the two transports never disagree
+const deliverUserEvent = (userId, event, data) => {
+  io.local.to(`user_${userId}`).emit(event, data);
+  clientSessions.forEach(session => {
+    if (session.res && session.userId === userId) writeSseEvent(session.res, event, data);
+  });
+};
+
+// Cluster-wide events reach the other instances over the Socket.IO adapter
+io.on('userEvent', deliverUserEvent);
+
+// Logs the event and delivers it to the user's clients, cluster-wide or,
+// with `local`, on this instance only. Replies on one Redis connection come
+// back in order, so one instance delivers a user's events in seq order.
+// Events that reach several instances at once (gRPC streams) pass a
+// `dedupeKey` so they share one seq. Without Redis the event still goes out,
+// just without seq.
+const publishUserEvent = async (userId, event, payload, { local = false, dedupeKey } = {}) => {
+  let seq;
+  try {
+    seq = await appendUserEvent(userId, event, payload, dedupeKey);
+  } catch (error) {
+    logger.warn(`Event log append for user ${userId} failed: ${error.message}`);
+  }
+
+  const data = seq ? { ...payload, seq } : payload;
+  if (!local) io.serverSideEmit('userEvent', userId, event, data);
+  deliverUserEvent(userId, event, data);
+};
+
+// Sends a client the events after `lastEventId` through `send(event, data)`,
+// then `replayComplete`. The client already receives live events, which may
+// overlap the replay; clients skip any seq they have applied. If the log
+// can't cover the gap (trimmed, expired, or a seq from before a Redis reset)
+// the client gets `resyncRequired` and should refetch its state.
+const replayUserEvents = async (userId, lastEventId, send) => {
+  const after = Number(lastEventId);
+  if (!Number.isSafeInteger(after) || after < 0) {
+    send('resyncRequired', { reason: 'Invalid lastEventId' });
+    return;
+  }
+
+  try {
+    const latest = Number(await redisClient.get(eventSeqKey(userId))) || 0;
+    if (after > latest) {
+      send('resyncRequired', { lastEventId: latest, reason: 'Unknown lastEventId' });
+      return;
+    }
+
+    const entries = after === latest ? [] : await redisClient.xRange(eventLogKey(userId), `${after + 1}-0`, '+');
+    if (after < latest && entries[0]?.id !== `${after + 1}-0`) {
+      send('resyncRequired', { lastEventId: latest, reason: 'Missed events are no longer available' });
+      return;
+    }
+
+    entries.forEach(({ id, message }) => {
+      send(message.event, { ...JSON.parse(message.payload), seq: parseInt(id) });
+    });
+    send('replayComplete', { lastEventId: entries.length > 0 ? parseInt(entries.at(-1).id) : latest });
+  } catch (error) {
+    logger.warn(`Event replay for user ${userId} failed: ${error.message}`);
+    send('resyncRequired', { reason: 'Event log unavailable' });
+  }
+};
+
+// ======================
+// REAL-TIME EVENTS (gRPC streams → Socket.IO)
+// ======================
+
+const NOTE_SOCKET_EVENTS = {
+  created: 'noteCreated',
+  updated: 'noteUpdated',
+  deleted: 'noteDeleted',
+  pinned: 'notePinned',
+  archived: 'noteArchived'
+};
+
+const USER_STREAM_RETRY_MS = 5000;
+
+// Server-streaming RPCs held open for every user with a socket on this
+// instance. Every instance with such sockets holds its own stream, so each
+// relays to its local sockets only; a cluster-wide emit would deliver every
+// event once per instance. `toEvent` maps a message, already decoded to REST
+// JSON, to the socket event name and payload.
+const USER_STREAMS = {
+  notes: {
+    client: notesClient,
+    method: 'streamNoteUpdates',
+    toEvent: (event) => [NOTE_SOCKET_EVENTS[event.type], {
+      type: `NOTE_${event.type.toUpperCase()}`,
+      note: event.note,
+      timestamp: event.timestamp
+    }]
+  },
+  reminders: {
+    client: todosClient,
+    method: 'streamTodoReminders',
+    toEvent: (reminder) => ['todoReminder', {
+      type: 'TODO_REMINDER',
+      reminder
+    }]
+  }
+};
+
+// Active calls keyed by `${stream}:${userId}`
+const userStreams = new Map();
+
+// Local sockets and SSE streams only, like the gRPC streams themselves
+const hasLocalClients = (userId) => {
+  if ((io.sockets.adapter.rooms.get(`user_${userId}`)?.size || 0) > 0) return true;
+  return [...clientSessions.values()].some(session => session.res && session.userId === userId);
+};
+
+// `token` is the access token of the socket that opened the stream; the
+// upstream checks it once, when the stream starts
+const openUserStream = (name, userId, token) => {
+  const key = `${name}:${userId}`;
+  if (userStreams.has(key)) return;
+
+  const { client, method, toEvent } = USER_STREAMS[name];
+  const { service } = upstreams[upstreamByClient.get(client)];
+  const call = client[method](codec.encodeRequest(service, method, { userId }), userMetadata(token));
+  userStreams.set(key, call);
+  logger.info(`${name} stream opened for user ${userId}`);
+
+  // The same message reaches every instance holding this stream; the
+  // dedupe key has them log it once and emit it under one seq
+  call.on('data', (message) => {
+    const data = codec.decodeResponse(service, method, message);
+    const [event, payload] = toEvent(data);
+    publishUserEvent(userId, event, payload, { local: true, dedupeKey: `${name}:${JSON.stringify(data)}` });
+  });
+
+  let closed = false;
+  const handleClosed = (error) => {
+    if (closed) return;
+    closed = true;
+
+    if (userStreams.get(key) === call) {
+      userStreams.delete(key);
+    }
+
+    // Cancelled means we closed it ourselves after the last socket left
+    if (error?.code === grpc.status.CANCELLED) return;
+
+    logger.warn(`${name} stream for user ${userId} closed${error ? `: ${error.message}` : ''}`);
+
+    // Retrying with an expired or revoked token can't succeed; the next
+    // socket to authenticate reopens it with a fresh one
+    if (error?.code === grpc.status.UNAUTHENTICATED) return;
+
+    setTimeout(() => {
+      if (hasLocalClients(userId)) openUserStream(name, userId, token);
+    }, USER_STREAM_RETRY_MS);
+  };
+
+  call.on('error', handleClosed);
+  call.on('end', () => handleClosed());
+};
+
+const closeUserStream = (name, userId) => {
+  const key = `${name}:${userId}`;
+  const call = userStreams.get(key);
+  if (!call) return;
+
+  userStreams.delete(key);
+  call.cancel();
+  logger.info(`${name} stream closed for user ${userId}`);
+};
+
+const openUserStreams = (userId, token) => {
+  Object.keys(USER_STREAMS).forEach(name => openUserStream(name, userId, token));
+};
+
+const closeUserStreams = (userId) => {
+  Object.keys(USER_STREAMS).forEach(name => closeUserStream(name, userId));
+};
+
+// ======================
+// SOCKET AUTHENTICATION (handshake token, expiry, revocation)
+// ======================
+
+// Sockets authenticate in the handshake (`auth: { token }`) or, within the
+// grace period, with an `authenticate` event. The same event re-authenticates
+// a live socket after a token refresh. A socket is dropped when its token
+// expires or stops validating (logout, revocation). SSE streams go through
+// the same expiry and revocation checks.
+const SOCKET_AUTH_GRACE_MS = parseInt(process.env.SOCKET_AUTH_GRACE_MS) || 10000;
+const SOCKET_REVALIDATE_MS = parseInt(process.env.SOCKET_REVALIDATE_MS) || 60000;
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+// Authenticated local clients: sockets by socket id, SSE streams (which also
+// carry `res`) by `sse:<n>`. { userId, token, expiresAt, expiryTimer, drop }
+const clientSessions = new Map();
+
+const tokenExpiry = (token) => {
+  const { exp } = jwt.decode(token) || {};
+  return exp ? exp * 1000 : null;
+};
+
+// { user, expiresAt } for a valid access token, null otherwise. Errors other
+// than an invalid token (auth service down) are thrown.
+const validateSocketToken = async (token) => {
+  if (!token) return null;
+
+  const { valid, user } = await grpcCall(authClient, 'validateToken', { token });
+  if (!valid) return null;
+
+  return { user, expiresAt: tokenExpiry(token) };
+};
+
+// Tells the client why, then disconnects; it reconnects with a fresh token
+const dropSocket = (socket, message) => {
+  socket.emit('unauthenticated', { message });
+  socket.disconnect(true);
+};
+
+const scheduleExpiry = (session) => {
+  clearTimeout(session.expiryTimer);
+  if (!session.expiresAt) return;
+
+  // Timers can't run longer than ~24.8 days; re-arm until the real expiry
+  const delay = session.expiresAt - Date.now();
+  session.expiryTimer = setTimeout(() => {
+    if (Date.now() >= session.expiresAt) session.drop('Token expired');
+    else scheduleExpiry(session);
+  }, Math.min(Math.max(delay, 0), MAX_TIMER_MS));
+};
+
+const authenticateSocket = (socket, token, { user, expiresAt }) => {
+  const previousUserId = socket.data.userId;
+  if (previousUserId && previousUserId !== user.id) {
+    socket.leave(`user_${previousUserId}`);
+    if (!hasLocalClients(previousUserId)) closeUserStreams(previousUserId);
+  }
+
+  socket.data.userId = user.id;
+  socket.join(`user_${user.id}`);
+
+  const session = clientSessions.get(socket.id) || { drop: (message) => dropSocket(socket, message) };
+  Object.assign(session, { userId: user.id, token, expiresAt });
+  clientSessions.set(socket.id, session);
+  scheduleExpiry(session);
+
+  openUserStreams(user.id, token);
+  socket.emit('authenticated', { success: true, user });
+  logger.info(`User ${user.id} authenticated via WebSocket`);
+};
+
+// Drops local clients whose token was revoked since they authenticated. One
+// ValidateToken per distinct token; an unreachable auth service drops nobody.
+const revalidateClients = async () => {
+  const byToken = new Map();
+  clientSessions.forEach(session => {
+    byToken.set(session.token, [...(byToken.get(session.token) || []), session]);
+  });
+
+  for (const [token, sessions] of byToken) {
+    try {
+      if (await validateSocketToken(token)) continue;
+      sessions.forEach(session => session.drop('Token is no longer valid'));
+    } catch (error) {
+      logger.warn(`Socket revalidation skipped: ${error.message}`);
+      return;
+    }
+  }
+};
+
+setInterval(revalidateClients, SOCKET_REVALIDATE_MS).unref();
+
+// Logout revokes one token: its clients on this instance go at once, the
+// revalidation sweep catches the others
+const dropTokenClients = (token) => {
+  clientSessions.forEach(session => {
+    if (session.token === token) session.drop('Logged out');
+  });
+};
+
+const dropLocalUserClients = (userId) => {
+  clientSessions.forEach(session => {
+    if (session.userId === userId) session.drop('Logged out');
+  });
+};
+
+io.on('dropUser', dropLocalUserClients);
+
+// Logout everywhere revokes every token of the user, on every instance
+const dropUserClients = (userId) => {
+  io.serverSideEmit('dropUser', userId);
+  dropLocalUserClients(userId);
+};
+
+// A handshake token must be valid; without one the socket gets the grace period
+io.use(async (socket, next) => {
+  const token = socket.handshake.auth?.token;
+  if (!token) return next();
+
+  try {
+    const session = await validateSocketToken(token);
+    if (!session) return next(new Error('Invalid or expired token'));
+
+    socket.handshakeSession = { token, ...session };
+    next();
+  } catch (error) {
+    logger.error('WebSocket handshake auth error:', error);
+    next(new Error('Authentication service unavailable'));
+  }
+});
+
+// WebSocket real-time connections
+io.on('connection', (socket) => {
+  logger.info(`Client connected: ${socket.id}`);
+  socket.data.instanceId = GATEWAY_INSTANCE_ID;
+
+  let graceTimer = null;
+  if (socket.handshakeSession) {
+    const { token, ...session } = socket.handshakeSession;
+    authenticateSocket(socket, token, session);
+
+    // A reconnecting client can ask for what it missed right away
+    const { lastEventId } = socket.handshake.auth;
+    if (lastEventId !== undefined && lastEventId !== null) {
+      replayUserEvents(socket.data.userId, lastEventId, (event, data) => socket.emit(event, data));
+    }
+  } else {
+    graceTimer = setTimeout(() => {
+      if (!socket.data.userId) dropSocket(socket, 'Authentication required');
+    }, SOCKET_AUTH_GRACE_MS);
+  }
+
+  // First authentication within the grace period, or re-authentication
+  // with a refreshed token
+  socket.on('authenticate', async (token) => {
+    try {
+      const session = await validateSocketToken(token);
+
+      if (session) {
+        clearTimeout(graceTimer);
+        authenticateSocket(socket, token, session);
+      } else {
+        socket.emit('authenticated', { success: false, message: 'Invalid token' });
+      }
+    } catch (error) {
+      logger.error('WebSocket auth error:', error);
+      socket.emit('authenticated', { success: false, message: 'Authentication failed' });
+    }
+  });
+
+  // Missed events after a reconnect that authenticated with the event
+  socket.on('replay', (request) => {
+    if (!socket.data.userId) {
+      socket.emit('unauthenticated', { message: 'Authentication required' });
+      return;
+    }
+    replayUserEvents(socket.data.userId, request?.lastEventId, (event, data) => socket.emit(event, data));
+  });
+
+  socket.on('disconnect', () => {
     logger.info(`Client disconnected: ${socket.id}`);
+    clearTimeout(graceTimer);
+    clearTimeout(clientSessions.get(socket.id)?.expiryTimer);
+    clientSessions.delete(socket.id);
+
+    // Rooms are already left by now, so this sees the remaining sockets only
+    if (socket.data.userId && !hasLocalClients(socket.data.userId)) {
+      closeUserStreams(socket.data.userId);
+    }
   });
 });
 
+// Connection counts across every gateway instance, and the caller's own
+// connections. Other users are only counted, never listed. fetchSockets()
+// asks the other instances through the Redis adapter and sees each
+// socket's `data`.
+app.get('/api/realtime/presence', authenticateToken, async (req, res) => {
+  try {
+    const sockets = await io.fetchSockets();
+
+    const users = new Map();
+    const instances = new Map();
+    sockets.forEach(({ data }) => {
+      instances.set(data.instanceId, (instances.get(data.instanceId) || 0) + 1);
+      if (data.userId) users.set(data.userId, (users.get(data.userId) || 0) + 1);
+    });
+
+    res.json({
+      success: true,
+      data: {
+        connections: sockets.length,
+        onlineUsers: users.size,
+        user: { userId: req.user.id, connections: users.get(req.user.id) || 0 },
+        instances: [...instances].map(([id, connections]) => ({ id, connections }))
+      }
+    });
+  } catch (error) {
+    logger.error('Presence lookup failed:', error);
+    res.status(503).json({
+      success: false,
+      message: 'Presence is temporarily unavailable'
+    });
+  }
+});
+
+// ======================
+// SERVER-SENT EVENTS (GET /api/events)
+// ======================
+
+// Fallback for clients whose proxies break WebSockets: the same per-user
+// events as the Socket.IO rooms, as text/event-stream. Each event's `id` is
+// its seq, so a reconnecting EventSource resumes with Last-Event-ID.
+const SSE_HEARTBEAT_MS = parseInt(process.env.SSE_HEARTBEAT_MS) || 15000;
+const SSE_RETRY_MS = 3000;
+
+let nextSseClientId = 0;
+
+// `resyncRequired` and `replayComplete` carry the id to resume from instead
+// of a seq; it becomes the stream's Last-Event-ID either way
+const writeSseEvent = (res, event, data) => {
+  if (res.writableEnded) return;
+  const id = data.seq ?? data.lastEventId;
+  res.write(`${id !== undefined ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+app.get('/api/events', authenticateToken, (req, res) => {
+  const token = bearerToken(req);
+  const userId = req.user.id;
+  const id = `sse:${++nextSseClientId}`;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    // no-transform keeps compression() from buffering the stream
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write(`retry: ${SSE_RETRY_MS}\n\n`);
+
+  // Comment lines keep proxies from timing out an idle stream
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), SSE_HEARTBEAT_MS);
+
+  const session = {
+    userId,
+    token,
+    expiresAt: tokenExpiry(token),
+    res,
+    drop: (message) => {
+      writeSseEvent(res, 'unauthenticated', { message });
+      res.end();
+    }
+  };
+  clientSessions.set(id, session);
+  scheduleExpiry(session);
+  openUserStreams(userId, token);
+  logger.info(`User ${userId} connected via SSE`);
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    clearTimeout(session.expiryTimer);
+    clientSessions.delete(id);
+    if (!hasLocalClients(userId)) closeUserStreams(userId);
+  });
+
+  // EventSource sends Last-Event-ID when it reconnects; a fresh page can
+  // pass ?lastEventId= to pick up where a previous one stopped
+  const lastEventId = req.headers['last-event-id'] ?? req.query.lastEventId;
+  if (lastEventId !== undefined) {
+    replayUserEvents(userId, lastEventId, (event, data) => writeSseEvent(res, event, data));
+  }
+});
+
 // Error handler
 app.use((err, req, res, next) => {
   logger.error('Unhandled error:', err);
@@ -464,24 +1862,29 @@ app.use((err, req, res, next) => {
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   logger.info('Shutting down API Gateway...');
-  await redisClient.quit();
-  authClient.close();
-  notesClient.close();
-  todosClient.close();
+  await Promise.all([redisClient.quit(), ioPubClient.quit(), ioSubClient.quit()]);
+  userStreams.forEach(call => call.cancel());
+  // Open SSE responses would keep server.close() waiting
+  clientSessions.forEach(session => session.res?.end());
+  registry.stop();
   server.close(() => {
     logger.info('API Gateway shut down successfully');
     process.exit(0);
   });
 });
 
+// Every pool exists by now, so the first discovery pass covers them all
+registry.start();
+
 server.listen(PORT, () => {
   logger.info(`🚀 Hybrid API Gateway running on port ${PORT}`);
   logger.info(`📡 WebSocket server ready for real-time connections`);
   logger.info('🔗 REST → gRPC translation active');
-  logger.info('⚡ High-performance internal gRPC communication enabled');
+  logger.info(`⚡ High-performance internal gRPC communication enabled${grpcTlsEnabled ? ' (mTLS)' : ''}`);
   console.log(`
 🎯 Hybrid Architecture Active:
    📱 Frontend (REST):     http://localhost:${PORT}/api
+   🌐 Frontend (gRPC-Web): http://localhost:${PORT}/grpc
    📊 Health Check:        http://localhost:${PORT}/health
    📡 WebSocket:          ws://localhost:${PORT}
    ⚡ gRPC Internal:       Port ${GRPC_PORT}
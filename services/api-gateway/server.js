@@ -7,6 +7,8 @@ import { createProxyMiddleware } from 'http-proxy-middleware';
 import jwt from 'jsonwebtoken';
 import Redis from 'redis';
 import dotenv from 'dotenv';
+import { createServiceRegistry } from '../../shared/service-registry.js';
+import { createRevocationCheck, RevocationUnavailableError } from '../../shared/token-revocation.js';
 
 dotenv.config();
 
@@ -41,6 +43,9 @@ app.use(limiter);
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+// Shared token revocation list (blacklist and per-user / global cutoffs in Redis)
+const isTokenRevoked = createRevocationCheck(redisClient);
+
 // Auth middleware
 const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
@@ -51,21 +56,32 @@ const authenticateToken = async (req, res, next) => {
   }
 
   try {
-    // Check if token is blacklisted
-    const blacklisted = await redisClient.get(`blacklist:${token}`);
-    if (blacklisted) {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    if (await isTokenRevoked(token, decoded)) {
       return res.status(401).json({ error: 'Token has been revoked' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
     req.user = decoded;
     next();
   } catch (error) {
+    if (error instanceof RevocationUnavailableError) {
+      return res.status(503).json({ error: error.message });
+    }
     return res.status(403).json({ error: 'Invalid or expired token' });
   }
 };
 
-// Service URLs
+// Service discovery. Instances register themselves in Redis (see
+// shared/service-registry.js); the *_SERVICE_URL addresses are only used
+// while a service has none registered.
+const registry = createServiceRegistry(redisClient, {
+  strategy: process.env.LB_STRATEGY || 'round_robin',
+  refreshMs: parseInt(process.env.REGISTRY_REFRESH_MS) || 5000
+});
+
+const httpAddress = ({ host, httpPort }) => httpPort ? `http://${host}:${httpPort}` : null;
+
 const services = {
   auth: process.env.AUTH_SERVICE_URL || 'http://localhost:3001',
   notes: process.env.NOTES_SERVICE_URL || 'http://localhost:3002',
@@ -73,22 +89,47 @@ const services = {
   users: process.env.USER_SERVICE_URL || 'http://localhost:3004'
 };
 
+const pools = Object.fromEntries(
+  Object.entries(services).map(([name, fallback]) => [
+    name,
+    registry.pool(name, { address: httpAddress, fallback })
+  ])
+);
+
+registry.start();
+
+// Picks the instance for this request and holds it until the response is done
+const balance = (service) => (req, res, next) => {
+  const { address, release } = pools[service].acquire();
+  req.upstreamTarget = address;
+  res.on('close', release);
+  next();
+};
+
+const checkHealth = async (service) => {
+  const { address, release } = pools[service].acquire();
+  try {
+    return await fetch(`${address}/health`);
+  } finally {
+    release();
+  }
+};
+
 // Health check
 app.get('/health', async (req, res) => {
   try {
-    const healthChecks = await Promise.allSettled([
-      fetch(`${services.auth}/health`),
-      fetch(`${services.notes}/health`),
-      fetch(`${services.todos}/health`),
-      fetch(`${services.users}/health`)
-    ]);
+    const names = Object.keys(services);
+    const healthChecks = await Promise.allSettled(names.map(checkHealth));
 
     const serviceStatus = {
       gateway: 'healthy',
-      auth: healthChecks[0].status === 'fulfilled' ? 'healthy' : 'unhealthy',
-      notes: healthChecks[1].status === 'fulfilled' ? 'healthy' : 'unhealthy',
-      todos: healthChecks[2].status === 'fulfilled' ? 'healthy' : 'unhealthy',
-      users: healthChecks[3].status === 'fulfilled' ? 'healthy' : 'unhealthy',
+      ...Object.fromEntries(names.map((name, i) => [
+        name,
+        {
+          status: healthChecks[i].status === 'fulfilled' ? 'healthy' : 'unhealthy',
+          instances: pools[name].instances()
+        }
+      ])),
       redis: redisClient.isReady ? 'healthy' : 'unhealthy'
     };
 
@@ -107,6 +148,7 @@ app.get('/health', async (req, res) => {
 
 // Proxy configuration
 const proxyOptions = {
+  router: (req) => req.upstreamTarget,
   changeOrigin: true,
   timeout: 30000,
   onError: (err, req, res) => {
@@ -124,26 +166,26 @@ const proxyOptions = {
 
 // Route proxying
 // Authentication routes (no auth required for login/register)
-app.use('/api/auth', createProxyMiddleware({
+app.use('/api/auth', balance('auth'), createProxyMiddleware({
   target: services.auth,
   ...proxyOptions,
   pathRewrite: { '^/api/auth': '' }
 }));
 
 // Protected routes (require authentication)
-app.use('/api/notes', authenticateToken, createProxyMiddleware({
+app.use('/api/notes', authenticateToken, balance('notes'), createProxyMiddleware({
   target: services.notes,
   ...proxyOptions,
   pathRewrite: { '^/api/notes': '' }
 }));
 
-app.use('/api/todos', authenticateToken, createProxyMiddleware({
+app.use('/api/todos', authenticateToken, balance('todos'), createProxyMiddleware({
   target: services.todos,
   ...proxyOptions,
   pathRewrite: { '^/api/todos': '' }
 }));
 
-app.use('/api/users', authenticateToken, createProxyMiddleware({
+app.use('/api/users', authenticateToken, balance('users'), createProxyMiddleware({
   target: services.users,
   ...proxyOptions,
   pathRewrite: { '^/api/users': '' }
@@ -176,6 +218,7 @@ app.use((err, req, res, next) => {
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   console.log('Shutting down API Gateway...');
+  registry.stop();
   await redisClient.quit();
   process.exit(0);
 });
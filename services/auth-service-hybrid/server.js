@@ -1,15 +1,23 @@
 import express from 'express';
 import grpc from '@grpc/grpc-js';
 import protoLoader from '@grpc/proto-loader';
+import { HealthImplementation } from 'grpc-health-check';
 import cors from 'cors';
 import helmet from 'helmet';
 import dotenv from 'dotenv';
+import { readFileSync } from 'fs';
+import { hostname } from 'os';
+import { fileURLToPath } from 'url';
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
+import { randomUUID } from 'crypto';
 import { body, validationResult } from 'express-validator';
 import { Sequelize, DataTypes } from 'sequelize';
 import Redis from 'redis';
 import winston from 'winston';
+import { createRevocationCheck, RevocationUnavailableError } from '../../shared/token-revocation.js';
+import { createHealthReporter } from '../../shared/grpc-health.js';
+import { registerInstance } from '../../shared/service-registry.js';
 
 dotenv.config();
 
@@ -113,23 +121,115 @@ const generateToken = (userId) => {
   });
 };
 
-const generateRefreshToken = (userId) => {
-  return jwt.sign({ id: userId, type: 'refresh' }, process.env.JWT_SECRET, {
+// Shared token revocation list (blacklist and per-user / global cutoffs in Redis)
+const isTokenRevoked = createRevocationCheck(redisClient);
+
+// Revoke every token (access and refresh) issued to a user up to now
+const REVOCATION_TTL = 30 * 24 * 60 * 60; // longest token lifetime (refresh tokens)
+
+const revokeUserTokens = async (userId) => {
+  await redisClient.setEx(
+    `revoked_before:user:${userId}`,
+    REVOCATION_TTL,
+    String(Math.floor(Date.now() / 1000))
+  );
+};
+
+const REFRESH_TOKEN_TTL = 30 * 24 * 60 * 60;
+// A just-rotated refresh token presented again within this window (e.g. two tabs
+// refreshing at once) gets the same replacement instead of tripping reuse detection
+const REFRESH_GRACE_SECONDS = 30;
+
+// Refresh tokens belong to a family that starts at login. Redis holds the jti of
+// the one token in each family that may still be exchanged.
+const signRefreshToken = (userId, family, jti) => {
+  return jwt.sign({ id: userId, type: 'refresh', family, jti }, process.env.JWT_SECRET, {
     expiresIn: '30d'
   });
 };
 
+const generateRefreshToken = async (userId) => {
+  const family = randomUUID();
+  const jti = randomUUID();
+  await redisClient.setEx(`refresh_family:${family}`, REFRESH_TOKEN_TTL, jti);
+  return signRefreshToken(userId, family, jti);
+};
+
+// Exchange a refresh token for a new access/refresh pair, invalidating the old one.
+// Returns { accessToken, refreshToken } or { error }.
+const rotateRefreshToken = async (refreshToken) => {
+  const decoded = jwt.verify(refreshToken, process.env.JWT_SECRET);
+  if (decoded.type !== 'refresh' || !decoded.family) {
+    return { error: 'Invalid refresh token' };
+  }
+
+  if (await isTokenRevoked(refreshToken, decoded)) {
+    return { error: 'Refresh token has been revoked' };
+  }
+
+  const familyKey = `refresh_family:${decoded.family}`;
+  const graceKey = `refresh_grace:${decoded.jti}`;
+
+  const currentJti = await redisClient.get(familyKey);
+  if (!currentJti) {
+    return { error: 'Refresh token has been revoked' };
+  }
+
+  if (currentJti !== decoded.jti) {
+    const replacement = await redisClient.get(graceKey);
+    if (replacement) {
+      return JSON.parse(replacement);
+    }
+
+    // An already-rotated token came back: treat it as stolen and kill the family
+    await redisClient.del(familyKey);
+    logger.warn(`Refresh token reuse detected for user ${decoded.id}, family ${decoded.family} revoked`);
+    return { error: 'Refresh token reuse detected' };
+  }
+
+  const jti = randomUUID();
+  const tokens = {
+    accessToken: generateToken(decoded.id),
+    refreshToken: signRefreshToken(decoded.id, decoded.family, jti)
+  };
+
+  // The grace key doubles as a lock: only one concurrent exchange may rotate
+  const rotated = await redisClient.set(graceKey, JSON.stringify(tokens), {
+    NX: true,
+    EX: REFRESH_GRACE_SECONDS
+  });
+  if (!rotated) {
+    return JSON.parse(await redisClient.get(graceKey));
+  }
+
+  await redisClient.setEx(familyKey, REFRESH_TOKEN_TTL, jti);
+  return tokens;
+};
+
+// Revoke the whole family a refresh token belongs to
+const revokeRefreshToken = async (refreshToken) => {
+  const decoded = jwt.verify(refreshToken, process.env.JWT_SECRET, { ignoreExpiration: true });
+  if (decoded.family) {
+    await redisClient.del(`refresh_family:${decoded.family}`);
+  }
+};
+
 // ======================
 // gRPC SERVICE IMPLEMENTATION
 // ======================
 
 // Load proto definition
-const packageDefinition = protoLoader.loadSync('../../proto/auth.proto', {
+// The proto root is an include dir so the google/api and gateway imports resolve.
+// It's found relative to this file, not the working directory.
+const PROTO_DIR = fileURLToPath(new URL('../../proto', import.meta.url));
+
+const packageDefinition = protoLoader.loadSync('auth.proto', {
   keepCase: true,
   longs: String,
   enums: String,
   defaults: true,
-  oneofs: true
+  oneofs: true,
+  includeDirs: [PROTO_DIR]
 });
 
 const authProto = grpc.loadPackageDefinition(packageDefinition).auth;
@@ -161,10 +261,7 @@ const authService = {
 
       // Generate tokens
       const accessToken = generateToken(user.id);
-      const refreshToken = generateRefreshToken(user.id);
-
-      // Store refresh token in Redis
-      await redisClient.setEx(`refresh_token:${user.id}`, 30 * 24 * 60 * 60, refreshToken);
+      const refreshToken = await generateRefreshToken(user.id);
 
       // Remove password from response
       const { password: _, ...userResponse } = user.toJSON();
@@ -234,10 +331,7 @@ const authService = {
 
       // Generate tokens
       const accessToken = generateToken(user.id);
-      const refreshToken = generateRefreshToken(user.id);
-
-      // Store refresh token in Redis
-      await redisClient.setEx(`refresh_token:${user.id}`, 30 * 24 * 60 * 60, refreshToken);
+      const refreshToken = await generateRefreshToken(user.id);
 
       // Remove password from response
       const { password: _, ...userResponse } = user.toJSON();
@@ -284,17 +378,15 @@ const authService = {
   async validateToken(call, callback) {
     try {
       const { token } = call.request;
-      
-      // Check blacklist
-      const blacklisted = await redisClient.get(`blacklist:${token}`);
-      if (blacklisted) {
+
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+      if (await isTokenRevoked(token, decoded)) {
         return callback(null, {
           valid: false,
           message: 'Token has been revoked'
         });
       }
-
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
       const user = await User.findByPk(decoded.id, {
         attributes: ['id', 'name', 'email', 'username', 'createdAt', 'updatedAt']
       });
@@ -320,6 +412,9 @@ const authService = {
 
     } catch (error) {
       logger.error('gRPC Token validation error:', error);
+      if (error instanceof RevocationUnavailableError) {
+        return callback({ code: grpc.status.UNAVAILABLE, message: error.message });
+      }
       callback(null, {
         valid: false,
         message: 'Invalid token'
@@ -331,27 +426,27 @@ const authService = {
     try {
       const { refresh_token } = call.request;
 
-      const decoded = jwt.verify(refresh_token, process.env.JWT_SECRET);
-      
-      // Verify refresh token in Redis
-      const storedToken = await redisClient.get(`refresh_token:${decoded.id}`);
-      if (!storedToken || storedToken !== refresh_token) {
+      // Rotate: the presented token is spent and a new pair is issued
+      const { accessToken, refreshToken, error } = await rotateRefreshToken(refresh_token);
+      if (error) {
         return callback(null, {
           success: false,
-          message: 'Invalid refresh token'
+          message: error
         });
       }
 
-      // Generate new access token
-      const accessToken = generateToken(decoded.id);
-
       callback(null, {
         success: true,
-        access_token: accessToken
+        message: 'Token refreshed',
+        access_token: accessToken,
+        refresh_token: refreshToken
       });
 
     } catch (error) {
       logger.error('gRPC Refresh token error:', error);
+      if (error instanceof RevocationUnavailableError) {
+        return callback({ code: grpc.status.UNAVAILABLE, message: error.message });
+      }
       callback(null, {
         success: false,
         message: 'Invalid refresh token'
@@ -365,8 +460,7 @@ const authService = {
       
       if (refresh_token) {
         try {
-          const decoded = jwt.verify(refresh_token, process.env.JWT_SECRET);
-          await redisClient.del(`refresh_token:${decoded.id}`);
+          await revokeRefreshToken(refresh_token);
         } catch (error) {
           // Token already invalid, continue with logout
         }
@@ -397,6 +491,39 @@ const authService = {
         message: 'Logout successful'
       });
     }
+  },
+
+  // Revoke every token issued to the access token's owner so far
+  async logoutAll(call, callback) {
+    try {
+      const { access_token } = call.request;
+
+      const decoded = jwt.verify(access_token, process.env.JWT_SECRET);
+      if (await isTokenRevoked(access_token, decoded)) {
+        return callback(null, {
+          success: false,
+          message: 'Token has been revoked'
+        });
+      }
+
+      await revokeUserTokens(decoded.id);
+      logger.info(`All sessions revoked for user: ${decoded.id}`);
+
+      callback(null, {
+        success: true,
+        message: 'Logged out from all sessions'
+      });
+
+    } catch (error) {
+      logger.error('gRPC Logout all error:', error);
+      if (error instanceof RevocationUnavailableError) {
+        return callback({ code: grpc.status.UNAVAILABLE, message: error.message });
+      }
+      callback(null, {
+        success: false,
+        message: 'Invalid token'
+      });
+    }
   }
 };
 
@@ -456,6 +583,130 @@ app.post('/register', [
   });
 });
 
+// ======================
+// gRPC HEALTH CHECKING (grpc.health.v1.Health)
+// ======================
+
+// '' is the overall status, 'auth.AuthService' the service itself, and 'mysql' / 'redis'
+// expose each dependency so the gateway can report them individually
+const health = createHealthReporter(HealthImplementation, {
+  service: 'auth.AuthService',
+  dependencies: {
+    mysql: () => sequelize.authenticate(),
+    redis: () => redisClient.ping()
+  },
+  intervalMs: parseInt(process.env.HEALTH_CHECK_INTERVAL_MS) || 10000,
+  logger
+});
+
+// ======================
+// gRPC TRANSPORT SECURITY (optional mTLS)
+// ======================
+
+// With GRPC_TLS_CA, GRPC_TLS_CERT and GRPC_TLS_KEY set, the gRPC port only
+// accepts clients presenting a certificate signed by that CA, and every call
+// is checked against RPC_ALLOWED_IDENTITIES by the certificate's CN. Without
+// them the port stays plaintext, as in local development.
+const GRPC_TLS_FILES = {
+  ca: process.env.GRPC_TLS_CA,
+  cert: process.env.GRPC_TLS_CERT,
+  key: process.env.GRPC_TLS_KEY
+};
+const grpcTlsEnabled = Object.values(GRPC_TLS_FILES).every(Boolean);
+
+if (!grpcTlsEnabled && Object.values(GRPC_TLS_FILES).some(Boolean)) {
+  logger.error('❌ GRPC_TLS_CA, GRPC_TLS_CERT and GRPC_TLS_KEY must be set together');
+  process.exit(1);
+}
+
+// Certificate identities allowed per RPC path; '*' covers every other RPC,
+// health checks included
+const RPC_ALLOWED_IDENTITIES = {
+  '*': ['api-gateway']
+};
+
+const peerIdentity = (call) => call.getAuthContext()?.sslPeerCertificate?.subject?.CN;
+
+const identityInterceptor = (methodDescriptor, call) => {
+  return new grpc.ServerInterceptingCall(call, {
+    start: (next) => {
+      next({
+        onReceiveMetadata: (metadata, mdNext) => {
+          const identity = peerIdentity(call);
+          const allowed = RPC_ALLOWED_IDENTITIES[methodDescriptor.path] || RPC_ALLOWED_IDENTITIES['*'];
+
+          if (!allowed.includes(identity)) {
+            logger.warn(`Rejected ${methodDescriptor.path} from ${identity || 'a peer without a certificate identity'}`);
+            call.sendStatus({
+              code: grpc.status.PERMISSION_DENIED,
+              details: `${identity || 'Caller'} is not allowed to call ${methodDescriptor.path}`,
+              metadata: new grpc.Metadata()
+            });
+            return;
+          }
+
+          mdNext(metadata);
+        }
+      });
+    }
+  });
+};
+
+const createGrpcServer = () => {
+  return new grpc.Server(grpcTlsEnabled ? { interceptors: [identityInterceptor] } : {});
+};
+
+const grpcServerCredentials = () => {
+  if (!grpcTlsEnabled) {
+    return grpc.ServerCredentials.createInsecure();
+  }
+
+  return grpc.ServerCredentials.createSsl(
+    readFileSync(GRPC_TLS_FILES.ca),
+    [{ cert_chain: readFileSync(GRPC_TLS_FILES.cert), private_key: readFileSync(GRPC_TLS_FILES.key) }],
+    true
+  );
+};
+
+// ======================
+// SERVICE REGISTRY AND GRACEFUL SHUTDOWN
+// ======================
+
+// The gateways find instances through `registry:auth:<id>` keys (see
+// shared/service-registry.js). SERVICE_HOST is the address they dial, so it
+// has to be unique per instance; the container's hostname is.
+const REGISTRY_TTL_SECONDS = parseInt(process.env.REGISTRY_TTL_SECONDS) || 15;
+const SERVICE_HOST = process.env.SERVICE_HOST || hostname();
+const SHUTDOWN_GRACE_MS = parseInt(process.env.SHUTDOWN_GRACE_MS) || 5000;
+
+let registration = null;
+let grpcServer = null;
+let httpServer = null;
+
+// On SIGTERM the instance leaves the registry and reports NOT_SERVING, so the
+// gateways send new calls elsewhere, then stops taking calls and lets the
+// ones in flight finish. Whatever is still open after the grace period
+// (streams, mostly) is cut off.
+process.on('SIGTERM', async () => {
+  logger.info('🛑 Shutting down Auth Service...');
+  setTimeout(() => {
+    grpcServer?.forceShutdown();
+    process.exit(0);
+  }, SHUTDOWN_GRACE_MS);
+
+  health.stop();
+  await registration?.deregister();
+
+  await Promise.all([
+    grpcServer && new Promise(resolve => grpcServer.tryShutdown(resolve)),
+    httpServer && new Promise(resolve => {
+      httpServer.close(resolve);
+      httpServer.closeIdleConnections();
+    })
+  ]);
+  process.exit(0);
+});
+
 // ======================
 // START BOTH SERVERS
 // ======================
@@ -470,12 +721,13 @@ const startServers = async () => {
     logger.info('📊 Database synced successfully');
     
     // Start gRPC server
-    const grpcServer = new grpc.Server();
+    grpcServer = createGrpcServer();
     grpcServer.addService(authProto.AuthService.service, authService);
+    health.addToServer(grpcServer);
     
     grpcServer.bindAsync(
       `0.0.0.0:${GRPC_PORT}`,
-      grpc.ServerCredentials.createInsecure(),
+      grpcServerCredentials(),
       (error, port) => {
         if (error) {
           logger.error('Failed to start gRPC server:', error);
@@ -483,12 +735,22 @@ const startServers = async () => {
         }
         
         grpcServer.start();
-        logger.info(`⚡ gRPC Auth Service running on port ${port}`);
+        logger.info(`⚡ gRPC Auth Service running on port ${port}${grpcTlsEnabled ? ' (mTLS)' : ''}`);
+        registration = registerInstance(redisClient, {
+          service: 'auth',
+          host: SERVICE_HOST,
+          httpPort: REST_PORT,
+          grpcPort: GRPC_PORT,
+          ttlSeconds: REGISTRY_TTL_SECONDS,
+          logger
+        });
       }
     );
 
+    health.start();
+
     // Start REST server
-    app.listen(REST_PORT, () => {
+    httpServer = app.listen(REST_PORT, () => {
       logger.info(`🔐 REST Auth Service running on port ${REST_PORT}`);
       logger.info(`
 🎯 Hybrid Auth Service Active:
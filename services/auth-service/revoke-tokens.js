@@ -0,0 +1,81 @@
+// Operator tool for the shared token revocation list
+//
+// Usage:
+//   node revoke-tokens.js --token <jwt>          revoke a single token
+//   node revoke-tokens.js --user <id>            revoke every token of a user
+//   node revoke-tokens.js --before <ISO date>    revoke every token issued before a time
+
+import jwt from 'jsonwebtoken';
+import Redis from 'redis';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const REVOCATION_TTL = 30 * 24 * 60 * 60; // longest token lifetime (refresh tokens)
+
+const [option, value] = process.argv.slice(2);
+
+const usage = () => {
+  console.log('Usage: node revoke-tokens.js --token <jwt> | --user <id> | --before <ISO date>');
+  process.exit(1);
+};
+
+if (!option || !value) usage();
+
+const redisClient = Redis.createClient({
+  url: process.env.REDIS_URL || 'redis://localhost:6379'
+});
+
+// Only ever move a cutoff forward, an earlier one would un-revoke tokens
+const raiseCutoff = async (key, cutoff) => {
+  const current = Number(await redisClient.get(key)) || 0;
+  if (cutoff > current) {
+    await redisClient.setEx(key, REVOCATION_TTL, String(cutoff));
+  }
+  return Math.max(cutoff, current);
+};
+
+const run = async () => {
+  await redisClient.connect();
+
+  switch (option) {
+    case '--token': {
+      const decoded = jwt.decode(value);
+      if (!decoded?.exp) {
+        throw new Error('Token is not a valid JWT');
+      }
+      const expirationTime = decoded.exp - Math.floor(Date.now() / 1000);
+      if (expirationTime > 0) {
+        await redisClient.setEx(`blacklist:${value}`, expirationTime, 'revoked');
+      }
+      console.log(`✅ Token revoked (user ${decoded.id})`);
+      break;
+    }
+
+    case '--user': {
+      const cutoff = await raiseCutoff(`revoked_before:user:${value}`, Math.floor(Date.now() / 1000));
+      console.log(`✅ Tokens of user ${value} issued before ${new Date(cutoff * 1000).toISOString()} revoked`);
+      break;
+    }
+
+    case '--before': {
+      const millis = new Date(value).getTime();
+      if (Number.isNaN(millis)) {
+        throw new Error(`Invalid date: ${value}`);
+      }
+      const cutoff = await raiseCutoff('revoked_before:all', Math.floor(millis / 1000));
+      console.log(`✅ All tokens issued before ${new Date(cutoff * 1000).toISOString()} revoked`);
+      break;
+    }
+
+    default:
+      usage();
+  }
+
+  await redisClient.quit();
+};
+
+run().catch((error) => {
+  console.error('❌ Revocation failed:', error.message);
+  process.exit(1);
+});
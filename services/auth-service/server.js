@@ -2,11 +2,15 @@ import express from 'express';
 import cors from 'cors';
 import helmet from 'helmet';
 import dotenv from 'dotenv';
+import { hostname } from 'os';
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
+import { randomUUID } from 'crypto';
 import { body, validationResult } from 'express-validator';
 import { Sequelize, DataTypes } from 'sequelize';
 import Redis from 'redis';
+import { createRevocationCheck, RevocationUnavailableError } from '../../shared/token-revocation.js';
+import { registerInstance } from '../../shared/service-registry.js';
 
 dotenv.config();
 
@@ -98,12 +102,99 @@ const generateToken = (userId) => {
   });
 };
 
-const generateRefreshToken = (userId) => {
-  return jwt.sign({ id: userId, type: 'refresh' }, process.env.JWT_SECRET, {
+// Shared token revocation list (blacklist and per-user / global cutoffs in Redis)
+const isTokenRevoked = createRevocationCheck(redisClient);
+
+// Revoke every token (access and refresh) issued to a user up to now
+const REVOCATION_TTL = 30 * 24 * 60 * 60; // longest token lifetime (refresh tokens)
+
+const revokeUserTokens = async (userId) => {
+  await redisClient.setEx(
+    `revoked_before:user:${userId}`,
+    REVOCATION_TTL,
+    String(Math.floor(Date.now() / 1000))
+  );
+};
+
+const REFRESH_TOKEN_TTL = 30 * 24 * 60 * 60;
+// A just-rotated refresh token presented again within this window (e.g. two tabs
+// refreshing at once) gets the same replacement instead of tripping reuse detection
+const REFRESH_GRACE_SECONDS = 30;
+
+// Refresh tokens belong to a family that starts at login. Redis holds the jti of
+// the one token in each family that may still be exchanged.
+const signRefreshToken = (userId, family, jti) => {
+  return jwt.sign({ id: userId, type: 'refresh', family, jti }, process.env.JWT_SECRET, {
     expiresIn: '30d'
   });
 };
 
+const generateRefreshToken = async (userId) => {
+  const family = randomUUID();
+  const jti = randomUUID();
+  await redisClient.setEx(`refresh_family:${family}`, REFRESH_TOKEN_TTL, jti);
+  return signRefreshToken(userId, family, jti);
+};
+
+// Exchange a refresh token for a new access/refresh pair, invalidating the old one.
+// Returns { accessToken, refreshToken } or { error }.
+const rotateRefreshToken = async (refreshToken) => {
+  const decoded = jwt.verify(refreshToken, process.env.JWT_SECRET);
+  if (decoded.type !== 'refresh' || !decoded.family) {
+    return { error: 'Invalid refresh token' };
+  }
+
+  if (await isTokenRevoked(refreshToken, decoded)) {
+    return { error: 'Refresh token has been revoked' };
+  }
+
+  const familyKey = `refresh_family:${decoded.family}`;
+  const graceKey = `refresh_grace:${decoded.jti}`;
+
+  const currentJti = await redisClient.get(familyKey);
+  if (!currentJti) {
+    return { error: 'Refresh token has been revoked' };
+  }
+
+  if (currentJti !== decoded.jti) {
+    const replacement = await redisClient.get(graceKey);
+    if (replacement) {
+      return JSON.parse(replacement);
+    }
+
+    // An already-rotated token came back: treat it as stolen and kill the family
+    await redisClient.del(familyKey);
+    console.warn(`Refresh token reuse detected for user ${decoded.id}, family ${decoded.family} revoked`);
+    return { error: 'Refresh token reuse detected' };
+  }
+
+  const jti = randomUUID();
+  const tokens = {
+    accessToken: generateToken(decoded.id),
+    refreshToken: signRefreshToken(decoded.id, decoded.family, jti)
+  };
+
+  // The grace key doubles as a lock: only one concurrent exchange may rotate
+  const rotated = await redisClient.set(graceKey, JSON.stringify(tokens), {
+    NX: true,
+    EX: REFRESH_GRACE_SECONDS
+  });
+  if (!rotated) {
+    return JSON.parse(await redisClient.get(graceKey));
+  }
+
+  await redisClient.setEx(familyKey, REFRESH_TOKEN_TTL, jti);
+  return tokens;
+};
+
+// Revoke the whole family a refresh token belongs to
+const revokeRefreshToken = async (refreshToken) => {
+  const decoded = jwt.verify(refreshToken, process.env.JWT_SECRET, { ignoreExpiration: true });
+  if (decoded.family) {
+    await redisClient.del(`refresh_family:${decoded.family}`);
+  }
+};
+
 // Routes
 
 // Health check
@@ -174,10 +265,7 @@ app.post('/register', [
 
     // Generate tokens
     const accessToken = generateToken(user.id);
-    const refreshToken = generateRefreshToken(user.id);
-
-    // Store refresh token in Redis
-    await redisClient.setEx(`refresh_token:${user.id}`, 30 * 24 * 60 * 60, refreshToken);
+    const refreshToken = await generateRefreshToken(user.id);
 
     // Remove password from response
     const { password: _, ...userResponse } = user.toJSON();
@@ -238,10 +326,7 @@ app.post('/login', [
 
     // Generate tokens
     const accessToken = generateToken(user.id);
-    const refreshToken = generateRefreshToken(user.id);
-
-    // Store refresh token in Redis
-    await redisClient.setEx(`refresh_token:${user.id}`, 30 * 24 * 60 * 60, refreshToken);
+    const refreshToken = await generateRefreshToken(user.id);
 
     // Remove password from response
     const { password: _, ...userResponse } = user.toJSON();
@@ -278,26 +363,27 @@ app.post('/refresh', async (req, res) => {
       });
     }
 
-    const decoded = jwt.verify(refreshToken, process.env.JWT_SECRET);
-    
-    // Verify refresh token in Redis
-    const storedToken = await redisClient.get(`refresh_token:${decoded.id}`);
-    if (!storedToken || storedToken !== refreshToken) {
+    // Rotate: the presented token is spent and a new pair is issued
+    const rotated = await rotateRefreshToken(refreshToken);
+    if (rotated.error) {
       return res.status(403).json({
         success: false,
-        message: 'Invalid refresh token'
+        message: rotated.error
       });
     }
 
-    // Generate new access token
-    const accessToken = generateToken(decoded.id);
-
     res.json({
       success: true,
-      data: { accessToken }
+      data: {
+        accessToken: rotated.accessToken,
+        refreshToken: rotated.refreshToken
+      }
     });
 
   } catch (error) {
+    if (error instanceof RevocationUnavailableError) {
+      return res.status(503).json({ success: false, message: error.message });
+    }
     res.status(403).json({
       success: false,
       message: 'Invalid refresh token'
@@ -311,8 +397,7 @@ app.post('/logout', async (req, res) => {
     const { refreshToken, accessToken } = req.body;
     
     if (refreshToken) {
-      const decoded = jwt.verify(refreshToken, process.env.JWT_SECRET);
-      await redisClient.del(`refresh_token:${decoded.id}`);
+      await revokeRefreshToken(refreshToken);
     }
 
     if (accessToken) {
@@ -335,18 +420,48 @@ app.post('/logout', async (req, res) => {
   }
 });
 
+// Logout everywhere: revoke every token issued to the user so far
+app.post('/logout-all', async (req, res) => {
+  try {
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1];
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    if (await isTokenRevoked(token, decoded)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Token revoked'
+      });
+    }
+
+    await revokeUserTokens(decoded.id);
+
+    res.json({
+      success: true,
+      message: 'Logged out from all sessions'
+    });
+
+  } catch (error) {
+    if (error instanceof RevocationUnavailableError) {
+      return res.status(503).json({ success: false, message: error.message });
+    }
+    res.status(401).json({
+      success: false,
+      message: 'Invalid token'
+    });
+  }
+});
+
 // Verify token (for other services)
 app.post('/verify', async (req, res) => {
   try {
     const { token } = req.body;
-    
-    // Check blacklist
-    const blacklisted = await redisClient.get(`blacklist:${token}`);
-    if (blacklisted) {
-      return res.status(401).json({ valid: false, message: 'Token revoked' });
-    }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    if (await isTokenRevoked(token, decoded)) {
+      return res.status(401).json({ valid: false, message: 'Token revoked' });
+    }
     const user = await User.findByPk(decoded.id, {
       attributes: ['id', 'name', 'email', 'username']
     });
@@ -361,10 +476,45 @@ app.post('/verify', async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof RevocationUnavailableError) {
+      return res.status(503).json({ valid: false, message: error.message });
+    }
     res.status(401).json({ valid: false, message: 'Invalid token' });
   }
 });
 
+// ======================
+// SERVICE REGISTRY AND GRACEFUL SHUTDOWN
+// ======================
+
+// The gateways find instances through `registry:auth:<id>` keys (see
+// shared/service-registry.js). SERVICE_HOST is the address they dial, so it
+// has to be unique per instance; the container's hostname is.
+const REGISTRY_TTL_SECONDS = parseInt(process.env.REGISTRY_TTL_SECONDS) || 15;
+const SERVICE_HOST = process.env.SERVICE_HOST || hostname();
+const SHUTDOWN_GRACE_MS = parseInt(process.env.SHUTDOWN_GRACE_MS) || 5000;
+
+let registration = null;
+let httpServer = null;
+
+// On SIGTERM the instance leaves the registry, so the gateways send new
+// requests elsewhere, then stops taking requests and lets the ones in flight
+// finish within the grace period
+process.on('SIGTERM', async () => {
+  console.log('🛑 Shutting down Auth Service...');
+  setTimeout(() => process.exit(0), SHUTDOWN_GRACE_MS);
+
+  await registration?.deregister();
+
+  if (httpServer) {
+    await new Promise(resolve => {
+      httpServer.close(resolve);
+      httpServer.closeIdleConnections();
+    });
+  }
+  process.exit(0);
+});
+
 // Initialize database and start server
 const startServer = async () => {
   try {
@@ -374,8 +524,14 @@ const startServer = async () => {
     await sequelize.sync();
     console.log('📊 Database synced successfully');
     
-    app.listen(PORT, () => {
+    httpServer = app.listen(PORT, () => {
       console.log(`🔐 Auth Service running on port ${PORT}`);
+      registration = registerInstance(redisClient, {
+        service: 'auth',
+        host: SERVICE_HOST,
+        httpPort: PORT,
+        ttlSeconds: REGISTRY_TTL_SECONDS
+      });
     });
   } catch (error) {
     console.error('❌ Failed to start Auth Service:', error);
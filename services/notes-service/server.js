@@ -1,16 +1,28 @@
 import express from 'express';
+import grpc from '@grpc/grpc-js';
+import protoLoader from '@grpc/proto-loader';
+import { HealthImplementation } from 'grpc-health-check';
 import cors from 'cors';
 import helmet from 'helmet';
 import dotenv from 'dotenv';
+import { readFileSync } from 'fs';
+import { hostname } from 'os';
+import { fileURLToPath } from 'url';
 import jwt from 'jsonwebtoken';
 import { body, validationResult } from 'express-validator';
 import { Sequelize, DataTypes } from 'sequelize';
 import Redis from 'redis';
+import { diffLines, diffStats } from '../../shared/line-diff.js';
+import { createRevocationCheck, RevocationUnavailableError } from '../../shared/token-revocation.js';
+import { createHealthReporter } from '../../shared/grpc-health.js';
+import { registerInstance } from '../../shared/service-registry.js';
+import { parseIfMatch } from '../../shared/etag.js';
 
 dotenv.config();
 
 const app = express();
 const PORT = process.env.PORT || 3002;
+const GRPC_PORT = process.env.GRPC_PORT || 50002;
 
 // Database connection
 const sequelize = new Sequelize({
@@ -35,6 +47,10 @@ const redisClient = Redis.createClient({
 });
 redisClient.connect().catch(console.error);
 
+// Dedicated Redis connection for note event subscriptions (pub/sub needs its own client)
+const subscriberClient = redisClient.duplicate();
+subscriberClient.connect().catch(console.error);
+
 // Note model
 const Note = sequelize.define('Note', {
   id: {
@@ -68,23 +84,72 @@ const Note = sequelize.define('Note', {
     type: DataTypes.BOOLEAN,
     defaultValue: false,
     field: 'is_archived'
+  },
+  // Optimistic lock: bumped by every instance save, which fails with an
+  // OptimisticLockError if another write got there first. Starts at 1 so an
+  // expected_version of 0 can mean "don't check".
+  version: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1
   }
 }, {
   tableName: 'notes',
+  version: true,
   indexes: [
     { fields: ['user_id', 'created_at'] },
     { fields: ['user_id', 'is_pinned', 'created_at'] }
   ]
 });
 
+// Title/text snapshots, one per editing window (see recordRevision). Column
+// names match Backend/models/NoteRevision.js, either may create the table.
+const NoteRevision = sequelize.define('NoteRevision', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  noteId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'note_id'
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'user_id'
+  },
+  title: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  text: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  }
+}, {
+  tableName: 'note_revisions',
+  underscored: true,
+  indexes: [
+    { fields: ['note_id', 'created_at'] }
+  ]
+});
+
+// Deleting a note deletes its history
+Note.hasMany(NoteRevision, { foreignKey: 'noteId', onDelete: 'CASCADE' });
+
 // Middleware
 app.use(helmet());
 app.use(cors());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+// Shared token revocation list (blacklist and per-user / global cutoffs in Redis)
+const isTokenRevoked = createRevocationCheck(redisClient);
+
 // Auth middleware
-const authenticateToken = (req, res, next) => {
+const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
 
@@ -94,9 +159,17 @@ const authenticateToken = (req, res, next) => {
 
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    if (await isTokenRevoked(token, decoded)) {
+      return res.status(401).json({ error: 'Token has been revoked' });
+    }
+
     req.user = decoded;
     next();
   } catch (error) {
+    if (error instanceof RevocationUnavailableError) {
+      return res.status(503).json({ error: error.message });
+    }
     return res.status(403).json({ error: 'Invalid or expired token' });
   }
 };
@@ -138,6 +211,185 @@ const clearUserCache = async (userId) => {
   }
 };
 
+// Note domain events, published on every mutation regardless of REST or gRPC path
+const noteEventsChannel = (userId) => `note_events:${userId}`;
+
+// Pin/archive changes get their own event type, anything else is a plain update
+const getUpdateEventType = (note, previous) => {
+  if (note.isArchived !== previous.isArchived) return 'ARCHIVED';
+  if (note.isPinned !== previous.isPinned) return 'PINNED';
+  return 'UPDATED';
+};
+
+const publishNoteEvent = async (type, note) => {
+  const data = note.toJSON();
+  try {
+    await redisClient.publish(noteEventsChannel(data.userId), JSON.stringify({
+      type,
+      note: data,
+      userId: data.userId,
+      timestamp: new Date().toISOString()
+    }));
+  } catch (error) {
+    console.error('Publish note event error:', error);
+  }
+};
+
+// ======================
+// NOTE REVISIONS (coalesced snapshots, retention)
+// ======================
+
+// Each revision is the note's title and text after an edit. Edits within
+// NOTE_REVISION_WINDOW_SECONDS of the latest revision's creation update it in
+// place, so continuous typing yields one revision per window. An edit that
+// removes more than half the text always starts a new one, so the state
+// before an accidental select-all-delete survives.
+const NOTE_REVISION_WINDOW_SECONDS = parseInt(process.env.NOTE_REVISION_WINDOW_SECONDS) || 60;
+const NOTE_REVISION_MAX_PER_NOTE = parseInt(process.env.NOTE_REVISION_MAX_PER_NOTE) || 50;
+const NOTE_REVISION_MAX_AGE_DAYS = parseInt(process.env.NOTE_REVISION_MAX_AGE_DAYS) || 30;
+
+const snapshotOf = (note) => ({ title: note.title, text: note.text });
+
+const isDrasticShrink = (previous, note) => note.text.length < previous.text.length / 2;
+
+// Keeps the newest NOTE_REVISION_MAX_PER_NOTE revisions, and drops those past
+// NOTE_REVISION_MAX_AGE_DAYS except the newest, which mirrors the note
+const pruneRevisions = async (noteId) => {
+  const revisions = await NoteRevision.findAll({
+    where: { noteId },
+    attributes: ['id', 'createdAt'],
+    order: [['createdAt', 'DESC'], ['id', 'DESC']]
+  });
+
+  const cutoff = Date.now() - NOTE_REVISION_MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+  const stale = revisions
+    .filter((revision, index) => index >= NOTE_REVISION_MAX_PER_NOTE || (index > 0 && revision.createdAt < cutoff))
+    .map(revision => revision.id);
+
+  if (stale.length > 0) {
+    await NoteRevision.destroy({ where: { id: stale } });
+  }
+};
+
+// Snapshots `note` after a change. `previous` is its title/text before the
+// change (omitted on create); `force` always starts a new revision (restore).
+// Failures are logged, a lost snapshot must not fail the edit itself.
+const recordRevision = async (note, previous = null, { force = false } = {}) => {
+  try {
+    if (previous && previous.title === note.title && previous.text === note.text) return;
+
+    const latest = await NoteRevision.findOne({
+      where: { noteId: note.id },
+      order: [['createdAt', 'DESC'], ['id', 'DESC']]
+    });
+
+    // Notes from before revision history (or imports) get their prior state
+    // as a baseline, so the first edit can be undone too
+    if (!latest && previous) {
+      await NoteRevision.create({ noteId: note.id, userId: note.userId, ...snapshotOf(previous) });
+    }
+
+    const withinWindow = latest && Date.now() - latest.createdAt < NOTE_REVISION_WINDOW_SECONDS * 1000;
+    if (withinWindow && !force && !isDrasticShrink(previous, note)) {
+      await latest.update(snapshotOf(note));
+      return;
+    }
+
+    await NoteRevision.create({ noteId: note.id, userId: note.userId, ...snapshotOf(note) });
+    await pruneRevisions(note.id);
+  } catch (error) {
+    console.error('Record note revision error:', error);
+  }
+};
+
+const findUserNote = (id, userId) => Note.findOne({ where: { id, userId } });
+
+// Newest first
+const listRevisions = (noteId) => {
+  return NoteRevision.findAll({
+    where: { noteId },
+    order: [['createdAt', 'DESC'], ['id', 'DESC']]
+  });
+};
+
+// Line diff of the note's text between two revisions. `toId` defaults to the
+// latest revision and `fromId` to the one before `toId`. Returns { error }
+// when either can't be found.
+const diffRevisions = async (noteId, fromId, toId) => {
+  const revisions = await listRevisions(noteId);
+  const toIndex = toId ? revisions.findIndex(revision => revision.id === toId) : 0;
+  const to = revisions[toIndex];
+  if (!to) return { error: 'Revision not found' };
+
+  const from = fromId ? revisions.find(revision => revision.id === fromId) : revisions[toIndex + 1];
+  if (!from) return { error: fromId ? 'Revision not found' : 'No earlier revision to compare with' };
+
+  const lines = diffLines(from.text, to.text);
+  return { fromRevision: from, toRevision: to, lines, ...diffStats(lines) };
+};
+
+// Puts a revision's title and text back as a new revision. Returns null when
+// the revision isn't one of this note's.
+const restoreRevision = async (note, revisionId) => {
+  const revision = await NoteRevision.findOne({ where: { id: revisionId, noteId: note.id } });
+  if (!revision) return null;
+
+  const previous = snapshotOf(note);
+  await note.update(snapshotOf(revision));
+  await recordRevision(note, previous, { force: true });
+  return note;
+};
+
+// ======================
+// OPTIMISTIC CONCURRENCY (Note.version, ETag / If-Match)
+// ======================
+
+const etagOf = (note) => `"${note.version}"`;
+
+const isStale = (note, expectedVersion) => Boolean(expectedVersion) && note.version !== expectedVersion;
+
+// Applies `updates` unless the note has moved past expectedVersion (0 skips
+// the check). A write landing between our read and this update surfaces as an
+// OptimisticLockError: the note is reloaded and, without an expected version,
+// the update is tried again. Returns false on a conflict, with `note` holding
+// the current copy.
+const updateNoteIfVersion = async (note, updates, expectedVersion) => {
+  for (;;) {
+    if (isStale(note, expectedVersion)) return false;
+    try {
+      await note.update(updates);
+      return true;
+    } catch (error) {
+      if (!(error instanceof Sequelize.OptimisticLockError)) throw error;
+      await note.reload();
+    }
+  }
+};
+
+// Same check for deletes, done in the DELETE's WHERE clause
+const destroyNoteIfVersion = async (note, expectedVersion) => {
+  if (isStale(note, expectedVersion)) return false;
+  if (!expectedVersion) {
+    await note.destroy();
+    return true;
+  }
+
+  const deleted = await Note.destroy({ where: { id: note.id, version: expectedVersion } });
+  if (deleted === 0) await note.reload();
+  return deleted > 0;
+};
+
+const CONFLICT_MESSAGE = 'Note was changed by another request';
+
+// 412 with the server's copy, so the client can merge instead of retrying blind
+const sendConflict = (res, note) => {
+  res.status(412).set('ETag', etagOf(note)).json({
+    success: false,
+    message: CONFLICT_MESSAGE,
+    data: { note }
+  });
+};
+
 // Routes
 
 // Health check
@@ -241,11 +493,13 @@ app.post('/', authenticateToken, [
       isPinned,
       userId: req.user.id
     });
+    await recordRevision(note);
     
     // Clear user cache
     await clearUserCache(req.user.id);
+    await publishNoteEvent('CREATED', note);
     
-    res.status(201).json({
+    res.status(201).set('ETag', etagOf(note)).json({
       success: true,
       message: 'Note created successfully',
       data: { note }
@@ -293,12 +547,17 @@ app.put('/:id', authenticateToken, [
       });
     }
     
-    await note.update(updates);
+    const previous = { isPinned: note.isPinned, isArchived: note.isArchived, ...snapshotOf(note) };
+    if (!await updateNoteIfVersion(note, updates, parseIfMatch(req.get('If-Match')))) {
+      return sendConflict(res, note);
+    }
+    await recordRevision(note, previous);
     
     // Clear user cache
     await clearUserCache(req.user.id);
+    await publishNoteEvent(getUpdateEventType(note, previous), note);
     
-    res.json({
+    res.set('ETag', etagOf(note)).json({
       success: true,
       message: 'Note updated successfully',
       data: { note }
@@ -330,10 +589,13 @@ app.delete('/:id', authenticateToken, async (req, res) => {
       });
     }
     
-    await note.destroy();
+    if (!await destroyNoteIfVersion(note, parseIfMatch(req.get('If-Match')))) {
+      return sendConflict(res, note);
+    }
     
     // Clear user cache
     await clearUserCache(req.user.id);
+    await publishNoteEvent('DELETED', note);
     
     res.json({
       success: true,
@@ -390,6 +652,986 @@ app.get('/search', authenticateToken, async (req, res) => {
   }
 });
 
+// List a note's revisions, newest first
+app.get('/:id/revisions', authenticateToken, async (req, res) => {
+  try {
+    const note = await findUserNote(req.params.id, req.user.id);
+
+    if (!note) {
+      return res.status(404).json({
+        success: false,
+        message: 'Note not found'
+      });
+    }
+
+    const revisions = await listRevisions(note.id);
+
+    res.json({
+      success: true,
+      data: { revisions }
+    });
+
+  } catch (error) {
+    console.error('List note revisions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve note revisions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Line diff between two revisions (?fromRevisionId=&toRevisionId=, both optional)
+app.get('/:id/revisions/diff', authenticateToken, async (req, res) => {
+  try {
+    const note = await findUserNote(req.params.id, req.user.id);
+
+    if (!note) {
+      return res.status(404).json({
+        success: false,
+        message: 'Note not found'
+      });
+    }
+
+    const { fromRevisionId, toRevisionId } = req.query;
+    const { error, ...diff } = await diffRevisions(
+      note.id,
+      parseInt(fromRevisionId) || null,
+      parseInt(toRevisionId) || null
+    );
+
+    if (error) {
+      return res.status(404).json({
+        success: false,
+        message: error
+      });
+    }
+
+    res.json({
+      success: true,
+      data: diff
+    });
+
+  } catch (error) {
+    console.error('Diff note revisions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to diff note revisions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Restore a revision's title and text
+app.post('/:id/revisions/:revisionId/restore', authenticateToken, async (req, res) => {
+  try {
+    const note = await findUserNote(req.params.id, req.user.id);
+
+    if (!note) {
+      return res.status(404).json({
+        success: false,
+        message: 'Note not found'
+      });
+    }
+
+    const restored = await restoreRevision(note, parseInt(req.params.revisionId));
+
+    if (!restored) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    // Clear user cache
+    await clearUserCache(req.user.id);
+    await publishNoteEvent('UPDATED', restored);
+
+    res.set('ETag', etagOf(restored)).json({
+      success: true,
+      message: 'Note restored successfully',
+      data: { note: restored }
+    });
+
+  } catch (error) {
+    console.error('Restore note revision error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to restore note revision',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// ======================
+// gRPC SERVICE IMPLEMENTATION
+// ======================
+
+// Load proto definition
+// The proto root is an include dir so the google/api and gateway imports resolve.
+// It's found relative to this file, not the working directory.
+const PROTO_DIR = fileURLToPath(new URL('../../proto', import.meta.url));
+
+const packageDefinition = protoLoader.loadSync('notes.proto', {
+  keepCase: true,
+  longs: String,
+  enums: String,
+  defaults: true,
+  oneofs: true,
+  includeDirs: [PROTO_DIR]
+});
+
+const notesProto = grpc.loadPackageDefinition(packageDefinition).notes;
+
+// Convert a JS Date into a google.protobuf.Timestamp
+const toTimestamp = (date) => {
+  if (!date) return null;
+  const millis = new Date(date).getTime();
+  return {
+    seconds: Math.floor(millis / 1000),
+    nanos: (millis % 1000) * 1e6
+  };
+};
+
+// Convert a Sequelize Note (or its cached JSON) into a proto Note message
+const toNoteMessage = (note) => {
+  const data = typeof note.toJSON === 'function' ? note.toJSON() : note;
+  return {
+    id: data.id,
+    title: data.title,
+    text: data.text,
+    user_id: data.userId,
+    tags: data.tags || [],
+    is_pinned: Boolean(data.isPinned),
+    is_archived: Boolean(data.isArchived),
+    created_at: toTimestamp(data.createdAt),
+    updated_at: toTimestamp(data.updatedAt),
+    version: data.version
+  };
+};
+
+const toRevisionMessage = (revision) => ({
+  id: revision.id,
+  note_id: revision.noteId,
+  title: revision.title,
+  text: revision.text,
+  created_at: toTimestamp(revision.createdAt),
+  updated_at: toTimestamp(revision.updatedAt)
+});
+
+// gRPC reads share the REST cache namespace so clearUserCache invalidates both
+const getCachedOrLoad = async (key, duration, load) => {
+  try {
+    const cached = await redisClient.get(key);
+    if (cached) return JSON.parse(cached);
+  } catch (error) {
+    // Cache unavailable, fall through to the database
+  }
+
+  const result = await load();
+  redisClient.setEx(key, duration, JSON.stringify(result)).catch(console.error);
+  return result;
+};
+
+// Attach a listener to a user's note events for the lifetime of a server stream
+const subscribeToNoteEvents = async (call, userId, listener) => {
+  const channel = noteEventsChannel(userId);
+  let closed = false;
+
+  const unsubscribe = () => {
+    if (closed) return;
+    closed = true;
+    subscriberClient.unsubscribe(channel, listener).catch(console.error);
+  };
+
+  call.on('cancelled', unsubscribe);
+  call.on('close', unsubscribe);
+  call.on('error', unsubscribe);
+
+  await subscriberClient.subscribe(channel, listener);
+
+  // The client may have gone away while we were subscribing
+  if (call.cancelled) unsubscribe();
+};
+
+const NOTE_MASK_PATHS = ['title', 'text', 'tags', 'is_pinned', 'is_archived'];
+
+const buildNoteUpdates = (request) => {
+  const title = (request.title || '').trim();
+  const text = (request.text || '').trim();
+
+  if (title.length > 100) {
+    return { error: 'title cannot exceed 100 characters' };
+  }
+
+  // Without a mask, empty strings and lists are proto3 defaults, treat them as "not provided"
+  if (!request.update_mask) {
+    const updates = {
+      isPinned: request.is_pinned,
+      isArchived: request.is_archived
+    };
+    if (title) updates.title = title;
+    if (text) updates.text = text;
+    if (request.tags.length > 0) updates.tags = request.tags;
+    return { updates };
+  }
+
+  // With a mask every listed field is applied exactly as sent, and nothing else.
+  // An empty mask is a valid no-op.
+  const { paths } = request.update_mask;
+  const unknownPath = paths.find(path => !NOTE_MASK_PATHS.includes(path));
+  if (unknownPath) {
+    return { error: `unknown update_mask path: ${unknownPath}` };
+  }
+  if (paths.includes('title') && !title) {
+    return { error: 'title cannot be empty' };
+  }
+  if (paths.includes('text') && !text) {
+    return { error: 'text cannot be empty' };
+  }
+
+  const updates = {};
+  if (paths.includes('title')) updates.title = title;
+  if (paths.includes('text')) updates.text = text;
+  if (paths.includes('tags')) updates.tags = request.tags;
+  if (paths.includes('is_pinned')) updates.isPinned = request.is_pinned;
+  if (paths.includes('is_archived')) updates.isArchived = request.is_archived;
+  return { updates };
+};
+
+const IMPORT_BATCH_SIZE = 500;
+
+const validateImportNote = (item) => {
+  const title = (item.title || '').trim();
+  const text = (item.text || '').trim();
+
+  if (!title || title.length > 100 || !text) {
+    return { error: 'title (1-100 chars) and text are required' };
+  }
+
+  return {
+    values: {
+      title,
+      text,
+      tags: item.tags,
+      isPinned: item.is_pinned,
+      isArchived: item.is_archived,
+      userId: item.user_id
+    }
+  };
+};
+
+const notesService = {
+  async getNotes(call, callback) {
+    try {
+      const { user_id, archived, pinned, search } = call.request;
+      const page = call.request.page || 1;
+      const limit = call.request.limit || 50;
+      const offset = (page - 1) * limit;
+
+      const cacheKey = `cache:notes:${user_id}:grpc:getNotes:${page}:${limit}:${archived}:${pinned}:${search}`;
+
+      const result = await getCachedOrLoad(cacheKey, 300, async () => {
+        const whereClause = {
+          userId: user_id,
+          isArchived: archived
+        };
+
+        // proto3 bools cannot be unset, so only filter when pinned is requested
+        if (pinned) {
+          whereClause.isPinned = true;
+        }
+
+        if (search) {
+          whereClause[Sequelize.Op.or] = [
+            { title: { [Sequelize.Op.like]: `%${search}%` } },
+            { text: { [Sequelize.Op.like]: `%${search}%` } }
+          ];
+        }
+
+        const notes = await Note.findAndCountAll({
+          where: whereClause,
+          order: [
+            ['isPinned', 'DESC'],
+            ['updatedAt', 'DESC']
+          ],
+          limit,
+          offset
+        });
+
+        return {
+          notes: notes.rows.map(note => note.toJSON()),
+          total: notes.count
+        };
+      });
+
+      callback(null, {
+        success: true,
+        notes: result.notes.map(toNoteMessage),
+        pagination: {
+          total: result.total,
+          page,
+          limit,
+          pages: Math.ceil(result.total / limit)
+        }
+      });
+
+    } catch (error) {
+      console.error('gRPC Get notes error:', error);
+      callback({
+        code: grpc.status.INTERNAL,
+        message: 'Failed to retrieve notes'
+      });
+    }
+  },
+
+  async getNote(call, callback) {
+    try {
+      const { id, user_id } = call.request;
+
+      const note = await Note.findOne({
+        where: { id, userId: user_id }
+      });
+
+      if (!note) {
+        return callback({
+          code: grpc.status.NOT_FOUND,
+          message: 'Note not found'
+        });
+      }
+
+      callback(null, {
+        success: true,
+        note: toNoteMessage(note)
+      });
+
+    } catch (error) {
+      console.error('gRPC Get note error:', error);
+      callback({
+        code: grpc.status.INTERNAL,
+        message: 'Failed to retrieve note'
+      });
+    }
+  },
+
+  async createNote(call, callback) {
+    try {
+      const { user_id, tags, is_pinned } = call.request;
+      const title = (call.request.title || '').trim();
+      const text = (call.request.text || '').trim();
+
+      if (!title || title.length > 100 || !text) {
+        return callback({
+          code: grpc.status.INVALID_ARGUMENT,
+          message: 'Validation failed: title (1-100 chars) and text are required'
+        });
+      }
+
+      const note = await Note.create({
+        title,
+        text,
+        tags,
+        isPinned: is_pinned,
+        userId: user_id
+      });
+      await recordRevision(note);
+
+      // Clear user cache
+      await clearUserCache(user_id);
+      await publishNoteEvent('CREATED', note);
+
+      callback(null, {
+        success: true,
+        message: 'Note created successfully',
+        note: toNoteMessage(note)
+      });
+
+    } catch (error) {
+      console.error('gRPC Create note error:', error);
+      callback({
+        code: grpc.status.INTERNAL,
+        message: 'Failed to create note'
+      });
+    }
+  },
+
+  async updateNote(call, callback) {
+    try {
+      const { id, user_id, expected_version } = call.request;
+      const { updates, error } = buildNoteUpdates(call.request);
+
+      if (error) {
+        return callback({
+          code: grpc.status.INVALID_ARGUMENT,
+          message: `Validation failed: ${error}`
+        });
+      }
+
+      const note = await Note.findOne({
+        where: { id, userId: user_id }
+      });
+
+      if (!note) {
+        return callback({
+          code: grpc.status.NOT_FOUND,
+          message: 'Note not found'
+        });
+      }
+
+      const previous = { isPinned: note.isPinned, isArchived: note.isArchived, ...snapshotOf(note) };
+      if (!await updateNoteIfVersion(note, updates, expected_version)) {
+        return callback(null, {
+          success: false,
+          message: CONFLICT_MESSAGE,
+          note: toNoteMessage(note)
+        });
+      }
+      await recordRevision(note, previous);
+
+      // Clear user cache
+      await clearUserCache(user_id);
+      await publishNoteEvent(getUpdateEventType(note, previous), note);
+
+      callback(null, {
+        success: true,
+        message: 'Note updated successfully',
+        note: toNoteMessage(note)
+      });
+
+    } catch (error) {
+      console.error('gRPC Update note error:', error);
+      callback({
+        code: grpc.status.INTERNAL,
+        message: 'Failed to update note'
+      });
+    }
+  },
+
+  async deleteNote(call, callback) {
+    try {
+      const { id, user_id, expected_version } = call.request;
+
+      const note = await Note.findOne({
+        where: { id, userId: user_id }
+      });
+
+      if (!note) {
+        return callback({
+          code: grpc.status.NOT_FOUND,
+          message: 'Note not found'
+        });
+      }
+
+      if (!await destroyNoteIfVersion(note, expected_version)) {
+        return callback(null, {
+          success: false,
+          message: CONFLICT_MESSAGE,
+          note: toNoteMessage(note)
+        });
+      }
+
+      // Clear user cache
+      await clearUserCache(user_id);
+      await publishNoteEvent('DELETED', note);
+
+      callback(null, {
+        success: true,
+        message: 'Note deleted successfully'
+      });
+
+    } catch (error) {
+      console.error('gRPC Delete note error:', error);
+      callback({
+        code: grpc.status.INTERNAL,
+        message: 'Failed to delete note'
+      });
+    }
+  },
+
+  async searchNotes(call, callback) {
+    try {
+      const { user_id, query } = call.request;
+      const limit = call.request.limit || 20;
+
+      if (!query) {
+        return callback({
+          code: grpc.status.INVALID_ARGUMENT,
+          message: 'Search query required'
+        });
+      }
+
+      const notes = await Note.findAll({
+        where: {
+          userId: user_id,
+          isArchived: false,
+          [Sequelize.Op.or]: [
+            { title: { [Sequelize.Op.like]: `%${query}%` } },
+            { text: { [Sequelize.Op.like]: `%${query}%` } }
+          ]
+        },
+        order: [['updatedAt', 'DESC']],
+        limit
+      });
+
+      callback(null, {
+        success: true,
+        notes: notes.map(toNoteMessage),
+        query
+      });
+
+    } catch (error) {
+      console.error('gRPC Search notes error:', error);
+      callback({
+        code: grpc.status.INTERNAL,
+        message: 'Search failed'
+      });
+    }
+  },
+
+  // Streams every note domain event for a user until the client cancels
+  async streamNoteUpdates(call) {
+    const { user_id } = call.request;
+
+    if (!user_id) {
+      call.emit('error', {
+        code: grpc.status.INVALID_ARGUMENT,
+        message: 'user_id is required'
+      });
+      return;
+    }
+
+    const listener = (message) => {
+      const event = JSON.parse(message);
+      call.write({
+        type: event.type,
+        note: toNoteMessage(event.note),
+        user_id: event.userId,
+        timestamp: toTimestamp(event.timestamp)
+      });
+    };
+
+    try {
+      await subscribeToNoteEvents(call, user_id, listener);
+      console.log(`📡 Note update stream opened for user ${user_id}`);
+    } catch (error) {
+      console.error('gRPC Stream note updates error:', error);
+      call.emit('error', {
+        code: grpc.status.UNAVAILABLE,
+        message: 'Note event stream unavailable'
+      });
+    }
+  },
+
+  // Streams the user's current notes, then every note as it is created or changed
+  async streamUserNotes(call) {
+    const { user_id } = call.request;
+
+    if (!user_id) {
+      call.emit('error', {
+        code: grpc.status.INVALID_ARGUMENT,
+        message: 'user_id is required'
+      });
+      return;
+    }
+
+    const listener = (message) => {
+      const event = JSON.parse(message);
+      if (event.type !== 'DELETED') {
+        call.write(toNoteMessage(event.note));
+      }
+    };
+
+    try {
+      // Subscribe before the initial read so no change slips between the two
+      await subscribeToNoteEvents(call, user_id, listener);
+
+      const notes = await Note.findAll({
+        where: { userId: user_id, isArchived: false },
+        order: [
+          ['isPinned', 'DESC'],
+          ['updatedAt', 'DESC']
+        ]
+      });
+      notes.forEach(note => call.write(toNoteMessage(note)));
+    } catch (error) {
+      console.error('gRPC Stream user notes error:', error);
+      call.emit('error', {
+        code: grpc.status.UNAVAILABLE,
+        message: 'Note stream unavailable'
+      });
+    }
+  },
+
+  // Client-streaming import. Each batch is its own transaction, so a bad
+  // batch is reported per item without rolling back earlier ones. Notes are
+  // announced with CREATED events once their batch has committed.
+  async importNotes(call, callback) {
+    const errors = [];
+    const userIds = new Set();
+    let received = 0;
+    let imported = 0;
+    let batch = [];
+
+    const flush = async () => {
+      if (batch.length === 0) return;
+      const items = batch;
+      batch = [];
+
+      let notes;
+      try {
+        notes = await sequelize.transaction(transaction =>
+          Note.bulkCreate(items.map(item => item.values), { transaction, validate: true })
+        );
+        imported += items.length;
+      } catch (error) {
+        console.error('gRPC Import notes batch error:', error);
+        items.forEach(({ index }) => errors.push({ index, message: 'Batch insert failed' }));
+        return;
+      }
+
+      await Promise.all(notes.map(note => publishNoteEvent('CREATED', note)));
+    };
+
+    try {
+      for await (const item of call) {
+        const index = received++;
+        const { values, error } = validateImportNote(item);
+
+        if (error) {
+          errors.push({ index, message: `Validation failed: ${error}` });
+          continue;
+        }
+
+        userIds.add(values.userId);
+        batch.push({ index, values });
+        if (batch.length >= IMPORT_BATCH_SIZE) await flush();
+      }
+      await flush();
+
+      await Promise.all([...userIds].map(userId => clearUserCache(userId)));
+
+      callback(null, {
+        success: errors.length === 0,
+        received,
+        imported,
+        failed: errors.length,
+        errors: errors.sort((a, b) => a.index - b.index),
+        message: `Imported ${imported} of ${received} notes`
+      });
+
+    } catch (error) {
+      console.error('gRPC Import notes error:', error);
+      callback({
+        code: grpc.status.INTERNAL,
+        message: 'Failed to import notes'
+      });
+    }
+  },
+
+  async listNoteRevisions(call, callback) {
+    try {
+      const { note_id, user_id } = call.request;
+
+      const note = await findUserNote(note_id, user_id);
+
+      if (!note) {
+        return callback({
+          code: grpc.status.NOT_FOUND,
+          message: 'Note not found'
+        });
+      }
+
+      const revisions = await listRevisions(note.id);
+
+      callback(null, {
+        success: true,
+        revisions: revisions.map(toRevisionMessage)
+      });
+
+    } catch (error) {
+      console.error('gRPC List note revisions error:', error);
+      callback({
+        code: grpc.status.INTERNAL,
+        message: 'Failed to retrieve note revisions'
+      });
+    }
+  },
+
+  async diffNoteRevisions(call, callback) {
+    try {
+      const { note_id, user_id, from_revision_id, to_revision_id } = call.request;
+
+      const note = await findUserNote(note_id, user_id);
+
+      if (!note) {
+        return callback({
+          code: grpc.status.NOT_FOUND,
+          message: 'Note not found'
+        });
+      }
+
+      const diff = await diffRevisions(note.id, from_revision_id || null, to_revision_id || null);
+
+      if (diff.error) {
+        return callback({
+          code: grpc.status.NOT_FOUND,
+          message: diff.error
+        });
+      }
+
+      callback(null, {
+        success: true,
+        from_revision: toRevisionMessage(diff.fromRevision),
+        to_revision: toRevisionMessage(diff.toRevision),
+        lines: diff.lines.map(line => ({ op: line.op.toUpperCase(), text: line.text })),
+        added: diff.added,
+        removed: diff.removed
+      });
+
+    } catch (error) {
+      console.error('gRPC Diff note revisions error:', error);
+      callback({
+        code: grpc.status.INTERNAL,
+        message: 'Failed to diff note revisions'
+      });
+    }
+  },
+
+  async restoreNoteRevision(call, callback) {
+    try {
+      const { note_id, revision_id, user_id } = call.request;
+
+      const note = await findUserNote(note_id, user_id);
+
+      if (!note) {
+        return callback({
+          code: grpc.status.NOT_FOUND,
+          message: 'Note not found'
+        });
+      }
+
+      const restored = await restoreRevision(note, revision_id);
+
+      if (!restored) {
+        return callback({
+          code: grpc.status.NOT_FOUND,
+          message: 'Revision not found'
+        });
+      }
+
+      // Clear user cache
+      await clearUserCache(user_id);
+      await publishNoteEvent('UPDATED', restored);
+
+      callback(null, {
+        success: true,
+        message: 'Note restored successfully',
+        note: toNoteMessage(restored)
+      });
+
+    } catch (error) {
+      console.error('gRPC Restore note revision error:', error);
+      callback({
+        code: grpc.status.INTERNAL,
+        message: 'Failed to restore note revision'
+      });
+    }
+  }
+};
+
+// ======================
+// gRPC HEALTH CHECKING (grpc.health.v1.Health)
+// ======================
+
+// '' is the overall status, 'notes.NotesService' the service itself, and 'mysql' / 'redis'
+// expose each dependency so the gateway can report them individually
+const health = createHealthReporter(HealthImplementation, {
+  service: 'notes.NotesService',
+  dependencies: {
+    mysql: () => sequelize.authenticate(),
+    redis: () => redisClient.ping()
+  },
+  intervalMs: parseInt(process.env.HEALTH_CHECK_INTERVAL_MS) || 10000
+});
+
+// ======================
+// gRPC TRANSPORT SECURITY (optional mTLS)
+// ======================
+
+// With GRPC_TLS_CA, GRPC_TLS_CERT and GRPC_TLS_KEY set, the gRPC port only
+// accepts clients presenting a certificate signed by that CA, and every call
+// is checked against RPC_ALLOWED_IDENTITIES by the certificate's CN. Without
+// them the port stays plaintext, as in local development.
+const GRPC_TLS_FILES = {
+  ca: process.env.GRPC_TLS_CA,
+  cert: process.env.GRPC_TLS_CERT,
+  key: process.env.GRPC_TLS_KEY
+};
+const grpcTlsEnabled = Object.values(GRPC_TLS_FILES).every(Boolean);
+
+if (!grpcTlsEnabled && Object.values(GRPC_TLS_FILES).some(Boolean)) {
+  console.error('❌ GRPC_TLS_CA, GRPC_TLS_CERT and GRPC_TLS_KEY must be set together');
+  process.exit(1);
+}
+
+// Certificate identities allowed per RPC path; '*' covers every other RPC,
+// health checks included
+const RPC_ALLOWED_IDENTITIES = {
+  '*': ['api-gateway']
+};
+
+const peerIdentity = (call) => call.getAuthContext()?.sslPeerCertificate?.subject?.CN;
+
+const identityInterceptor = (methodDescriptor, call) => {
+  return new grpc.ServerInterceptingCall(call, {
+    start: (next) => {
+      next({
+        onReceiveMetadata: (metadata, mdNext) => {
+          const identity = peerIdentity(call);
+          const allowed = RPC_ALLOWED_IDENTITIES[methodDescriptor.path] || RPC_ALLOWED_IDENTITIES['*'];
+
+          if (!allowed.includes(identity)) {
+            console.warn(`Rejected ${methodDescriptor.path} from ${identity || 'a peer without a certificate identity'}`);
+            call.sendStatus({
+              code: grpc.status.PERMISSION_DENIED,
+              details: `${identity || 'Caller'} is not allowed to call ${methodDescriptor.path}`,
+              metadata: new grpc.Metadata()
+            });
+            return;
+          }
+
+          mdNext(metadata);
+        }
+      });
+    }
+  });
+};
+
+// Certificate identity first, then the end user's token
+const createGrpcServer = () => {
+  const interceptors = grpcTlsEnabled ? [identityInterceptor, userInterceptor] : [userInterceptor];
+  return new grpc.Server({ interceptors });
+};
+
+const grpcServerCredentials = () => {
+  if (!grpcTlsEnabled) {
+    return grpc.ServerCredentials.createInsecure();
+  }
+
+  return grpc.ServerCredentials.createSsl(
+    readFileSync(GRPC_TLS_FILES.ca),
+    [{ cert_chain: readFileSync(GRPC_TLS_FILES.cert), private_key: readFileSync(GRPC_TLS_FILES.key) }],
+    true
+  );
+};
+
+// ======================
+// gRPC USER IDENTITY (authorization metadata)
+// ======================
+
+// Callers send the end user's access token as `authorization` metadata, and
+// it's verified here the same way as on the REST routes. Each request
+// message's user_id must then match the token's user; an unset (0) user_id
+// is filled in, so handlers can keep reading call.request.user_id.
+const USER_SCOPED_PATH = '/notes.NotesService/';
+
+const authenticateMetadata = async (metadata) => {
+  const [authorization] = metadata.get('authorization');
+  const token = typeof authorization === 'string' ? authorization.split(' ')[1] : null;
+
+  if (!token) {
+    return { error: 'Access token required' };
+  }
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    if (await isTokenRevoked(token, decoded)) {
+      return { error: 'Token has been revoked' };
+    }
+
+    return { userId: decoded.id };
+  } catch (error) {
+    if (error instanceof RevocationUnavailableError) {
+      return { code: grpc.status.UNAVAILABLE, error: error.message };
+    }
+    return { error: 'Invalid or expired token' };
+  }
+};
+
+const userInterceptor = (methodDescriptor, call) => {
+  // Health checks aren't made on anyone's behalf
+  if (!methodDescriptor.path.startsWith(USER_SCOPED_PATH)) return call;
+
+  let userId = null;
+  const reject = (code, details) => {
+    call.sendStatus({ code, details, metadata: new grpc.Metadata() });
+  };
+
+  return new grpc.ServerInterceptingCall(call, {
+    start: (next) => {
+      next({
+        onReceiveMetadata: (metadata, mdNext) => {
+          authenticateMetadata(metadata).then(result => {
+            if (result.error) return reject(result.code ?? grpc.status.UNAUTHENTICATED, result.error);
+            userId = result.userId;
+            mdNext(metadata);
+          });
+        },
+        onReceiveMessage: (message, messageNext) => {
+          if (!('user_id' in message)) return messageNext(message);
+
+          if (message.user_id && message.user_id !== userId) {
+            console.warn(`Rejected ${methodDescriptor.path}: user_id ${message.user_id} does not match the caller's token`);
+            return reject(grpc.status.PERMISSION_DENIED, 'user_id does not match the authenticated user');
+          }
+
+          messageNext({ ...message, user_id: userId });
+        }
+      });
+    }
+  });
+};
+
+// ======================
+// SERVICE REGISTRY AND GRACEFUL SHUTDOWN
+// ======================
+
+// The gateways find instances through `registry:notes:<id>` keys (see
+// shared/service-registry.js). SERVICE_HOST is the address they dial, so it
+// has to be unique per instance; the container's hostname is.
+const REGISTRY_TTL_SECONDS = parseInt(process.env.REGISTRY_TTL_SECONDS) || 15;
+const SERVICE_HOST = process.env.SERVICE_HOST || hostname();
+const SHUTDOWN_GRACE_MS = parseInt(process.env.SHUTDOWN_GRACE_MS) || 5000;
+
+let registration = null;
+let grpcServer = null;
+let httpServer = null;
+
+// On SIGTERM the instance leaves the registry and reports NOT_SERVING, so the
+// gateways send new calls elsewhere, then stops taking calls and lets the
+// ones in flight finish. Whatever is still open after the grace period
+// (streams, mostly) is cut off.
+process.on('SIGTERM', async () => {
+  console.log('🛑 Shutting down Notes Service...');
+  setTimeout(() => {
+    grpcServer?.forceShutdown();
+    process.exit(0);
+  }, SHUTDOWN_GRACE_MS);
+
+  health.stop();
+  await registration?.deregister();
+
+  await Promise.all([
+    grpcServer && new Promise(resolve => grpcServer.tryShutdown(resolve)),
+    httpServer && new Promise(resolve => {
+      httpServer.close(resolve);
+      httpServer.closeIdleConnections();
+    })
+  ]);
+  process.exit(0);
+});
+
 // Initialize database and start server
 const startServer = async () => {
   try {
@@ -399,7 +1641,35 @@ const startServer = async () => {
     await sequelize.sync();
     console.log('📊 Database synced successfully');
     
-    app.listen(PORT, () => {
+    // Start gRPC server
+    grpcServer = createGrpcServer();
+    grpcServer.addService(notesProto.NotesService.service, notesService);
+    health.addToServer(grpcServer);
+
+    grpcServer.bindAsync(
+      `0.0.0.0:${GRPC_PORT}`,
+      grpcServerCredentials(),
+      (error, port) => {
+        if (error) {
+          console.error('❌ Failed to start gRPC server:', error);
+          return;
+        }
+
+        grpcServer.start();
+        console.log(`⚡ gRPC Notes Service running on port ${port}${grpcTlsEnabled ? ' (mTLS)' : ''}`);
+        registration = registerInstance(redisClient, {
+          service: 'notes',
+          host: SERVICE_HOST,
+          httpPort: PORT,
+          grpcPort: GRPC_PORT,
+          ttlSeconds: REGISTRY_TTL_SECONDS
+        });
+      }
+    );
+
+    health.start();
+
+    httpServer = app.listen(PORT, () => {
       console.log(`📝 Notes Service running on port ${PORT}`);
     });
   } catch (error) {
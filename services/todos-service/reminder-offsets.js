@@ -0,0 +1,31 @@
+// Reminder offsets: minutes before a todo's due date at which it is reminded
+
+const MINUTES_PER_UNIT = { m: 1, h: 60, d: 24 * 60 };
+
+// Parse offsets such as "1d,1h,0" into minutes before the due date, largest first.
+// "0" (or "overdue") fires once the todo is past due.
+export const parseReminderOffsets = (value) => {
+  return value.split(',')
+    .map(part => part.trim().toLowerCase())
+    .filter(Boolean)
+    .map(part => {
+      if (part === 'overdue') return 0;
+      const match = part.match(/^(\d+)([mhd]?)$/);
+      if (!match) throw new Error(`Invalid reminder offset: ${part}`);
+      return parseInt(match[1]) * MINUTES_PER_UNIT[match[2] || 'm'];
+    })
+    .sort((a, b) => b - a);
+};
+
+// 1440 → "1 day", 120 → "2 hours", 90 → "90 minutes"
+export const formatOffset = (minutes) => {
+  if (minutes % (24 * 60) === 0) {
+    const days = minutes / (24 * 60);
+    return `${days} day${days === 1 ? '' : 's'}`;
+  }
+  if (minutes % 60 === 0) {
+    const hours = minutes / 60;
+    return `${hours} hour${hours === 1 ? '' : 's'}`;
+  }
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+};
@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseReminderOffsets, formatOffset } from './reminder-offsets.js';
+
+test('offsets are parsed into minutes, largest first', () => {
+  assert.deepEqual(parseReminderOffsets('1d,1h,0'), [1440, 60, 0]);
+  assert.deepEqual(parseReminderOffsets('0,30,2h'), [120, 30, 0]);
+});
+
+test('bare numbers are minutes and "overdue" means 0', () => {
+  assert.deepEqual(parseReminderOffsets('15, overdue'), [15, 0]);
+  assert.deepEqual(parseReminderOffsets('15m'), [15]);
+});
+
+test('blanks are skipped and units are case-insensitive', () => {
+  assert.deepEqual(parseReminderOffsets(' 2D ,, 3H ,'), [2880, 180]);
+});
+
+test('invalid offsets throw', () => {
+  assert.throws(() => parseReminderOffsets('1w'), /Invalid reminder offset: 1w/);
+  assert.throws(() => parseReminderOffsets('-1h'), /Invalid reminder offset/);
+});
+
+test('offsets are formatted in the largest whole unit', () => {
+  assert.equal(formatOffset(1440), '1 day');
+  assert.equal(formatOffset(2880), '2 days');
+  assert.equal(formatOffset(60), '1 hour');
+  assert.equal(formatOffset(180), '3 hours');
+  assert.equal(formatOffset(90), '90 minutes');
+  assert.equal(formatOffset(1), '1 minute');
+});
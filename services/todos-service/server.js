@@ -1,16 +1,28 @@
 import express from 'express';
+import grpc from '@grpc/grpc-js';
+import protoLoader from '@grpc/proto-loader';
+import { HealthImplementation } from 'grpc-health-check';
 import cors from 'cors';
 import helmet from 'helmet';
 import dotenv from 'dotenv';
+import { readFileSync } from 'fs';
+import { hostname } from 'os';
+import { fileURLToPath } from 'url';
 import jwt from 'jsonwebtoken';
 import { body, validationResult } from 'express-validator';
 import { Sequelize, DataTypes } from 'sequelize';
 import Redis from 'redis';
+import { createRevocationCheck, RevocationUnavailableError } from '../../shared/token-revocation.js';
+import { createHealthReporter } from '../../shared/grpc-health.js';
+import { registerInstance } from '../../shared/service-registry.js';
+import { parseIfMatch } from '../../shared/etag.js';
+import { parseReminderOffsets, formatOffset } from './reminder-offsets.js';
 
 dotenv.config();
 
 const app = express();
 const PORT = process.env.PORT || 3003;
+const GRPC_PORT = process.env.GRPC_PORT || 50003;
 
 // Database connection
 const sequelize = new Sequelize({
@@ -35,6 +47,10 @@ const redisClient = Redis.createClient({
 });
 redisClient.connect().catch(console.error);
 
+// Dedicated Redis connection for event and reminder subscriptions (pub/sub needs its own client)
+const subscriberClient = redisClient.duplicate();
+subscriberClient.connect().catch(console.error);
+
 // Todo model
 const Todo = sequelize.define('Todo', {
   id: {
@@ -72,9 +88,18 @@ const Todo = sequelize.define('Todo', {
     type: DataTypes.DATE,
     allowNull: true,
     field: 'completed_at'
+  },
+  // Optimistic lock: bumped by every instance save, which fails with an
+  // OptimisticLockError if another write got there first. Starts at 1 so an
+  // expected_version of 0 can mean "don't check".
+  version: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1
   }
 }, {
   tableName: 'todos',
+  version: true,
   indexes: [
     { fields: ['user_id', 'completed', 'created_at'] },
     { fields: ['user_id', 'due_date'] },
@@ -82,14 +107,67 @@ const Todo = sequelize.define('Todo', {
   ]
 });
 
+// Reminder delivery state. One row per todo, offset and due date, so each
+// reminder fires once even across restarts and a new due date re-arms them.
+const TodoReminder = sequelize.define('TodoReminder', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  todoId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'todo_id'
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'user_id'
+  },
+  offsetMinutes: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'offset_minutes'
+  },
+  dueDate: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'due_date'
+  },
+  message: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  firedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'fired_at'
+  },
+  deliveredAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'delivered_at'
+  }
+}, {
+  tableName: 'todo_reminders',
+  indexes: [
+    { unique: true, fields: ['todo_id', 'offset_minutes', 'due_date'] },
+    { fields: ['user_id', 'delivered_at'] }
+  ]
+});
+
 // Middleware
 app.use(helmet());
 app.use(cors());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+// Shared token revocation list (blacklist and per-user / global cutoffs in Redis)
+const isTokenRevoked = createRevocationCheck(redisClient);
+
 // Auth middleware
-const authenticateToken = (req, res, next) => {
+const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
 
@@ -99,9 +177,17 @@ const authenticateToken = (req, res, next) => {
 
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    if (await isTokenRevoked(token, decoded)) {
+      return res.status(401).json({ error: 'Token has been revoked' });
+    }
+
     req.user = decoded;
     next();
   } catch (error) {
+    if (error instanceof RevocationUnavailableError) {
+      return res.status(503).json({ error: error.message });
+    }
     return res.status(403).json({ error: 'Invalid or expired token' });
   }
 };
@@ -114,6 +200,116 @@ const clearUserCache = async (userId) => {
   }
 };
 
+// ======================
+// TODO EVENTS (Redis pub/sub, fanned out to StreamTodoUpdates)
+// ======================
+
+const todoEventsChannel = (userId) => `todo_events:${userId}`;
+
+// Completion changes get their own event type, anything else is a plain update
+const getUpdateEventType = (todo, previous) => {
+  if (todo.completed !== previous.completed) return todo.completed ? 'COMPLETED' : 'UNCOMPLETED';
+  return 'UPDATED';
+};
+
+const publishTodoEvent = async (type, todo) => {
+  const data = todo.toJSON();
+  try {
+    await redisClient.publish(todoEventsChannel(data.userId), JSON.stringify({
+      type,
+      todo: data,
+      userId: data.userId,
+      timestamp: new Date().toISOString()
+    }));
+  } catch (error) {
+    console.error('Publish todo event error:', error);
+  }
+};
+
+// Attach a listener to a Redis channel for the lifetime of a server stream
+const subscribeForStream = async (call, channel, listener) => {
+  let closed = false;
+
+  const unsubscribe = () => {
+    if (closed) return;
+    closed = true;
+    subscriberClient.unsubscribe(channel, listener).catch(console.error);
+  };
+
+  call.on('cancelled', unsubscribe);
+  call.on('close', unsubscribe);
+  call.on('error', unsubscribe);
+
+  await subscriberClient.subscribe(channel, listener);
+
+  // The client may have gone away while we were subscribing
+  if (call.cancelled) unsubscribe();
+};
+
+// ======================
+// OPTIMISTIC CONCURRENCY (Todo.version, ETag / If-Match)
+// ======================
+
+const etagOf = (todo) => `"${todo.version}"`;
+
+const isStale = (todo, expectedVersion) => Boolean(expectedVersion) && todo.version !== expectedVersion;
+
+// Applies `updates` (or updates(todo), for changes that depend on the current
+// state like a toggle) unless the todo has moved past expectedVersion (0
+// skips the check). A write landing between our read and this update
+// surfaces as an OptimisticLockError: the todo is reloaded and, without an
+// expected version, the update is tried again. Returns false on a conflict,
+// with `todo` holding the current copy. `options` (e.g. a transaction) are
+// passed on to the update and reload.
+const updateTodoIfVersion = async (todo, updates, expectedVersion, options = {}) => {
+  for (;;) {
+    if (isStale(todo, expectedVersion)) return false;
+    try {
+      await todo.update(typeof updates === 'function' ? updates(todo) : updates, options);
+      return true;
+    } catch (error) {
+      if (!(error instanceof Sequelize.OptimisticLockError)) throw error;
+      await todo.reload(options);
+    }
+  }
+};
+
+// Same check for deletes, done in the DELETE's WHERE clause. The todo's
+// reminder rows go with it.
+const destroyTodoIfVersion = async (todo, expectedVersion) => {
+  if (isStale(todo, expectedVersion)) return false;
+
+  const deleted = await sequelize.transaction(async (transaction) => {
+    const count = await Todo.destroy({
+      where: expectedVersion ? { id: todo.id, version: expectedVersion } : { id: todo.id },
+      transaction
+    });
+    if (count > 0) await TodoReminder.destroy({ where: { todoId: todo.id }, transaction });
+    return count;
+  });
+
+  // Without an expected version, a todo deleted meanwhile is deleted all the same
+  if (deleted > 0 || !expectedVersion) return true;
+  await todo.reload();
+  return false;
+};
+
+const toggleUpdates = (todo) => {
+  const completed = !todo.completed;
+  return { completed, completedAt: completed ? new Date() : null };
+};
+
+const CONFLICT_MESSAGE = 'Todo was changed by another request';
+
+// 412 with the server's copy, so the client can merge instead of retrying blind
+const sendConflict = (res, todo) => {
+  res.status(412).set('ETag', etagOf(todo)).json({
+    success: false,
+    message: CONFLICT_MESSAGE,
+    data: { todo }
+  });
+};
+
 // Routes
 
 // Health check
@@ -219,8 +415,9 @@ app.post('/', authenticateToken, [
     
     // Clear user cache
     await clearUserCache(req.user.id);
+    await publishTodoEvent('CREATED', todo);
     
-    res.status(201).json({
+    res.status(201).set('ETag', etagOf(todo)).json({
       success: true,
       message: 'Todo created successfully',
       data: { todo }
@@ -252,16 +449,15 @@ app.patch('/:id/toggle', authenticateToken, async (req, res) => {
       });
     }
     
-    const completed = !todo.completed;
-    await todo.update({
-      completed,
-      completedAt: completed ? new Date() : null
-    });
+    if (!await updateTodoIfVersion(todo, toggleUpdates, parseIfMatch(req.get('If-Match')))) {
+      return sendConflict(res, todo);
+    }
     
     // Clear user cache
     await clearUserCache(req.user.id);
+    await publishTodoEvent(todo.completed ? 'COMPLETED' : 'UNCOMPLETED', todo);
     
-    res.json({
+    res.set('ETag', etagOf(todo)).json({
       success: true,
       message: 'Todo updated successfully',
       data: { todo }
@@ -319,12 +515,16 @@ app.put('/:id', authenticateToken, [
       updates.dueDate = new Date(updates.dueDate);
     }
     
-    await todo.update(updates);
+    const previous = { completed: todo.completed };
+    if (!await updateTodoIfVersion(todo, updates, parseIfMatch(req.get('If-Match')))) {
+      return sendConflict(res, todo);
+    }
     
     // Clear user cache
     await clearUserCache(req.user.id);
+    await publishTodoEvent(getUpdateEventType(todo, previous), todo);
     
-    res.json({
+    res.set('ETag', etagOf(todo)).json({
       success: true,
       message: 'Todo updated successfully',
       data: { todo }
@@ -356,10 +556,13 @@ app.delete('/:id', authenticateToken, async (req, res) => {
       });
     }
     
-    await todo.destroy();
+    if (!await destroyTodoIfVersion(todo, parseIfMatch(req.get('If-Match')))) {
+      return sendConflict(res, todo);
+    }
     
     // Clear user cache
     await clearUserCache(req.user.id);
+    await publishTodoEvent('DELETED', todo);
     
     res.json({
       success: true,
@@ -417,6 +620,1095 @@ app.get('/stats', authenticateToken, async (req, res) => {
   }
 });
 
+// ======================
+// gRPC SERVICE IMPLEMENTATION
+// ======================
+
+// Load proto definition
+// The proto root is an include dir so the google/api and gateway imports resolve.
+// It's found relative to this file, not the working directory.
+const PROTO_DIR = fileURLToPath(new URL('../../proto', import.meta.url));
+
+const packageDefinition = protoLoader.loadSync('todos.proto', {
+  keepCase: true,
+  longs: String,
+  enums: String,
+  defaults: true,
+  oneofs: true,
+  includeDirs: [PROTO_DIR]
+});
+
+const todosProto = grpc.loadPackageDefinition(packageDefinition).todos;
+
+// Convert a JS Date into a google.protobuf.Timestamp
+const toTimestamp = (date) => {
+  if (!date) return null;
+  const millis = new Date(date).getTime();
+  return {
+    seconds: Math.floor(millis / 1000),
+    nanos: (millis % 1000) * 1e6
+  };
+};
+
+// Convert a google.protobuf.Timestamp into a JS Date
+const fromTimestamp = (timestamp) => {
+  if (!timestamp) return null;
+  return new Date(Number(timestamp.seconds) * 1000 + Math.floor((timestamp.nanos || 0) / 1e6));
+};
+
+// Convert a Sequelize Todo into a proto Todo message
+const toTodoMessage = (todo) => {
+  const data = typeof todo.toJSON === 'function' ? todo.toJSON() : todo;
+  return {
+    id: data.id,
+    text: data.text,
+    completed: Boolean(data.completed),
+    user_id: data.userId,
+    priority: (data.priority || 'medium').toUpperCase(),
+    due_date: toTimestamp(data.dueDate),
+    category: data.category || '',
+    completed_at: toTimestamp(data.completedAt),
+    // The todos table has no status column, so status is derived from completion
+    status: data.completed ? 'COMPLETED' : 'PENDING',
+    created_at: toTimestamp(data.createdAt),
+    updated_at: toTimestamp(data.updatedAt),
+    version: data.version
+  };
+};
+
+// Fields an UpdateTodoRequest's update_mask may list
+const TODO_MASK_PATHS = ['text', 'priority', 'category', 'due_date', 'completed', 'status'];
+
+// With an update_mask every listed field is applied exactly as sent,
+// including proto3 defaults, and nothing else is touched
+const buildMaskedTodoUpdates = (request, paths) => {
+  const unknownPath = paths.find(path => !TODO_MASK_PATHS.includes(path));
+  if (unknownPath) {
+    return { error: `Unknown update_mask path: ${unknownPath}` };
+  }
+
+  const updates = {};
+
+  if (paths.includes('text')) {
+    const text = request.text.trim();
+    if (text.length < 1 || text.length > 200) {
+      return { error: 'Text must be between 1 and 200 characters' };
+    }
+    updates.text = text;
+  }
+  if (paths.includes('category')) {
+    if (request.category.length > 30) {
+      return { error: 'Category cannot exceed 30 characters' };
+    }
+    updates.category = request.category || null;
+  }
+  if (paths.includes('priority')) updates.priority = (request.priority ?? 'LOW').toLowerCase();
+  if (paths.includes('due_date')) {
+    updates.dueDate = request.due_date ? fromTimestamp(request.due_date) : null;
+  }
+  if (paths.includes('status')) updates.completed = request.status === 'COMPLETED';
+  if (paths.includes('completed')) updates.completed = request.completed ?? false;
+
+  if ('completed' in updates) {
+    updates.completedAt = updates.completed ? new Date() : null;
+  }
+
+  return { updates };
+};
+
+// Validate an UpdateTodoRequest and build the Sequelize update set.
+// Returns { error } when the request is invalid.
+const buildTodoUpdates = (request) => {
+  // An empty mask is a valid no-op, only a missing one means "guess from defaults"
+  if (request.update_mask) {
+    return buildMaskedTodoUpdates(request, request.update_mask.paths);
+  }
+
+  const text = (request.text || '').trim();
+  const category = request.category || '';
+
+  if (text.length > 200) {
+    return { error: 'Text cannot exceed 200 characters' };
+  }
+  if (category.length > 30) {
+    return { error: 'Category cannot exceed 30 characters' };
+  }
+
+  const updates = {};
+
+  // Unset optionals, empty strings and unset messages are "not provided"
+  if (text) updates.text = text;
+  if (category) updates.category = category;
+  if (request.due_date) updates.dueDate = fromTimestamp(request.due_date);
+  if (request.priority !== undefined) updates.priority = request.priority.toLowerCase();
+  if (request.status !== undefined) updates.completed = request.status === 'COMPLETED';
+  if (request.completed !== undefined) updates.completed = request.completed;
+
+  // As over REST, completedAt only moves when completion is sent
+  if ('completed' in updates) {
+    updates.completedAt = updates.completed ? new Date() : null;
+  }
+
+  return { updates };
+};
+
+const IMPORT_BATCH_SIZE = 500;
+
+const validateImportTodo = (item) => {
+  const text = (item.text || '').trim();
+  const category = item.category || null;
+
+  if (!text || text.length > 200 || (category && category.length > 30)) {
+    return { error: 'text (1-200 chars) is required, category max 30 chars' };
+  }
+
+  return {
+    values: {
+      text,
+      priority: (item.priority ?? 'MEDIUM').toLowerCase(),
+      category,
+      dueDate: fromTimestamp(item.due_date),
+      completed: item.completed,
+      completedAt: item.completed ? new Date() : null,
+      userId: item.user_id
+    }
+  };
+};
+
+const todosService = {
+  async getTodos(call, callback) {
+    try {
+      const { user_id, completed, priority, category, status } = call.request;
+      const page = call.request.page || 1;
+      const limit = call.request.limit || 50;
+      const offset = (page - 1) * limit;
+
+      // Optional filters are undefined when unset; an empty category means none
+      const whereClause = { userId: user_id };
+
+      if (status !== undefined) {
+        whereClause.completed = status === 'COMPLETED';
+      }
+
+      if (completed !== undefined) {
+        whereClause.completed = completed;
+      }
+
+      if (priority !== undefined) {
+        whereClause.priority = priority.toLowerCase();
+      }
+
+      if (category) {
+        whereClause.category = category;
+      }
+
+      const todos = await Todo.findAndCountAll({
+        where: whereClause,
+        order: [
+          ['completed', 'ASC'],
+          ['priority', 'DESC'],
+          ['createdAt', 'DESC']
+        ],
+        limit,
+        offset
+      });
+
+      callback(null, {
+        success: true,
+        todos: todos.rows.map(toTodoMessage),
+        pagination: {
+          total: todos.count,
+          page,
+          limit,
+          pages: Math.ceil(todos.count / limit)
+        }
+      });
+
+    } catch (error) {
+      console.error('gRPC Get todos error:', error);
+      callback({
+        code: grpc.status.INTERNAL,
+        message: 'Failed to retrieve todos'
+      });
+    }
+  },
+
+  async getTodo(call, callback) {
+    try {
+      const { id, user_id } = call.request;
+
+      const todo = await Todo.findOne({
+        where: { id, userId: user_id }
+      });
+
+      if (!todo) {
+        return callback({
+          code: grpc.status.NOT_FOUND,
+          message: 'Todo not found'
+        });
+      }
+
+      callback(null, {
+        success: true,
+        todo: toTodoMessage(todo)
+      });
+
+    } catch (error) {
+      console.error('gRPC Get todo error:', error);
+      callback({
+        code: grpc.status.INTERNAL,
+        message: 'Failed to retrieve todo'
+      });
+    }
+  },
+
+  async createTodo(call, callback) {
+    try {
+      const { user_id, priority, due_date, status } = call.request;
+      const text = (call.request.text || '').trim();
+      const category = call.request.category || null;
+
+      if (!text || text.length > 200 || (category && category.length > 30)) {
+        return callback({
+          code: grpc.status.INVALID_ARGUMENT,
+          message: 'Validation failed: text (1-200 chars) is required, category max 30 chars'
+        });
+      }
+
+      const completed = status === 'COMPLETED';
+      const todo = await Todo.create({
+        text,
+        priority: priority.toLowerCase(),
+        category,
+        dueDate: fromTimestamp(due_date),
+        completed,
+        completedAt: completed ? new Date() : null,
+        userId: user_id
+      });
+
+      // Clear user cache
+      await clearUserCache(user_id);
+      await publishTodoEvent('CREATED', todo);
+
+      callback(null, {
+        success: true,
+        message: 'Todo created successfully',
+        todo: toTodoMessage(todo)
+      });
+
+    } catch (error) {
+      console.error('gRPC Create todo error:', error);
+      callback({
+        code: grpc.status.INTERNAL,
+        message: 'Failed to create todo'
+      });
+    }
+  },
+
+  async updateTodo(call, callback) {
+    try {
+      const { id, user_id, expected_version } = call.request;
+
+      const { updates, error } = buildTodoUpdates(call.request);
+      if (error) {
+        return callback({
+          code: grpc.status.INVALID_ARGUMENT,
+          message: `Validation failed: ${error}`
+        });
+      }
+
+      const todo = await Todo.findOne({
+        where: { id, userId: user_id }
+      });
+
+      if (!todo) {
+        return callback({
+          code: grpc.status.NOT_FOUND,
+          message: 'Todo not found'
+        });
+      }
+
+      const previous = { completed: todo.completed };
+      if (!await updateTodoIfVersion(todo, updates, expected_version)) {
+        return callback(null, {
+          success: false,
+          message: CONFLICT_MESSAGE,
+          todo: toTodoMessage(todo)
+        });
+      }
+
+      // Clear user cache
+      await clearUserCache(user_id);
+      await publishTodoEvent(getUpdateEventType(todo, previous), todo);
+
+      callback(null, {
+        success: true,
+        message: 'Todo updated successfully',
+        todo: toTodoMessage(todo)
+      });
+
+    } catch (error) {
+      console.error('gRPC Update todo error:', error);
+      callback({
+        code: grpc.status.INTERNAL,
+        message: 'Failed to update todo'
+      });
+    }
+  },
+
+  async toggleTodo(call, callback) {
+    try {
+      const { id, user_id, expected_version } = call.request;
+
+      const todo = await Todo.findOne({
+        where: { id, userId: user_id }
+      });
+
+      if (!todo) {
+        return callback({
+          code: grpc.status.NOT_FOUND,
+          message: 'Todo not found'
+        });
+      }
+
+      if (!await updateTodoIfVersion(todo, toggleUpdates, expected_version)) {
+        return callback(null, {
+          success: false,
+          message: CONFLICT_MESSAGE,
+          todo: toTodoMessage(todo)
+        });
+      }
+
+      // Clear user cache
+      await clearUserCache(user_id);
+      await publishTodoEvent(todo.completed ? 'COMPLETED' : 'UNCOMPLETED', todo);
+
+      callback(null, {
+        success: true,
+        message: 'Todo updated successfully',
+        todo: toTodoMessage(todo)
+      });
+
+    } catch (error) {
+      console.error('gRPC Toggle todo error:', error);
+      callback({
+        code: grpc.status.INTERNAL,
+        message: 'Failed to update todo'
+      });
+    }
+  },
+
+  async deleteTodo(call, callback) {
+    try {
+      const { id, user_id, expected_version } = call.request;
+
+      const todo = await Todo.findOne({
+        where: { id, userId: user_id }
+      });
+
+      if (!todo) {
+        return callback({
+          code: grpc.status.NOT_FOUND,
+          message: 'Todo not found'
+        });
+      }
+
+      if (!await destroyTodoIfVersion(todo, expected_version)) {
+        return callback(null, {
+          success: false,
+          message: CONFLICT_MESSAGE,
+          todo: toTodoMessage(todo)
+        });
+      }
+
+      // Clear user cache
+      await clearUserCache(user_id);
+      await publishTodoEvent('DELETED', todo);
+
+      callback(null, {
+        success: true,
+        message: 'Todo deleted successfully'
+      });
+
+    } catch (error) {
+      console.error('gRPC Delete todo error:', error);
+      callback({
+        code: grpc.status.INTERNAL,
+        message: 'Failed to delete todo'
+      });
+    }
+  },
+
+  async getTodoStats(call, callback) {
+    try {
+      const { user_id } = call.request;
+
+      const [overview] = await Todo.findAll({
+        where: { userId: user_id },
+        attributes: [
+          [sequelize.fn('COUNT', sequelize.col('id')), 'total'],
+          [sequelize.fn('SUM', sequelize.literal('CASE WHEN completed = true THEN 1 ELSE 0 END')), 'completed'],
+          [sequelize.fn('COUNT', sequelize.literal('CASE WHEN due_date < NOW() AND completed = false THEN 1 END')), 'overdue']
+        ],
+        raw: true
+      });
+
+      const priorityStats = await Todo.findAll({
+        where: { userId: user_id, completed: false },
+        attributes: [
+          'priority',
+          [sequelize.fn('COUNT', sequelize.col('id')), 'count']
+        ],
+        group: ['priority'],
+        raw: true
+      });
+
+      const categoryStats = await Todo.findAll({
+        where: {
+          userId: user_id,
+          completed: false,
+          category: { [Sequelize.Op.ne]: null }
+        },
+        attributes: [
+          'category',
+          [sequelize.fn('COUNT', sequelize.col('id')), 'count']
+        ],
+        group: ['category'],
+        raw: true
+      });
+
+      const total = Number(overview?.total || 0);
+      const completed = Number(overview?.completed || 0);
+
+      callback(null, {
+        success: true,
+        stats: {
+          total,
+          completed,
+          pending: total - completed,
+          overdue: Number(overview?.overdue || 0),
+          by_priority: priorityStats.map(stat => ({
+            priority: stat.priority.toUpperCase(),
+            count: Number(stat.count)
+          })),
+          by_category: categoryStats.map(stat => ({
+            category: stat.category,
+            count: Number(stat.count)
+          }))
+        }
+      });
+
+    } catch (error) {
+      console.error('gRPC Get stats error:', error);
+      callback({
+        code: grpc.status.INTERNAL,
+        message: 'Failed to get statistics'
+      });
+    }
+  },
+
+  async batchUpdateTodos(call, callback) {
+    const { user_id } = call.request;
+    const items = call.request.todos || [];
+    const results = [];
+    const updatedTodos = [];
+
+    try {
+      // Items that fail validation, lookup or their expected_version are
+      // reported and skipped, any database error rolls back the whole batch
+      await sequelize.transaction(async (transaction) => {
+        for (const item of items) {
+          // Only the caller's own todos, whatever user_id an item names
+          if (item.user_id && item.user_id !== user_id) {
+            results.push({ id: item.id, success: false, message: 'Todo not found' });
+            continue;
+          }
+
+          const { updates, error } = buildTodoUpdates(item);
+          if (error) {
+            results.push({ id: item.id, success: false, message: error });
+            continue;
+          }
+
+          const todo = await Todo.findOne({
+            where: { id: item.id, userId: user_id },
+            transaction,
+            lock: transaction.LOCK.UPDATE
+          });
+
+          if (!todo) {
+            results.push({ id: item.id, success: false, message: 'Todo not found' });
+            continue;
+          }
+
+          const previous = { completed: todo.completed };
+          if (!await updateTodoIfVersion(todo, updates, item.expected_version, { transaction })) {
+            results.push({ id: item.id, success: false, message: CONFLICT_MESSAGE, todo: toTodoMessage(todo) });
+            continue;
+          }
+          updatedTodos.push({ todo, previous });
+          results.push({ id: item.id, success: true, message: 'Todo updated successfully' });
+        }
+      });
+
+      if (updatedTodos.length > 0) {
+        await clearUserCache(user_id);
+      }
+      // Announced once the batch has committed
+      await Promise.all(updatedTodos.map(({ todo, previous }) => {
+        return publishTodoEvent(getUpdateEventType(todo, previous), todo);
+      }));
+
+      callback(null, {
+        success: updatedTodos.length === items.length,
+        todos: updatedTodos.map(({ todo }) => toTodoMessage(todo)),
+        updated_count: updatedTodos.length,
+        results,
+        message: `${updatedTodos.length} of ${items.length} todos updated`
+      });
+
+    } catch (error) {
+      console.error('gRPC Batch update todos error:', error);
+      callback({
+        code: grpc.status.INTERNAL,
+        message: 'Batch update failed, no todos were changed'
+      });
+    }
+  },
+
+  async batchDeleteTodos(call, callback) {
+    try {
+      const { todo_ids, user_id } = call.request;
+
+      if (!todo_ids || todo_ids.length === 0) {
+        return callback({
+          code: grpc.status.INVALID_ARGUMENT,
+          message: 'At least one todo id is required'
+        });
+      }
+
+      const deletedTodos = await sequelize.transaction(async (transaction) => {
+        const todos = await Todo.findAll({
+          where: { id: todo_ids, userId: user_id },
+          transaction,
+          lock: transaction.LOCK.UPDATE
+        });
+        const ids = todos.map(todo => todo.id);
+        await Todo.destroy({ where: { id: ids }, transaction });
+        await TodoReminder.destroy({ where: { todoId: ids }, transaction });
+        return todos;
+      });
+      const deletedCount = deletedTodos.length;
+
+      // Clear user cache
+      await clearUserCache(user_id);
+      await Promise.all(deletedTodos.map(todo => publishTodoEvent('DELETED', todo)));
+
+      callback(null, {
+        success: true,
+        deleted_count: deletedCount,
+        message: `${deletedCount} todos deleted`
+      });
+
+    } catch (error) {
+      console.error('gRPC Batch delete todos error:', error);
+      callback({
+        code: grpc.status.INTERNAL,
+        message: 'Batch delete failed'
+      });
+    }
+  },
+
+  // Client-streaming import. Each batch is its own transaction, so a bad
+  // batch is reported per item without rolling back earlier ones.
+  async importTodos(call, callback) {
+    const errors = [];
+    const userIds = new Set();
+    let received = 0;
+    let imported = 0;
+    let batch = [];
+
+    const flush = async () => {
+      if (batch.length === 0) return;
+      const items = batch;
+      batch = [];
+
+      let todos;
+      try {
+        todos = await sequelize.transaction(transaction => {
+          return Todo.bulkCreate(items.map(item => item.values), { transaction, validate: true });
+        });
+      } catch (error) {
+        console.error('gRPC Import todos batch error:', error);
+        // The detail is logged above, the client only learns which items failed
+        items.forEach(({ index }) => errors.push({ index, message: 'Batch insert failed' }));
+        return;
+      }
+
+      imported += items.length;
+      await Promise.all(todos.map(todo => publishTodoEvent('CREATED', todo)));
+    };
+
+    try {
+      for await (const item of call) {
+        const index = received++;
+        const { values, error } = validateImportTodo(item);
+
+        if (error) {
+          errors.push({ index, message: `Validation failed: ${error}` });
+          continue;
+        }
+
+        userIds.add(values.userId);
+        batch.push({ index, values });
+        if (batch.length >= IMPORT_BATCH_SIZE) await flush();
+      }
+      await flush();
+
+      await Promise.all([...userIds].map(userId => clearUserCache(userId)));
+
+      callback(null, {
+        success: errors.length === 0,
+        received,
+        imported,
+        failed: errors.length,
+        errors: errors.sort((a, b) => a.index - b.index),
+        message: `Imported ${imported} of ${received} todos`
+      });
+
+    } catch (error) {
+      console.error('gRPC Import todos error:', error);
+      callback({
+        code: grpc.status.INTERNAL,
+        message: 'Failed to import todos'
+      });
+    }
+  },
+
+  // Streams every todo domain event for a user until the client cancels
+  async streamTodoUpdates(call) {
+    const { user_id } = call.request;
+
+    if (!user_id) {
+      call.emit('error', {
+        code: grpc.status.INVALID_ARGUMENT,
+        message: 'user_id is required'
+      });
+      return;
+    }
+
+    const listener = (message) => {
+      const event = JSON.parse(message);
+      call.write({
+        type: event.type,
+        todo: toTodoMessage(event.todo),
+        user_id: event.userId,
+        timestamp: toTimestamp(event.timestamp)
+      });
+    };
+
+    try {
+      await subscribeForStream(call, todoEventsChannel(user_id), listener);
+      console.log(`📡 Todo update stream opened for user ${user_id}`);
+    } catch (error) {
+      console.error('gRPC Stream todo updates error:', error);
+      call.emit('error', {
+        code: grpc.status.UNAVAILABLE,
+        message: 'Todo event stream unavailable'
+      });
+    }
+  },
+
+  // Streams due-date reminders for a user. Reminders fired while no stream was
+  // open are replayed first, and every reminder is marked delivered once written.
+  async streamTodoReminders(call) {
+    const { user_id } = call.request;
+
+    if (!user_id) {
+      call.emit('error', {
+        code: grpc.status.INVALID_ARGUMENT,
+        message: 'user_id is required'
+      });
+      return;
+    }
+
+    const sendReminder = (payload) => {
+      call.write({
+        todo_id: payload.todoId,
+        text: payload.text,
+        due_date: toTimestamp(payload.dueDate),
+        priority: (payload.priority || 'medium').toUpperCase(),
+        reminder_message: payload.message
+      });
+      TodoReminder.update(
+        { deliveredAt: new Date() },
+        { where: { id: payload.reminderId, deliveredAt: null } }
+      ).catch(console.error);
+    };
+
+    const listener = (message) => sendReminder(JSON.parse(message));
+
+    try {
+      // Subscribe before replaying so nothing fired in between is missed
+      await subscribeForStream(call, reminderChannel(user_id), listener);
+      if (call.cancelled) return;
+
+      const pending = await TodoReminder.findAll({
+        where: {
+          userId: user_id,
+          deliveredAt: null,
+          firedAt: { [Sequelize.Op.gte]: new Date(Date.now() - REMINDER_OVERDUE_WINDOW_MS) }
+        },
+        order: [['firedAt', 'ASC']]
+      });
+
+      for (const reminder of pending) {
+        const todo = await Todo.findByPk(reminder.todoId);
+        if (!isReminderCurrent(reminder, todo)) continue;
+        sendReminder(toReminderPayload(reminder, todo));
+      }
+    } catch (error) {
+      console.error('gRPC Stream todo reminders error:', error);
+      call.emit('error', {
+        code: grpc.status.UNAVAILABLE,
+        message: 'Reminder stream unavailable'
+      });
+    }
+  }
+};
+
+// ======================
+// DUE-DATE REMINDERS
+// ======================
+
+const REMINDER_OFFSETS = parseReminderOffsets(process.env.REMINDER_OFFSETS || '1d,1h,0');
+const REMINDER_INTERVAL_MS = parseInt(process.env.REMINDER_INTERVAL_MS) || 60 * 1000;
+// Todos overdue for longer than this never get an overdue reminder, so the
+// first run after a deploy doesn't flood users with ancient todos
+const REMINDER_OVERDUE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+const reminderChannel = (userId) => `todo_reminders:${userId}`;
+
+const buildReminderMessage = (todo, offsetMinutes) => {
+  return offsetMinutes === 0
+    ? `"${todo.text}" is overdue`
+    : `"${todo.text}" is due in ${formatOffset(offsetMinutes)}`;
+};
+
+// Payload published to Redis and replayed from the database
+const toReminderPayload = (reminder, todo) => ({
+  reminderId: reminder.id,
+  todoId: reminder.todoId,
+  text: todo.text,
+  dueDate: reminder.dueDate,
+  priority: todo.priority,
+  message: reminder.message
+});
+
+// A recorded reminder is only sent while its todo still exists, is open and
+// is still due when the reminder was recorded for
+const isReminderCurrent = (reminder, todo) => {
+  return Boolean(todo) && !todo.completed && todo.dueDate !== null &&
+    new Date(todo.dueDate).getTime() === new Date(reminder.dueDate).getTime();
+};
+
+// Record every offset the todo has crossed; only the closest one is announced,
+// so a todo created 30 minutes before its due date skips the 1 day reminder.
+// The unique index makes the insert the "fire once" lock across restarts and replicas.
+const processTodoReminders = async (todo, now) => {
+  const msUntilDue = new Date(todo.dueDate).getTime() - now.getTime();
+  const crossed = REMINDER_OFFSETS.filter(offset => msUntilDue <= offset * 60 * 1000);
+  if (crossed.length === 0) return;
+
+  const existing = await TodoReminder.findAll({
+    where: { todoId: todo.id, dueDate: todo.dueDate },
+    attributes: ['offsetMinutes'],
+    raw: true
+  });
+  const recorded = new Set(existing.map(reminder => reminder.offsetMinutes));
+  const closest = crossed[crossed.length - 1];
+
+  for (const offsetMinutes of crossed) {
+    if (recorded.has(offsetMinutes)) continue;
+
+    const announce = offsetMinutes === closest;
+    let reminder;
+    try {
+      reminder = await TodoReminder.create({
+        todoId: todo.id,
+        userId: todo.userId,
+        offsetMinutes,
+        dueDate: todo.dueDate,
+        message: announce ? buildReminderMessage(todo, offsetMinutes) : null,
+        firedAt: announce ? now : null
+      });
+    } catch (error) {
+      // Another instance recorded this reminder first
+      if (error.name === 'SequelizeUniqueConstraintError') continue;
+      throw error;
+    }
+
+    // The sweep's copy may be stale by now: check the todo as it is
+    if (announce && isReminderCurrent(reminder, await Todo.findByPk(todo.id))) {
+      await redisClient.publish(
+        reminderChannel(todo.userId),
+        JSON.stringify(toReminderPayload(reminder, todo))
+      );
+    }
+  }
+};
+
+const runReminderSweep = async () => {
+  const now = new Date();
+  const horizon = new Date(now.getTime() + REMINDER_OFFSETS[0] * 60 * 1000);
+
+  const todos = await Todo.findAll({
+    where: {
+      completed: false,
+      dueDate: {
+        [Sequelize.Op.ne]: null,
+        [Sequelize.Op.gte]: new Date(now.getTime() - REMINDER_OVERDUE_WINDOW_MS),
+        [Sequelize.Op.lte]: horizon
+      }
+    }
+  });
+
+  for (const todo of todos) {
+    try {
+      await processTodoReminders(todo, now);
+    } catch (error) {
+      console.error(`Reminder error for todo ${todo.id}:`, error);
+    }
+  }
+};
+
+const startReminderScheduler = () => {
+  let running = false;
+
+  const tick = async () => {
+    // Skip a tick rather than overlap a slow sweep
+    if (running) return;
+    running = true;
+    try {
+      await runReminderSweep();
+    } catch (error) {
+      console.error('Reminder sweep error:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  tick();
+  setInterval(tick, REMINDER_INTERVAL_MS);
+  console.log(`⏰ Reminder scheduler running (offsets: ${REMINDER_OFFSETS.map(o => o === 0 ? 'overdue' : formatOffset(o)).join(', ')})`);
+};
+
+// ======================
+// gRPC HEALTH CHECKING (grpc.health.v1.Health)
+// ======================
+
+// '' is the overall status, 'todos.TodosService' the service itself, and 'mysql' / 'redis'
+// expose each dependency so the gateway can report them individually
+const health = createHealthReporter(HealthImplementation, {
+  service: 'todos.TodosService',
+  dependencies: {
+    mysql: () => sequelize.authenticate(),
+    redis: () => redisClient.ping()
+  },
+  intervalMs: parseInt(process.env.HEALTH_CHECK_INTERVAL_MS) || 10000
+});
+
+// ======================
+// gRPC TRANSPORT SECURITY (optional mTLS)
+// ======================
+
+// With GRPC_TLS_CA, GRPC_TLS_CERT and GRPC_TLS_KEY set, the gRPC port only
+// accepts clients presenting a certificate signed by that CA, and every call
+// is checked against RPC_ALLOWED_IDENTITIES by the certificate's CN. Without
+// them the port stays plaintext, as in local development.
+const GRPC_TLS_FILES = {
+  ca: process.env.GRPC_TLS_CA,
+  cert: process.env.GRPC_TLS_CERT,
+  key: process.env.GRPC_TLS_KEY
+};
+const grpcTlsEnabled = Object.values(GRPC_TLS_FILES).every(Boolean);
+
+if (!grpcTlsEnabled && Object.values(GRPC_TLS_FILES).some(Boolean)) {
+  console.error('❌ GRPC_TLS_CA, GRPC_TLS_CERT and GRPC_TLS_KEY must be set together');
+  process.exit(1);
+}
+
+// Certificate identities allowed per RPC path; '*' covers every other RPC,
+// health checks included
+const RPC_ALLOWED_IDENTITIES = {
+  '*': ['api-gateway']
+};
+
+const peerIdentity = (call) => call.getAuthContext()?.sslPeerCertificate?.subject?.CN;
+
+const identityInterceptor = (methodDescriptor, call) => {
+  return new grpc.ServerInterceptingCall(call, {
+    start: (next) => {
+      next({
+        onReceiveMetadata: (metadata, mdNext) => {
+          const identity = peerIdentity(call);
+          const allowed = RPC_ALLOWED_IDENTITIES[methodDescriptor.path] || RPC_ALLOWED_IDENTITIES['*'];
+
+          if (!allowed.includes(identity)) {
+            console.warn(`Rejected ${methodDescriptor.path} from ${identity || 'a peer without a certificate identity'}`);
+            call.sendStatus({
+              code: grpc.status.PERMISSION_DENIED,
+              details: `${identity || 'Caller'} is not allowed to call ${methodDescriptor.path}`,
+              metadata: new grpc.Metadata()
+            });
+            return;
+          }
+
+          mdNext(metadata);
+        }
+      });
+    }
+  });
+};
+
+// Certificate identity first, then the end user's token
+const createGrpcServer = () => {
+  const interceptors = grpcTlsEnabled ? [identityInterceptor, userInterceptor] : [userInterceptor];
+  return new grpc.Server({ interceptors });
+};
+
+const grpcServerCredentials = () => {
+  if (!grpcTlsEnabled) {
+    return grpc.ServerCredentials.createInsecure();
+  }
+
+  return grpc.ServerCredentials.createSsl(
+    readFileSync(GRPC_TLS_FILES.ca),
+    [{ cert_chain: readFileSync(GRPC_TLS_FILES.cert), private_key: readFileSync(GRPC_TLS_FILES.key) }],
+    true
+  );
+};
+
+// ======================
+// gRPC USER IDENTITY (authorization metadata)
+// ======================
+
+// Callers send the end user's access token as `authorization` metadata, and
+// it's verified here the same way as on the REST routes. Every user_id in a
+// request message, nested ones included (BatchUpdateTodos items), must then
+// match the token's user; an unset (0) top-level user_id is filled in, so
+// handlers can keep reading call.request.user_id.
+const USER_SCOPED_PATH = '/todos.TodosService/';
+
+const collectUserIds = (value, userIds = []) => {
+  if (Array.isArray(value)) {
+    value.forEach(item => collectUserIds(item, userIds));
+  } else if (value && typeof value === 'object') {
+    Object.entries(value).forEach(([key, field]) => {
+      if (key === 'user_id') userIds.push(field);
+      else collectUserIds(field, userIds);
+    });
+  }
+  return userIds;
+};
+
+const authenticateMetadata = async (metadata) => {
+  const [authorization] = metadata.get('authorization');
+  const token = typeof authorization === 'string' ? authorization.split(' ')[1] : null;
+
+  if (!token) {
+    return { error: 'Access token required' };
+  }
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    if (await isTokenRevoked(token, decoded)) {
+      return { error: 'Token has been revoked' };
+    }
+
+    return { userId: decoded.id };
+  } catch (error) {
+    if (error instanceof RevocationUnavailableError) {
+      return { code: grpc.status.UNAVAILABLE, error: error.message };
+    }
+    return { error: 'Invalid or expired token' };
+  }
+};
+
+const userInterceptor = (methodDescriptor, call) => {
+  // Health checks aren't made on anyone's behalf
+  if (!methodDescriptor.path.startsWith(USER_SCOPED_PATH)) return call;
+
+  let userId = null;
+  const reject = (code, details) => {
+    call.sendStatus({ code, details, metadata: new grpc.Metadata() });
+  };
+
+  return new grpc.ServerInterceptingCall(call, {
+    start: (next) => {
+      next({
+        onReceiveMetadata: (metadata, mdNext) => {
+          authenticateMetadata(metadata).then(result => {
+            if (result.error) return reject(result.code ?? grpc.status.UNAUTHENTICATED, result.error);
+            userId = result.userId;
+            mdNext(metadata);
+          });
+        },
+        onReceiveMessage: (message, messageNext) => {
+          const foreignUserId = collectUserIds(message).find(id => id && id !== userId);
+          if (foreignUserId) {
+            console.warn(`Rejected ${methodDescriptor.path}: user_id ${foreignUserId} does not match the caller's token`);
+            return reject(grpc.status.PERMISSION_DENIED, 'user_id does not match the authenticated user');
+          }
+
+          if (!('user_id' in message)) return messageNext(message);
+          messageNext({ ...message, user_id: userId });
+        }
+      });
+    }
+  });
+};
+
+// ======================
+// SERVICE REGISTRY AND GRACEFUL SHUTDOWN
+// ======================
+
+// The gateways find instances through `registry:todos:<id>` keys (see
+// shared/service-registry.js). SERVICE_HOST is the address they dial, so it
+// has to be unique per instance; the container's hostname is.
+const REGISTRY_TTL_SECONDS = parseInt(process.env.REGISTRY_TTL_SECONDS) || 15;
+const SERVICE_HOST = process.env.SERVICE_HOST || hostname();
+const SHUTDOWN_GRACE_MS = parseInt(process.env.SHUTDOWN_GRACE_MS) || 5000;
+
+let registration = null;
+let grpcServer = null;
+let httpServer = null;
+
+// On SIGTERM the instance leaves the registry and reports NOT_SERVING, so the
+// gateways send new calls elsewhere, then stops taking calls and lets the
+// ones in flight finish. Whatever is still open after the grace period
+// (streams, mostly) is cut off.
+process.on('SIGTERM', async () => {
+  console.log('🛑 Shutting down Todos Service...');
+  setTimeout(() => {
+    grpcServer?.forceShutdown();
+    process.exit(0);
+  }, SHUTDOWN_GRACE_MS);
+
+  health.stop();
+  await registration?.deregister();
+
+  await Promise.all([
+    grpcServer && new Promise(resolve => grpcServer.tryShutdown(resolve)),
+    httpServer && new Promise(resolve => {
+      httpServer.close(resolve);
+      httpServer.closeIdleConnections();
+    })
+  ]);
+  process.exit(0);
+});
+
 // Initialize database and start server
 const startServer = async () => {
   try {
@@ -426,7 +1718,36 @@ const startServer = async () => {
     await sequelize.sync();
     console.log('📊 Database synced successfully');
     
-    app.listen(PORT, () => {
+    // Start gRPC server
+    grpcServer = createGrpcServer();
+    grpcServer.addService(todosProto.TodosService.service, todosService);
+    health.addToServer(grpcServer);
+
+    grpcServer.bindAsync(
+      `0.0.0.0:${GRPC_PORT}`,
+      grpcServerCredentials(),
+      (error, port) => {
+        if (error) {
+          console.error('❌ Failed to start gRPC server:', error);
+          return;
+        }
+
+        grpcServer.start();
+        console.log(`⚡ gRPC Todos Service running on port ${port}${grpcTlsEnabled ? ' (mTLS)' : ''}`);
+        registration = registerInstance(redisClient, {
+          service: 'todos',
+          host: SERVICE_HOST,
+          httpPort: PORT,
+          grpcPort: GRPC_PORT,
+          ttlSeconds: REGISTRY_TTL_SECONDS
+        });
+      }
+    );
+
+    health.start();
+    startReminderScheduler();
+
+    httpServer = app.listen(PORT, () => {
       console.log(`✅ Todos Service running on port ${PORT}`);
     });
   } catch (error) {
@@ -2,10 +2,14 @@ import express from 'express';
 import cors from 'cors';
 import helmet from 'helmet';
 import dotenv from 'dotenv';
+import { hostname } from 'os';
 import jwt from 'jsonwebtoken';
 import bcrypt from 'bcryptjs';
 import { body, validationResult } from 'express-validator';
 import { Sequelize, DataTypes } from 'sequelize';
+import Redis from 'redis';
+import { createRevocationCheck, RevocationUnavailableError } from '../../shared/token-revocation.js';
+import { registerInstance } from '../../shared/service-registry.js';
 
 dotenv.config();
 
@@ -29,6 +33,12 @@ const sequelize = new Sequelize({
   }
 });
 
+// Redis client for the shared token revocation list
+const redisClient = Redis.createClient({
+  url: process.env.REDIS_URL || 'redis://localhost:6379'
+});
+redisClient.connect().catch(console.error);
+
 // User model
 const User = sequelize.define('User', {
   id: {
@@ -67,8 +77,11 @@ app.use(cors());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+// Shared token revocation list (blacklist and per-user / global cutoffs in Redis)
+const isTokenRevoked = createRevocationCheck(redisClient);
+
 // Auth middleware
-const authenticateToken = (req, res, next) => {
+const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
 
@@ -78,13 +91,32 @@ const authenticateToken = (req, res, next) => {
 
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    if (await isTokenRevoked(token, decoded)) {
+      return res.status(401).json({ error: 'Token has been revoked' });
+    }
+
     req.user = decoded;
     next();
   } catch (error) {
+    if (error instanceof RevocationUnavailableError) {
+      return res.status(503).json({ error: error.message });
+    }
     return res.status(403).json({ error: 'Invalid or expired token' });
   }
 };
 
+// Revoke every token (access and refresh) issued to a user up to now
+const REVOCATION_TTL = 30 * 24 * 60 * 60; // longest token lifetime (refresh tokens)
+
+const revokeUserTokens = async (userId) => {
+  await redisClient.setEx(
+    `revoked_before:user:${userId}`,
+    REVOCATION_TTL,
+    String(Math.floor(Date.now() / 1000))
+  );
+};
+
 // Routes
 
 // Health check
@@ -95,7 +127,8 @@ app.get('/health', async (req, res) => {
       status: 'healthy',
       service: 'user-service',
       timestamp: new Date().toISOString(),
-      database: 'connected'
+      database: 'connected',
+      redis: redisClient.isReady ? 'connected' : 'disconnected'
     });
   } catch (error) {
     res.status(500).json({
@@ -248,9 +281,12 @@ app.put('/me/password', authenticateToken, [
     const hashedPassword = await bcrypt.hash(newPassword, 12);
     await user.update({ password: hashedPassword });
 
+    // Sign out every existing session, including the one making this request
+    await revokeUserTokens(user.id);
+
     res.json({
       success: true,
-      message: 'Password changed successfully'
+      message: 'Password changed successfully. Please log in again.'
     });
 
   } catch (error) {
@@ -298,6 +334,7 @@ app.delete('/me', authenticateToken, [
 
     // Delete user (cascade will delete notes and todos)
     await user.destroy();
+    await revokeUserTokens(user.id);
 
     res.json({
       success: true,
@@ -351,6 +388,38 @@ app.get('/me/stats', authenticateToken, async (req, res) => {
   }
 });
 
+// ======================
+// SERVICE REGISTRY AND GRACEFUL SHUTDOWN
+// ======================
+
+// The gateways find instances through `registry:users:<id>` keys (see
+// shared/service-registry.js). SERVICE_HOST is the address they dial, so it
+// has to be unique per instance; the container's hostname is.
+const REGISTRY_TTL_SECONDS = parseInt(process.env.REGISTRY_TTL_SECONDS) || 15;
+const SERVICE_HOST = process.env.SERVICE_HOST || hostname();
+const SHUTDOWN_GRACE_MS = parseInt(process.env.SHUTDOWN_GRACE_MS) || 5000;
+
+let registration = null;
+let httpServer = null;
+
+// On SIGTERM the instance leaves the registry, so the gateways send new
+// requests elsewhere, then stops taking requests and lets the ones in flight
+// finish within the grace period
+process.on('SIGTERM', async () => {
+  console.log('🛑 Shutting down User Service...');
+  setTimeout(() => process.exit(0), SHUTDOWN_GRACE_MS);
+
+  await registration?.deregister();
+
+  if (httpServer) {
+    await new Promise(resolve => {
+      httpServer.close(resolve);
+      httpServer.closeIdleConnections();
+    });
+  }
+  process.exit(0);
+});
+
 // Initialize database and start server
 const startServer = async () => {
   try {
@@ -360,8 +429,14 @@ const startServer = async () => {
     await sequelize.sync();
     console.log('📊 Database synced successfully');
     
-    app.listen(PORT, () => {
+    httpServer = app.listen(PORT, () => {
       console.log(`👤 User Service running on port ${PORT}`);
+      registration = registerInstance(redisClient, {
+        service: 'users',
+        host: SERVICE_HOST,
+        httpPort: PORT,
+        ttlSeconds: REGISTRY_TTL_SECONDS
+      });
     });
   } catch (error) {
     console.error('❌ Failed to start User Service:', error);
@@ -0,0 +1,13 @@
+// If-Match handling for versioned resources (ETag "<version>")
+//
+// Used by the notes and todos services, the hybrid gateway and the Backend.
+// No npm imports: this file is loaded from each one's own directory.
+
+// If-Match → expected version: 0 (no check) without the header or for "*",
+// -1 (never matches) for anything but a single ETag. W/ is ignored since a
+// compressing proxy may weaken the ETag it passes on.
+export const parseIfMatch = (header) => {
+  if (!header || header.trim() === '*') return 0;
+  const match = /^\s*(?:W\/)?"(\d+)"\s*$/.exec(header);
+  return match ? parseInt(match[1]) : -1;
+};
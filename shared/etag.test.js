@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseIfMatch } from './etag.js';
+
+test('no header or "*" skips the version check', () => {
+  assert.equal(parseIfMatch(undefined), 0);
+  assert.equal(parseIfMatch(''), 0);
+  assert.equal(parseIfMatch('*'), 0);
+  assert.equal(parseIfMatch(' * '), 0);
+});
+
+test('a single ETag gives its version', () => {
+  assert.equal(parseIfMatch('"3"'), 3);
+  assert.equal(parseIfMatch('  "42"  '), 42);
+});
+
+test('weak ETags are accepted', () => {
+  assert.equal(parseIfMatch('W/"7"'), 7);
+});
+
+test('anything else never matches', () => {
+  assert.equal(parseIfMatch('3'), -1);
+  assert.equal(parseIfMatch('"abc"'), -1);
+  assert.equal(parseIfMatch('"1", "2"'), -1);
+});
@@ -0,0 +1,95 @@
+// gRPC health checking (grpc.health.v1.Health) for the services
+//
+// '' is the overall status, `service` the gRPC service itself, and every
+// dependency gets its own name (e.g. 'mysql', 'redis') so the gateway can
+// report them individually. Dependencies are probed on an interval; the
+// service is SERVING while all of them answer within the timeout.
+//
+// grpc-health-check's HealthImplementation is passed in: this file is loaded
+// from each service's own directory and imports no npm packages.
+
+const PROBE_TIMEOUT_MS = 5000;
+
+const probe = async (check) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error('Health check timed out')), PROBE_TIMEOUT_MS);
+  });
+
+  try {
+    await Promise.race([check(), timeout]);
+    return 'SERVING';
+  } catch (error) {
+    return 'NOT_SERVING';
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+// `dependencies` maps each dependency name to a check that resolves while it
+// is usable, e.g. { mysql: () => sequelize.authenticate() }
+export const createHealthReporter = (HealthImplementation, { service, dependencies, intervalMs = 10000, logger = console }) => {
+  const statuses = {
+    '': 'NOT_SERVING',
+    [service]: 'NOT_SERVING',
+    ...Object.fromEntries(Object.keys(dependencies).map(name => [name, 'UNKNOWN']))
+  };
+  const implementation = new HealthImplementation(statuses);
+  let timer = null;
+  let stopped = false;
+
+  // Watchers are notified on every setStatus, so only forward real changes
+  const setStatus = (name, status) => {
+    if (statuses[name] === status) return;
+    statuses[name] = status;
+    implementation.setStatus(name, status);
+    if (name === '') {
+      const log = status === 'SERVING' ? logger.info : logger.warn;
+      log.call(logger, `🩺 Health status changed to ${status}`);
+    }
+  };
+
+  const check = async () => {
+    const names = Object.keys(dependencies);
+    const results = await Promise.all(names.map(name => probe(dependencies[name])));
+    if (stopped) return;
+
+    names.forEach((name, index) => setStatus(name, results[index]));
+
+    const overall = results.every(status => status === 'SERVING') ? 'SERVING' : 'NOT_SERVING';
+    setStatus('', overall);
+    setStatus(service, overall);
+  };
+
+  // Probes right away, then every `intervalMs`; a slow round is not stacked on
+  const start = () => {
+    let running = false;
+
+    const tick = async () => {
+      if (running) return;
+      running = true;
+      try {
+        await check();
+      } finally {
+        running = false;
+      }
+    };
+
+    tick();
+    timer = setInterval(tick, intervalMs);
+  };
+
+  // Reports NOT_SERVING from now on, whatever the dependencies say
+  const stop = () => {
+    stopped = true;
+    clearInterval(timer);
+    setStatus('', 'NOT_SERVING');
+    setStatus(service, 'NOT_SERVING');
+  };
+
+  return {
+    addToServer: (server) => implementation.addToServer(server),
+    start,
+    stop
+  };
+};
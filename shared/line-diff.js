@@ -0,0 +1,77 @@
+// Line diff for note revisions
+//
+// Longest-common-subsequence over lines, after trimming the common prefix
+// and suffix. Notes are short, but a pathological pair could still need a
+// huge table, so past MAX_TABLE_CELLS the changed middle is reported as
+// removed-then-added instead of being diffed line by line.
+//
+// Used by the notes service and the Backend monolith. No npm imports: this
+// file is loaded from each one's own directory.
+
+const MAX_TABLE_CELLS = 4_000_000;
+
+const splitLines = (text) => text === '' ? [] : text.split('\n');
+
+// [{ op: 'equal' | 'added' | 'removed', text }] turning `before` into `after`
+export const diffLines = (before, after) => {
+  const a = splitLines(before);
+  const b = splitLines(after);
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const lines = a.slice(0, start).map(text => ({ op: 'equal', text }));
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const n = midA.length;
+  const m = midB.length;
+
+  if ((n + 1) * (m + 1) > MAX_TABLE_CELLS) {
+    midA.forEach(text => lines.push({ op: 'removed', text }));
+    midB.forEach(text => lines.push({ op: 'added', text }));
+  } else {
+    // lcs[i][j] is the LCS length of midA[i..] and midB[j..]. It never
+    // exceeds min(n, m), which the cell cap keeps under 2000.
+    const width = m + 1;
+    const lcs = new Uint16Array((n + 1) * width);
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i * width + j] = midA[i] === midB[j]
+          ? lcs[(i + 1) * width + j + 1] + 1
+          : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+      if (midA[i] === midB[j]) {
+        lines.push({ op: 'equal', text: midA[i] });
+        i++;
+        j++;
+      } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+        lines.push({ op: 'removed', text: midA[i++] });
+      } else {
+        lines.push({ op: 'added', text: midB[j++] });
+      }
+    }
+    while (i < n) lines.push({ op: 'removed', text: midA[i++] });
+    while (j < m) lines.push({ op: 'added', text: midB[j++] });
+  }
+
+  a.slice(endA).forEach(text => lines.push({ op: 'equal', text }));
+  return lines;
+};
+
+// Counts of added and removed lines
+export const diffStats = (lines) => ({
+  added: lines.filter(line => line.op === 'added').length,
+  removed: lines.filter(line => line.op === 'removed').length
+});
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffLines, diffStats } from './line-diff.js';
+
+test('identical texts are all equal lines', () => {
+  assert.deepEqual(diffLines('a\nb', 'a\nb'), [
+    { op: 'equal', text: 'a' },
+    { op: 'equal', text: 'b' }
+  ]);
+});
+
+test('empty texts have no lines', () => {
+  assert.deepEqual(diffLines('', ''), []);
+  assert.deepEqual(diffLines('', 'a'), [{ op: 'added', text: 'a' }]);
+  assert.deepEqual(diffLines('a', ''), [{ op: 'removed', text: 'a' }]);
+});
+
+test('a changed line is removed then added, between the common lines', () => {
+  assert.deepEqual(diffLines('a\nb\nc', 'a\nB\nc'), [
+    { op: 'equal', text: 'a' },
+    { op: 'removed', text: 'b' },
+    { op: 'added', text: 'B' },
+    { op: 'equal', text: 'c' }
+  ]);
+});
+
+test('lines common to a changed middle are kept', () => {
+  assert.deepEqual(diffLines('x\na\ny\nb\nz', 'x\n1\ny\n2\nz'), [
+    { op: 'equal', text: 'x' },
+    { op: 'removed', text: 'a' },
+    { op: 'added', text: '1' },
+    { op: 'equal', text: 'y' },
+    { op: 'removed', text: 'b' },
+    { op: 'added', text: '2' },
+    { op: 'equal', text: 'z' }
+  ]);
+});
+
+test('the diff rebuilds both texts', () => {
+  const before = 'one\ntwo\nthree\nfour\nfive';
+  const after = 'zero\none\nthree\nfour!\nfive\nsix';
+  const lines = diffLines(before, after);
+
+  const side = (op) => lines.filter(line => line.op !== op).map(line => line.text).join('\n');
+  assert.equal(side('added'), before);
+  assert.equal(side('removed'), after);
+});
+
+test('very large changes are reported as removed then added', () => {
+  const before = Array.from({ length: 2500 }, (value, index) => `a${index}`).join('\n');
+  const after = Array.from({ length: 2500 }, (value, index) => `b${index}`).join('\n');
+  const lines = diffLines(`top\n${before}`, `top\n${after}`);
+
+  assert.deepEqual(lines[0], { op: 'equal', text: 'top' });
+  assert.ok(lines.slice(1, 2501).every(line => line.op === 'removed'));
+  assert.ok(lines.slice(2501).every(line => line.op === 'added'));
+});
+
+test('diffStats counts added and removed lines', () => {
+  assert.deepEqual(diffStats(diffLines('a\nb\nc', 'a\nB\nc\nd')), { added: 2, removed: 1 });
+});
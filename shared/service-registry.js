@@ -0,0 +1,187 @@
+// Service discovery and client-side load balancing
+//
+// Every service instance heartbeats a `registry:<service>:<id>` key in Redis
+// with a TTL and deletes it on shutdown. An instance that dies without
+// deleting its key drops out of the pool once the TTL lapses. The gateway
+// polls those keys and spreads calls over whatever is live.
+//
+// Services register with `registerInstance`, the gateways balance with
+// `createServiceRegistry`. No npm imports: this file is loaded from each
+// service's own directory.
+
+const REGISTRY_PREFIX = 'registry';
+
+// Heartbeats this instance's entry until `deregister()`, which deletes it so
+// the gateways drop the instance right away instead of when the TTL lapses.
+// `host` must be reachable from the gateways and unique per instance.
+export const registerInstance = (redisClient, { service, host, httpPort, grpcPort = null, ttlSeconds = 15, logger = console }) => {
+  const id = `${host}:${httpPort}`;
+  const key = `${REGISTRY_PREFIX}:${service}:${id}`;
+  const entry = JSON.stringify({
+    id,
+    host,
+    httpPort: Number(httpPort),
+    grpcPort: grpcPort === null ? null : Number(grpcPort)
+  });
+
+  const heartbeat = () => {
+    redisClient.setEx(key, ttlSeconds, entry)
+      .catch(error => logger.error('Registry heartbeat failed:', error.message));
+  };
+
+  heartbeat();
+  const timer = setInterval(heartbeat, ttlSeconds * 1000 / 3);
+  logger.info(`📇 Registered as ${id} in the service registry`);
+
+  const deregister = async () => {
+    clearInterval(timer);
+    await redisClient.del(key).catch(() => {});
+  };
+
+  return { id, deregister };
+};
+
+export const LB_STRATEGIES = ['round_robin', 'least_outstanding'];
+
+// Live instances of `service` as their heartbeat entries:
+//   { id, host, httpPort, grpcPort }
+const discover = async (redisClient, service) => {
+  const keys = await redisClient.keys(`${REGISTRY_PREFIX}:${service}:*`);
+  if (keys.length === 0) return [];
+
+  const entries = await redisClient.mGet(keys);
+  return entries.filter(Boolean).map(entry => JSON.parse(entry));
+};
+
+export const createServiceRegistry = (redisClient, { strategy = 'round_robin', refreshMs = 5000, logger = console } = {}) => {
+  if (!LB_STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown load balancing strategy "${strategy}", expected one of ${LB_STRATEGIES.join(', ')}`);
+  }
+
+  const pools = [];
+  const announced = new Map(); // service → addresses last logged
+  let refreshTimer = null;
+
+  // A pool keeps one member per live address of a service. `address` maps a
+  // heartbeat entry to what callers connect to (null skips the instance, e.g.
+  // one without a gRPC port). `create`/`destroy` manage a per-address
+  // resource such as a gRPC client; without them the resource is the address.
+  // `fallback` is used whenever the registry has no live instance, so a
+  // single statically configured service keeps working without heartbeats.
+  // `available` can rule a member's resource out of new calls (e.g. while
+  // its health check fails) as long as another member is still available.
+  const pool = (service, { address, fallback, create = addr => addr, destroy = () => {}, available = () => true }) => {
+    const members = new Map(); // address → { address, resource, outstanding, retired }
+    let next = 0;
+
+    const retire = (member) => {
+      member.retired = true;
+      if (member.outstanding === 0) destroy(member.resource);
+    };
+
+    const update = (addresses) => {
+      const live = new Set(addresses.length > 0 ? addresses : [fallback]);
+
+      members.forEach((member, addr) => {
+        if (live.has(addr)) return;
+        members.delete(addr);
+        retire(member);
+      });
+      live.forEach(addr => {
+        if (!members.has(addr)) {
+          members.set(addr, { address: addr, resource: create(addr), outstanding: 0, retired: false });
+        }
+      });
+
+      // Several pools can follow one service; say it once
+      const current = [...members.keys()].join(', ');
+      if (announced.has(service) && announced.get(service) !== current) {
+        logger.info(`${service} instances: ${current}`);
+      }
+      announced.set(service, current);
+    };
+
+    const refresh = async () => {
+      try {
+        const entries = await discover(redisClient, service);
+        update(entries.map(address).filter(Boolean));
+      } catch (error) {
+        // Keep routing to the last known instances until Redis is back
+        logger.warn(`Service discovery for ${service} failed: ${error.message}`);
+      }
+    };
+
+    const choose = () => {
+      const all = [...members.values()];
+      const usable = all.filter(member => available(member.resource));
+      const candidates = usable.length > 0 ? usable : all;
+      const start = next++ % candidates.length;
+      if (strategy === 'round_robin') return candidates[start];
+
+      // Fewest calls in flight; ties rotate so idle instances share the load
+      let best = candidates[start];
+      for (let i = 1; i < candidates.length; i++) {
+        const candidate = candidates[(start + i) % candidates.length];
+        if (candidate.outstanding < best.outstanding) best = candidate;
+      }
+      return best;
+    };
+
+    // Picks an instance and counts the call against it until `release()`.
+    // A retired instance is destroyed when its last call is released.
+    const acquire = () => {
+      const member = choose();
+      member.outstanding++;
+
+      let released = false;
+      const release = () => {
+        if (released) return;
+        released = true;
+        member.outstanding--;
+        if (member.retired && member.outstanding === 0) destroy(member.resource);
+      };
+
+      return { address: member.address, resource: member.resource, release };
+    };
+
+    const close = () => {
+      members.forEach(retire);
+      members.clear();
+    };
+
+    const instances = () => [...members.values()].map(({ address: addr, resource, outstanding }) => ({
+      address: addr,
+      outstanding,
+      available: available(resource)
+    }));
+
+    const resources = () => [...members.values()].map(member => member.resource);
+
+    const servicePool = { service, refresh, acquire, close, instances, resources };
+    update([]);
+    pools.push(servicePool);
+    return servicePool;
+  };
+
+  // Polls every pool; the first poll runs right away. A poll stuck behind a
+  // reconnecting Redis client is not stacked on.
+  const start = () => {
+    let polling = false;
+    const refreshAll = async () => {
+      if (polling) return;
+      polling = true;
+      await Promise.all(pools.map(servicePool => servicePool.refresh()));
+      polling = false;
+    };
+    refreshAll();
+    refreshTimer = setInterval(refreshAll, refreshMs);
+    refreshTimer.unref();
+  };
+
+  const stop = () => {
+    clearInterval(refreshTimer);
+    pools.forEach(servicePool => servicePool.close());
+  };
+
+  return { pool, start, stop };
+};
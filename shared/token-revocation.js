@@ -0,0 +1,48 @@
+// Shared token revocation list
+//
+// Every service and the Backend check the same Redis keys:
+//   blacklist:<token>            single revoked token (logout)
+//   revoked_before:user:<id>     tokens issued before this unix time, per user
+//   revoked_before:all           tokens issued before this unix time, everyone
+//
+// Cutoffs are whole seconds like `iat`, and a token issued in the cutoff's
+// own second stays valid, so logging in right after a password change or a
+// logout-all gives a working token.
+//
+// Without Redis nothing can be ruled out, so the check fails closed: it
+// throws RevocationUnavailableError, which callers answer with 503 (REST)
+// or UNAVAILABLE (gRPC).
+//
+// No npm imports: this file is loaded from each service's own directory.
+
+export class RevocationUnavailableError extends Error {
+  constructor(cause) {
+    super('Token revocation service unavailable');
+    this.name = 'RevocationUnavailableError';
+    this.cause = cause;
+  }
+}
+
+// isTokenRevoked(token, decoded) against the given node-redis client
+export const createRevocationCheck = (redisClient) => async (token, decoded) => {
+  if (!redisClient.isReady) {
+    throw new RevocationUnavailableError();
+  }
+
+  let values;
+  try {
+    values = await Promise.all([
+      redisClient.get(`blacklist:${token}`),
+      redisClient.get(`revoked_before:user:${decoded.id}`),
+      redisClient.get('revoked_before:all')
+    ]);
+  } catch (error) {
+    throw new RevocationUnavailableError(error);
+  }
+
+  const [blacklisted, userCutoff, globalCutoff] = values;
+  if (blacklisted) return true;
+
+  const cutoff = Math.max(Number(userCutoff) || 0, Number(globalCutoff) || 0);
+  return decoded.iat < cutoff;
+};
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRevocationCheck, RevocationUnavailableError } from './token-revocation.js';
+
+// Just enough of a node-redis client for the check
+const fakeRedis = (values = {}, { isReady = true, fail = false } = {}) => ({
+  isReady,
+  get: async (key) => {
+    if (fail) throw new Error('Connection lost');
+    return values[key] ?? null;
+  }
+});
+
+test('tokens are valid without any revocation', async () => {
+  const isTokenRevoked = createRevocationCheck(fakeRedis());
+  assert.equal(await isTokenRevoked('t', { id: 1, iat: 1000 }), false);
+});
+
+test('blacklisted tokens are revoked', async () => {
+  const isTokenRevoked = createRevocationCheck(fakeRedis({ 'blacklist:t': '1' }));
+  assert.equal(await isTokenRevoked('t', { id: 1, iat: 1000 }), true);
+  assert.equal(await isTokenRevoked('other', { id: 1, iat: 1000 }), false);
+});
+
+test('tokens issued before a user cutoff are revoked, from its second on they are not', async () => {
+  const isTokenRevoked = createRevocationCheck(fakeRedis({ 'revoked_before:user:1': '1000' }));
+  assert.equal(await isTokenRevoked('t', { id: 1, iat: 999 }), true);
+  assert.equal(await isTokenRevoked('t', { id: 1, iat: 1000 }), false);
+  assert.equal(await isTokenRevoked('t', { id: 2, iat: 999 }), false);
+});
+
+test('the later of the user and global cutoffs applies', async () => {
+  const isTokenRevoked = createRevocationCheck(fakeRedis({
+    'revoked_before:user:1': '1000',
+    'revoked_before:all': '2000'
+  }));
+  assert.equal(await isTokenRevoked('t', { id: 1, iat: 1500 }), true);
+  assert.equal(await isTokenRevoked('t', { id: 2, iat: 1999 }), true);
+  assert.equal(await isTokenRevoked('t', { id: 2, iat: 2000 }), false);
+});
+
+test('fails closed while Redis is not ready or errors', async () => {
+  const notReady = createRevocationCheck(fakeRedis({}, { isReady: false }));
+  await assert.rejects(notReady('t', { id: 1, iat: 1000 }), RevocationUnavailableError);
+
+  const failing = createRevocationCheck(fakeRedis({}, { fail: true }));
+  await assert.rejects(failing('t', { id: 1, iat: 1000 }), (error) => {
+    assert.ok(error instanceof RevocationUnavailableError);
+    assert.equal(error.cause.message, 'Connection lost');
+    return true;
+  });
+});
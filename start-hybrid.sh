@@ -101,11 +101,16 @@ echo "🏥 Checking hybrid service health..."
 services=(
     "API Gateway:8080"
     "Auth Service:3001" 
-    "Notes Service:3002"
-    "Todos Service:3003"
     "User Service:3004"
 )
 
+# Notes and Todos publish no host ports so they can be scaled; they are
+# checked from inside their (first) container instead
+scaled_services=(
+    "Notes Service:notes-service-hybrid:3002"
+    "Todos Service:todos-service-hybrid:3003"
+)
+
 all_healthy=true
 
 for service in "${services[@]}"; do
@@ -120,6 +125,20 @@ for service in "${services[@]}"; do
     fi
 done
 
+for service in "${scaled_services[@]}"; do
+    name=${service%%:*}
+    container=${service#*:}
+    container=${container%:*}
+    port=${service##*:}
+
+    if docker-compose -f docker-compose-hybrid.yml exec -T "$container" wget -qO- "http://localhost:$port/health" >/dev/null 2>&1; then
+        echo "✅ $name ($container) - healthy"
+    else
+        echo "❌ $name ($container) - not responding"
+        all_healthy=false
+    fi
+done
+
 echo ""
 
 if $all_healthy; then
@@ -139,14 +158,14 @@ echo "📡 WebSocket Endpoint:      ws://localhost:8080"
 echo ""
 echo "🔧 Individual Services (REST APIs):"
 echo "   🔐 Auth Service:         http://localhost:3001/health"
-echo "   📝 Notes Service:        http://localhost:3002/health"  
-echo "   ✅ Todos Service:        http://localhost:3003/health"
+echo "   📝 Notes Service:        docker-compose -f docker-compose-hybrid.yml exec notes-service-hybrid wget -qO- http://localhost:3002/health"
+echo "   ✅ Todos Service:        docker-compose -f docker-compose-hybrid.yml exec todos-service-hybrid wget -qO- http://localhost:3003/health"
 echo "   👤 User Service:         http://localhost:3004/health"
 echo ""
 echo "⚡ gRPC Internal Ports:"
 echo "   🔐 Auth gRPC:            localhost:50001"
-echo "   📝 Notes gRPC:           localhost:50002"
-echo "   ✅ Todos gRPC:           localhost:50003"
+echo "   📝 Notes gRPC:           notes-service-hybrid:50002 (inside the Docker network)"
+echo "   ✅ Todos gRPC:           todos-service-hybrid:50003 (inside the Docker network)"
 echo "   👤 User gRPC:            localhost:50004"
 echo ""
 echo "📊 Monitoring & Observability:"